@@ -7,6 +7,13 @@ import exportRouter from './routes/v1/export.js'
 import askAssistantRouter from './routes/v1/askAi.js'
 const router = express.Router();
 import googleSheetRoute from './routes/v1/googlesheet.js'
+import versionRoutes from './routes/v1/versions.js'
+import recipeRoutes from './routes/v1/recipes.js'
+import analysisRoutes from './routes/v1/analysis.js'
+import derivedRoutes from './routes/v1/derived.js'
+import kpiRoutes from './routes/v1/kpis.js'
+import viewRoutes from './routes/v1/views.js'
+import dashboardRoutes from './routes/v1/dashboards.js'
 
 router.use('/auth', authRoutes);
 router.use('/users', dataFiles);
@@ -14,5 +21,12 @@ router.use('/users', aiRouter);
 router.use('/data', exportRouter);
 router.use('/ai', askAssistantRouter);
 router.use('/users', googleSheetRoute);
+router.use('/users', versionRoutes);
+router.use('/recipes', recipeRoutes);
+router.use('/users', analysisRoutes);
+router.use('/users', derivedRoutes);
+router.use('/users', kpiRoutes);
+router.use('/users', viewRoutes);
+router.use('/dashboards', dashboardRoutes);
 
 export default router;
\ No newline at end of file
@@ -5,9 +5,18 @@
 import dotenv from 'dotenv';
 dotenv.config();
 import { GoogleGenerativeAI } from '@google/generative-ai';
+import mongoose from 'mongoose';
 import ErrorHandler from '../../utils/errorHandler.js';
 import { catchAsyncError } from '../../middleware/catchAsyncError.js';
 import DATASHEET from '../../models/Dataset.js';
+import { readRows, streamRows, shareRows } from '../../utils/rowStore.js';
+import { getDatasetProfile, profileRows, describeProfile } from '../../utils/columnProfile.js';
+import { validateKpiRoles, computeKpis, describeKpis } from '../../utils/kpis.js';
+import { describeAnomalies } from '../../utils/anomalies.js';
+import { headlineSeries } from '../../utils/timeSeries.js';
+import { parseForecastQuery, forecastRows, describeForecast } from '../../utils/forecast.js';
+import { parseCorrelationQuery, correlateRows, describeCorrelations } from '../../utils/correlation.js';
+import { findDatasetView, resolveView, filterViewRows, viewOutput, describeView } from '../../utils/datasetViews.js';
 
 // 🚀 Pre-initialize model for better performance
 const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
@@ -52,12 +61,35 @@ export const getAISummary = catchAsyncError(async (req, res, next) => {
     return next(new ErrorHandler("Authentication required.", 401));
   }
 
+  if (!mongoose.Types.ObjectId.isValid(datasetId)) {
+    return next(new ErrorHandler("Invalid dataset ID format", 400));
+  }
+
   if (!process.env.GEMINI_API_KEY) {
     return next(new ErrorHandler("AI service configuration error. Please contact support.", 500));
   }
 
-  // 💾 Check cache first
-  const cacheKey = `summary_${datasetId}_${userId}`;
+  // 🔍 Fetch dataset with optimized query
+  const dataset = await DATASHEET.findOne({
+    _id: datasetId,
+    userId: userId
+  })
+  .select('headers schema fileName version rowCount rowStorage rowGeneration kpiRoles createdAt')
+  .lean();
+
+  if (!dataset) {
+    return next(new ErrorHandler("Dataset not found or access denied.", 404));
+  }
+
+  // 👓 Optional saved view: the summary then covers only the view's rows
+  const viewId = req.body?.viewId ?? req.query.viewId;
+  const view = viewId ? await findDatasetView(dataset._id, viewId) : null;
+  const resolvedView = view ? resolveView(view, dataset.headers || []) : null;
+  const openRows = () => (resolvedView ? filterViewRows(dataset, resolvedView) : streamRows(dataset));
+
+  // 💾 Check cache first; the dataset version (and view revision) in the key drops summaries of older data
+  const cacheKey = `summary_${datasetId}_${userId}_v${dataset.version || 0}`
+    + (view ? `_view${view._id}_${view.updatedAt.getTime()}` : "");
   if (summaryCache.has(cacheKey)) {
     const cached = summaryCache.get(cacheKey);
     if (Date.now() - cached.timestamp < CACHE_TTL) {
@@ -72,34 +104,34 @@ export const getAISummary = catchAsyncError(async (req, res, next) => {
   }
 
   try {
-    // 🔍 Fetch dataset with optimized query
-    const dataset = await DATASHEET.findOne({
-      _id: datasetId,
-      userId: userId
-    })
-    .select('headers rows fileName rowCount createdAt')
-    .lean();
-
-    if (!dataset) {
-      return next(new ErrorHandler("Dataset not found or access denied.", 404));
-    }
-
     console.log(`📂 Dataset loaded in ${Date.now() - startTime}ms`);
 
     // 🎯 Optimize data for AI processing
-    const sampleSize = Math.min(50, dataset.rows?.length || 0); // Up to 50 rows
-    const sampleData = dataset.rows?.slice(0, sampleSize) || [];
+    const headers = dataset.headers || [];
+    let sampleData;
+    let sampleHeaders = headers;
+    if (resolvedView) {
+      // The sample shows the view as saved: sorted, projected or aggregated
+      const output = await viewOutput(dataset, resolvedView, { limit: 50 });
+      sampleHeaders = output.headers;
+      sampleData = [];
+      for await (const row of output.rows) {
+        if (sampleData.length === 50) break;
+        sampleData.push(row);
+      }
+    } else {
+      sampleData = await readRows(dataset, { limit: 50 }); // Up to 50 rows
+    }
     
     if (sampleData.length === 0) {
-      return next(new ErrorHandler("Dataset is empty. Please upload data first.", 400));
+      return next(new ErrorHandler(view ? "The view has no rows." : "Dataset is empty. Please upload data first.", 400));
     }
 
     // 📊 Format data efficiently
-    const headers = dataset.headers || [];
     const formatted = [
-      headers.join(", "),
+      sampleHeaders.join(", "),
       ...sampleData.map(row => 
-        headers.map(h => {
+        sampleHeaders.map(h => {
           const val = row[h];
           // Handle different data types safely
           return val === null || val === undefined ? '' : String(val);
@@ -113,15 +145,87 @@ export const getAISummary = catchAsyncError(async (req, res, next) => {
       ? formatted.substring(0, maxLength) + "\n...(data truncated for analysis)"
       : formatted;
 
+    // 📐 Whole-dataset (or whole-view) statistics, so the numbers don't come from the sample alone
+    const profile = resolvedView
+      ? await profileRows(openRows(), dataset)
+      : await getDatasetProfile(dataset);
+    const profileText = describeProfile(profile);
+    const maxProfileLength = 8000;
+    const truncatedProfile = profileText.length > maxProfileLength
+      ? profileText.substring(0, maxProfileLength) + "\n...(profile truncated)"
+      : profileText;
+
+    // 🧮 KPIs, anomalies, forecast and correlations all read the rows in one shared pass;
+    // each section is left out of the prompt if it fails
+    const series = headlineSeries(dataset, profile);
+    const sections = [
+      // 🚀 Startup KPIs, when the user has mapped the columns they come from
+      dataset.kpiRoles && {
+        key: "kpiText",
+        name: "KPIs",
+        run: (rows) => computeKpis(rows, validateKpiRoles(dataset.kpiRoles, headers)),
+        describe: describeKpis,
+      },
+      // 🚨 Outliers and spikes found over the full dataset, for the Potential Issues section
+      {
+        key: "anomalyText",
+        name: "Anomaly detection",
+        run: (rows) => describeAnomalies(rows, dataset, profile),
+        describe: (text) => text,
+      },
+      // 🔮 Forecast of the headline series, so predictions rest on a fitted model
+      series && {
+        key: "forecastText",
+        name: "Forecast",
+        run: (rows) => forecastRows(rows, parseForecastQuery({ ...series, method: "holtWinters", horizon: 3 }, headers)),
+        describe: describeForecast,
+      },
+      // 🔗 Significant correlations, and what drives revenue when the amount role is mapped
+      {
+        key: "correlationText",
+        name: "Correlations",
+        run: (rows) => correlateRows(rows, parseCorrelationQuery({ target: dataset.kpiRoles?.amount }, dataset), { rowCount: profile.rowCount }),
+        describe: describeCorrelations,
+      },
+    ].filter(Boolean);
+
+    const results = await shareRows(openRows(), sections.map(section => section.run));
+    const texts = Object.fromEntries(sections.map((section, i) => {
+      try {
+        if (results[i].status === "rejected") throw results[i].reason;
+        return [section.key, section.describe(results[i].value)];
+      } catch (sectionError) {
+        console.warn(`⚠️ ${section.name} skipped for ${datasetId}:`, sectionError.message);
+        return [section.key, ""];
+      }
+    }));
+    const { kpiText = "", anomalyText = "", forecastText = "", correlationText = "" } = texts;
+
     // 📝 Build optimized prompt for Gemini 2.5 Pro
     const prompt = `You are an AI business analyst for Startlytics - a comprehensive data analytics platform designed specifically for startup founders.
 
 DATASET CONTEXT:
 - File Name: ${dataset.fileName || 'Unnamed Dataset'}
 - Total Rows: ${dataset.rowCount || sampleData.length}
-- Sample Size: ${sampleData.length} rows analyzed
+${view ? `- Saved View: ${describeView(view)} (${profile.rowCount} matching rows; every figure below covers the view only)
+` : ""}- Sample Size: ${sampleData.length} rows analyzed
 - Upload Date: ${dataset.createdAt ? new Date(dataset.createdAt).toLocaleDateString() : 'Unknown'}
 
+COLUMN PROFILE (computed over all ${profile.rowCount} rows):
+${truncatedProfile}
+${kpiText ? `
+STARTUP KPIs (computed from the full dataset, latest month):
+${kpiText}
+` : ""}${anomalyText ? `
+DETECTED ANOMALIES (statistical outliers over the full dataset):
+${anomalyText}
+` : ""}${forecastText ? `
+FORECAST (computed locally from the full dataset):
+${forecastText}
+` : ""}${correlationText ? `
+CORRELATIONS (significant at p < 0.05, computed over the full dataset):
+${correlationText}
+` : ""}
 DATA SAMPLE (CSV format):
 ${truncatedData}
 
@@ -143,10 +247,10 @@ Welcome to Startlytics 🚀
 [Suggest 1-2 strategic growth tips or optimization opportunities based on the data analysis. Focus on scalable actions.]
 
 ⚠️ Potential Issues
-[Identify any data quality issues, outliers, red flags, or areas requiring immediate attention.]
+[Identify any data quality issues, outliers, red flags, or areas requiring immediate attention. Start from the detected anomalies when they are given.]
 
 🔮 Predictive Insights
-[If patterns allow, provide forward-looking predictions or trends you observe in the data.]
+[If patterns allow, provide forward-looking predictions or trends you observe in the data. Base them on the computed forecast when it is given.]
 
 ANALYSIS GUIDELINES:
 - If financial data: Focus on revenue, costs, profitability, burn rate, runway
@@ -157,6 +261,11 @@ ANALYSIS GUIDELINES:
 - Use emojis appropriately for better readability
 - Always mention data quality if you spot issues
 - Provide specific numbers and percentages when relevant
+- Take totals, averages, ranges and distributions from the column profile; the sample only shows what rows look like
+- When startup KPIs are given, quote them as computed rather than estimating MRR, churn, CAC, LTV or runway yourself
+- When anomalies are detected, name the column or period, the value and what was expected, and suggest a likely cause
+- Quote forecast values with their interval, and say how far to trust them from the backtest MAPE
+- Only claim correlations that appear in the computed list, and don't present them as causation
 - Think like a founder's strategic advisor, not just a data reporter
 
 Response:`;
@@ -195,6 +304,8 @@ Response:`;
       metadata: {
         datasetName: dataset.fileName,
         rowsAnalyzed: sampleData.length,
+        rowsProfiled: profile.rowCount,
+        ...(view && { viewId: view._id, viewName: view.name }),
         totalRows: dataset.rowCount,
         ...(process.env.NODE_ENV === 'development' && { 
           responseTime: `${totalTime}ms`
@@ -243,11 +354,14 @@ export const getCacheSummaryStats = () => {
   };
 };
 
-// 🔹 Manual cache invalidation (call when dataset is updated)
+// 🔹 Manual cache invalidation (every version of the dataset)
 export const invalidateSummaryCache = (datasetId, userId) => {
-  const cacheKey = `summary_${datasetId}_${userId}`;
-  const deleted = summaryCache.delete(cacheKey);
-  console.log(`🗑️ Cache invalidated for ${cacheKey}: ${deleted}`);
+  const prefix = `summary_${datasetId}_${userId}_`;
+  let deleted = false;
+  for (const key of summaryCache.keys()) {
+    if (key.startsWith(prefix)) deleted = summaryCache.delete(key) || deleted;
+  }
+  console.log(`🗑️ Cache invalidated for ${prefix}*: ${deleted}`);
   return deleted;
 };
 
@@ -0,0 +1,116 @@
+import { findOwnDataset } from '../../utils/datasetAccess.js';
+import { streamRows } from '../../utils/rowStore.js';
+import { parseAggregateQuery, aggregateRows } from '../../utils/aggregate.js';
+import { parsePivotQuery, pivotRows } from '../../utils/pivot.js';
+import { parseProfileOptions, getDatasetProfile } from '../../utils/columnProfile.js';
+import { parseTimeSeriesQuery, resampleRows } from '../../utils/timeSeries.js';
+import { parseCohortQuery, cohortRetention } from '../../utils/cohorts.js';
+import { parseAnomalyQuery, detectRowAnomalies, detectSeriesAnomalies } from '../../utils/anomalies.js';
+import { parseForecastQuery, forecastRows } from '../../utils/forecast.js';
+import { parseCorrelationQuery, correlateRows } from '../../utils/correlation.js';
+import { parseFunnelQuery, funnelRows } from '../../utils/funnel.js';
+import { parseChartDefinition, chartData } from '../../utils/charts.js';
+import { parseImageOptions, assertRenderable, renderChartImage } from '../../utils/chartRender.js';
+import { loadChartSource, chartRows } from '../../utils/dashboards.js';
+import { catchAsyncError } from '../../middleware/catchAsyncError.js';
+
+const ROW_FIELDS = '_id headers schema rowCount rowStorage rowGeneration';
+
+// 📊 Group-by aggregation over a dataset's stored rows
+export const aggregateDataset = catchAsyncError(async (req, res) => {
+  const dataset = await findOwnDataset(req.params.id, req.user.id, ROW_FIELDS);
+  const query = parseAggregateQuery(req.body, dataset.headers);
+  const result = await aggregateRows(streamRows(dataset), query);
+
+  res.status(200).json({ datasetId: dataset._id, ...result });
+});
+
+// 🧮 Pivot grid with subtotals; the same body, as ?pivot=<JSON>, exports via GET /data/:id/export
+export const pivotDataset = catchAsyncError(async (req, res) => {
+  const dataset = await findOwnDataset(req.params.id, req.user.id, ROW_FIELDS);
+  const query = parsePivotQuery(req.body, dataset.headers);
+  const pivot = await pivotRows(streamRows(dataset), query);
+
+  res.status(200).json({ datasetId: dataset._id, ...pivot });
+});
+
+// 📈 Resample a metric by date, with filled gaps, change, rolling average and YoY/MoM growth
+export const timeSeriesDataset = catchAsyncError(async (req, res) => {
+  const dataset = await findOwnDataset(req.params.id, req.user.id, ROW_FIELDS);
+  const query = parseTimeSeriesQuery(req.body, dataset.headers);
+  const series = await resampleRows(streamRows(dataset), query);
+
+  res.status(200).json({ datasetId: dataset._id, ...series });
+});
+
+// 👥 Cohort retention triangle; the same body, as ?cohort=<JSON>, exports via GET /data/:id/export
+export const cohortDataset = catchAsyncError(async (req, res) => {
+  const dataset = await findOwnDataset(req.params.id, req.user.id, `${ROW_FIELDS} kpiRoles`);
+  const query = parseCohortQuery(req.body, dataset.headers, dataset.kpiRoles);
+  const result = await cohortRetention(streamRows(dataset), query);
+
+  res.status(200).json({ datasetId: dataset._id, ...result });
+});
+
+// 🔬 Per-column statistics over every row; cached until the dataset changes (?bins=&top=&refresh=true)
+export const profileDataset = catchAsyncError(async (req, res) => {
+  const dataset = await findOwnDataset(req.params.id, req.user.id, `${ROW_FIELDS} version`);
+  const profile = await getDatasetProfile(dataset, {
+    ...parseProfileOptions(req.query),
+    refresh: req.query.refresh === "true",
+  });
+
+  res.status(200).json({ datasetId: dataset._id, version: dataset.version, ...profile });
+});
+
+// 🚨 Outlier rows (z-score / IQR), or spikes and dips in a series when a dateColumn is given;
+// row fences come from the cached column profile
+export const anomalyDataset = catchAsyncError(async (req, res) => {
+  const dataset = await findOwnDataset(req.params.id, req.user.id, `${ROW_FIELDS} version`);
+  const query = parseAnomalyQuery(req.body, dataset);
+  const result = query.target === "series"
+    ? await detectSeriesAnomalies(streamRows(dataset), query)
+    : await detectRowAnomalies(streamRows(dataset), query, await getDatasetProfile(dataset));
+
+  res.status(200).json({ datasetId: dataset._id, ...result });
+});
+
+// 🔮 Forecast a metric by date (linear, moving average or Holt-Winters) with intervals and a backtest
+export const forecastDataset = catchAsyncError(async (req, res) => {
+  const dataset = await findOwnDataset(req.params.id, req.user.id, ROW_FIELDS);
+  const query = parseForecastQuery(req.body, dataset.headers);
+  const forecast = await forecastRows(streamRows(dataset), query);
+
+  res.status(200).json({ datasetId: dataset._id, ...forecast });
+});
+
+// 🔗 Pearson/Spearman and Cramér's V matrices with p-values, plus ranked drivers of an optional target
+export const correlationDataset = catchAsyncError(async (req, res) => {
+  const dataset = await findOwnDataset(req.params.id, req.user.id, ROW_FIELDS);
+  const query = parseCorrelationQuery(req.body, dataset);
+  const result = await correlateRows(streamRows(dataset), query, { rowCount: dataset.rowCount });
+
+  res.status(200).json({ datasetId: dataset._id, ...result });
+});
+
+// 🪜 Ordered funnel over an event log: step counts, conversion, time between steps and segment breakdowns
+export const funnelDataset = catchAsyncError(async (req, res) => {
+  const dataset = await findOwnDataset(req.params.id, req.user.id, `${ROW_FIELDS} kpiRoles`);
+  const query = parseFunnelQuery(req.body, dataset.headers, dataset.kpiRoles);
+  const funnel = await funnelRows(streamRows(dataset), query);
+
+  res.status(200).json({ datasetId: dataset._id, ...funnel });
+});
+
+// 🖌️ Draw a chart spec (line, bar, area, pie, scatter) over a dataset as SVG or PNG (?format=, width, height, scale)
+export const chartImageDataset = catchAsyncError(async (req, res) => {
+  const image = parseImageOptions(req.query);
+  const source = await loadChartSource({ datasetId: req.params.id, viewId: req.body.viewId }, req.user.id);
+  const definition = parseChartDefinition(req.body, source.dataset.headers);
+  assertRenderable(definition.fields.type);
+
+  const data = await chartData(chartRows(source), definition, { rowCount: source.dataset.rowCount });
+  const { contentType, body } = renderChartImage(definition.fields, data, image);
+  res.setHeader("Content-Type", contentType);
+  res.status(200).send(body);
+});
@@ -0,0 +1,155 @@
+import { streamRows } from '../../utils/rowStore.js';
+import { replaceDatasetRows } from '../../utils/datasetIngest.js';
+import {
+  MAX_COMPUTED_COLUMNS, validateComputedColumn, addComputedColumns, stripColumns,
+} from '../../utils/computedColumns.js';
+import { FORMULA_FUNCTIONS } from '../../utils/formula.js';
+import { findOwnDataset } from '../../utils/datasetAccess.js';
+import { catchAsyncError } from '../../middleware/catchAsyncError.js';
+import ErrorHandler from '../../utils/errorHandler.js';
+
+const MAX_PREVIEW_ROWS = 200;
+
+const plainDefinitions = (dataset) =>
+  (dataset.computedColumns || []).map(({ name, expression }) => ({ name, expression }));
+
+const baseHeadersOf = (dataset) => {
+  const computed = new Set(plainDefinitions(dataset).map(column => column.name));
+  return (dataset.headers || []).filter(header => !computed.has(header));
+};
+
+const findComputedIndex = (definitions, name) => {
+  const index = definitions.findIndex(column => column.name === name);
+  if (index === -1) {
+    throw new ErrorHandler(`Computed column "${name}" not found`, 404);
+  }
+  return index;
+};
+
+// Definitions are checked in order, so each formula only sees columns defined before it
+const validateDefinitions = (definitions, baseHeaders) =>
+  definitions.reduce((valid, definition) => [...valid, validateComputedColumn(definition, baseHeaders, valid)], []);
+
+// Rewrite the rows so every computed column is recalculated; dropped ones are stripped
+const recalculate = async (dataset, definitions, { removed = [], author, summary }) => {
+  const current = streamRows({
+    _id: dataset._id,
+    rowStorage: dataset.rowStorage,
+    rowGeneration: dataset.rowGeneration,
+  });
+  dataset.computedColumns = definitions;
+  dataset.schema = dataset.schema.filter(column => !removed.includes(column.name));
+  return replaceDatasetRows(dataset, stripColumns(current, removed), {
+    keepSchema: true,
+    change: { author, action: "transform", summary },
+  });
+};
+
+const computedResponse = (dataset) => ({
+  datasetId: dataset._id,
+  computedColumns: dataset.computedColumns,
+  headers: dataset.headers,
+  rowCount: dataset.rowCount,
+  version: dataset.version,
+});
+
+// 🧮 Computed columns of a dataset, in evaluation order
+export const getComputedColumns = catchAsyncError(async (req, res) => {
+  const dataset = await findOwnDataset(req.params.id, req.user.id, '_id headers schema computedColumns');
+
+  res.status(200).json({
+    datasetId: dataset._id,
+    computedColumns: plainDefinitions(dataset).map(definition => ({
+      ...definition,
+      type: dataset.schema.find(column => column.name === definition.name)?.type ?? null,
+    })),
+    functions: FORMULA_FUNCTIONS,
+  });
+});
+
+// 👀 Evaluate a formula on the first rows without saving it
+export const previewComputedColumn = catchAsyncError(async (req, res) => {
+  const dataset = await findOwnDataset(req.params.id, req.user.id);
+  const existing = plainDefinitions(dataset);
+  const baseHeaders = baseHeadersOf(dataset);
+  const name = req.body.name || "preview";
+  const definition = validateComputedColumn(
+    { name, expression: req.body.expression },
+    baseHeaders,
+    existing.filter(column => column.name !== name)
+  );
+  const limit = Math.min(Math.max(parseInt(req.body.limit, 10) || 20, 1), MAX_PREVIEW_ROWS);
+
+  const computed = addComputedColumns(streamRows(dataset), [definition]);
+  const rows = [];
+  for await (const row of computed.rows) {
+    rows.push(row);
+    if (rows.length >= limit) break;
+  }
+
+  res.status(200).json({
+    datasetId: dataset._id,
+    ...definition,
+    type: computed.getSchema()[0]?.type ?? null,
+    rows,
+  });
+});
+
+// ➕ Add a computed column and fill it in for every row
+export const addComputedColumn = catchAsyncError(async (req, res, next) => {
+  const dataset = await findOwnDataset(req.params.id, req.user.id);
+  const existing = plainDefinitions(dataset);
+  if (existing.length >= MAX_COMPUTED_COLUMNS) {
+    return next(new ErrorHandler(`A dataset can have at most ${MAX_COMPUTED_COLUMNS} computed columns`, 400));
+  }
+  const definition = validateComputedColumn(req.body, baseHeadersOf(dataset), existing);
+
+  await recalculate(dataset, [...existing, definition], {
+    author: req.user.id,
+    summary: `Added computed column "${definition.name}"`,
+  });
+  res.status(201).json({ message: "Computed column added", ...computedResponse(dataset) });
+});
+
+// ✏️ Change a computed column's formula or name
+export const updateComputedColumn = catchAsyncError(async (req, res) => {
+  const dataset = await findOwnDataset(req.params.id, req.user.id);
+  const existing = plainDefinitions(dataset);
+  const index = findComputedIndex(existing, req.params.name);
+  const current = existing[index];
+
+  const updated = [...existing];
+  updated[index] = {
+    name: req.body.name ?? current.name,
+    expression: req.body.expression ?? current.expression,
+  };
+  const definitions = validateDefinitions(updated, baseHeadersOf(dataset));
+  const renamed = definitions[index].name !== current.name;
+
+  await recalculate(dataset, definitions, {
+    removed: renamed ? [current.name] : [],
+    author: req.user.id,
+    summary: renamed
+      ? `Updated computed column "${current.name}" (now "${definitions[index].name}")`
+      : `Updated computed column "${current.name}"`,
+  });
+  res.status(200).json({ message: "Computed column updated", ...computedResponse(dataset) });
+});
+
+// 🗑️ Remove a computed column and its values
+export const deleteComputedColumn = catchAsyncError(async (req, res) => {
+  const dataset = await findOwnDataset(req.params.id, req.user.id);
+  const existing = plainDefinitions(dataset);
+  const index = findComputedIndex(existing, req.params.name);
+  const remaining = existing.filter((_, i) => i !== index);
+
+  // Later formulas that used this column would silently turn blank
+  validateDefinitions(remaining, baseHeadersOf(dataset));
+
+  await recalculate(dataset, remaining, {
+    removed: [req.params.name],
+    author: req.user.id,
+    summary: `Removed computed column "${req.params.name}"`,
+  });
+  res.status(200).json({ message: "Computed column removed", ...computedResponse(dataset) });
+});
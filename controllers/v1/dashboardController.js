@@ -0,0 +1,210 @@
+import DASHBOARD from '../../models/Dashboard.js';
+import CHART from '../../models/Chart.js';
+import { parseChartDefinition, mergeChartDefinition, parseLayout } from '../../utils/charts.js';
+import { parseImageOptions, assertRenderable, renderChartImage } from '../../utils/chartRender.js';
+import {
+  MAX_DASHBOARDS_PER_USER,
+  MAX_CHARTS_PER_DASHBOARD,
+  findOwnDashboard,
+  findVisibleDashboard,
+  parseSharedWith,
+  findDashboardChart,
+  nextChartPosition,
+  loadChartSource,
+  computeChart,
+} from '../../utils/dashboards.js';
+import { catchAsyncError } from '../../middleware/catchAsyncError.js';
+import ErrorHandler from '../../utils/errorHandler.js';
+
+// ============================================
+// DASHBOARDS
+// ============================================
+
+// 📊 Save a named dashboard; charts are added to it one by one
+export const createDashboard = catchAsyncError(async (req, res, next) => {
+  const { name, description } = req.body;
+  if (typeof name !== "string" || !name.trim()) {
+    return next(new ErrorHandler("Dashboard name is required", 400));
+  }
+  if (await DASHBOARD.countDocuments({ userId: req.user.id }) >= MAX_DASHBOARDS_PER_USER) {
+    return next(new ErrorHandler(`You can have at most ${MAX_DASHBOARDS_PER_USER} dashboards`, 400));
+  }
+
+  const dashboard = await DASHBOARD.create({ userId: req.user.id, name, description });
+  res.status(201).json({ message: "Dashboard created", dashboard });
+});
+
+// 📋 The user's dashboards, and those other users shared with them
+export const getMyDashboards = catchAsyncError(async (req, res) => {
+  const [dashboards, sharedDashboards] = await Promise.all([
+    DASHBOARD.find({ userId: req.user.id }).sort({ updatedAt: -1 }).lean(),
+    DASHBOARD.find({ sharedWith: req.user.id }).select('-sharedWith').sort({ updatedAt: -1 }).lean(),
+  ]);
+  res.status(200).json({ dashboards, sharedDashboards });
+});
+
+// 🗂️ A dashboard (own or shared) with its charts' definitions and layout
+export const getDashboardById = catchAsyncError(async (req, res) => {
+  const dashboard = await findVisibleDashboard(req.params.dashboardId, req.user.id);
+  const charts = await CHART.find({ dashboardId: dashboard._id }).sort({ "layout.y": 1, "layout.x": 1 }).lean();
+  res.status(200).json({ dashboard, charts });
+});
+
+// ✏️ Rename a dashboard, share it for reading with { sharedWith: [userId] },
+// or move its charts with { layout: [{ chartId, x, y, w, h }] }
+export const updateDashboard = catchAsyncError(async (req, res, next) => {
+  const dashboard = await findOwnDashboard(req.params.dashboardId, req.user.id);
+  const { name, description, sharedWith, layout } = req.body;
+
+  if (name !== undefined) {
+    if (typeof name !== "string" || !name.trim()) {
+      return next(new ErrorHandler("Dashboard name is required", 400));
+    }
+    dashboard.name = name;
+  }
+  if (description !== undefined) dashboard.description = description;
+  if (sharedWith !== undefined) dashboard.sharedWith = await parseSharedWith(sharedWith, req.user.id);
+
+  let moves = [];
+  if (layout !== undefined) {
+    if (!Array.isArray(layout)) {
+      return next(new ErrorHandler("layout must be an array of { chartId, x, y, w, h }", 400));
+    }
+    const charts = await CHART.find({ dashboardId: dashboard._id }).select('_id layout').lean();
+    const byId = new Map(charts.map(chart => [String(chart._id), chart]));
+    moves = layout.map(({ chartId, ...position }) => {
+      const chart = byId.get(String(chartId));
+      if (!chart) {
+        throw new ErrorHandler(`Chart ${chartId} is not on this dashboard`, 400);
+      }
+      return { _id: chart._id, layout: parseLayout(position, chart.layout) };
+    });
+  }
+
+  await Promise.all([
+    dashboard.save(),
+    ...moves.map(({ _id, layout: position }) => CHART.updateOne({ _id }, { layout: position })),
+  ]);
+  res.status(200).json({ message: "Dashboard updated", dashboard });
+});
+
+export const deleteDashboard = catchAsyncError(async (req, res) => {
+  const dashboard = await findOwnDashboard(req.params.dashboardId, req.user.id);
+  await Promise.all([
+    dashboard.deleteOne(),
+    CHART.deleteMany({ dashboardId: dashboard._id }),
+  ]);
+  res.status(200).json({ message: "Dashboard deleted successfully" });
+});
+
+// ============================================
+// CHARTS
+// ============================================
+
+// ➕ Add a chart: type, dataset (optionally a saved view of it), x/y mappings, filters and grid position
+export const createChart = catchAsyncError(async (req, res, next) => {
+  const dashboard = await findOwnDashboard(req.params.dashboardId, req.user.id);
+  const { datasetId, viewId, layout } = req.body;
+  if (!datasetId) {
+    return next(new ErrorHandler("datasetId is required", 400));
+  }
+
+  const charts = await CHART.find({ dashboardId: dashboard._id }).select('layout').lean();
+  if (charts.length >= MAX_CHARTS_PER_DASHBOARD) {
+    return next(new ErrorHandler(`A dashboard can have at most ${MAX_CHARTS_PER_DASHBOARD} charts`, 400));
+  }
+
+  const { dataset, view } = await loadChartSource({ datasetId, viewId }, req.user.id);
+  const { fields } = parseChartDefinition(req.body, dataset.headers);
+  const fallback = nextChartPosition(charts);
+
+  const chart = await CHART.create({
+    ...fields,
+    dashboardId: dashboard._id,
+    userId: req.user.id,
+    datasetId: dataset._id,
+    viewId: view?._id,
+    layout: layout === undefined ? fallback : parseLayout(layout, fallback),
+  });
+  await dashboard.updateOne({ updatedAt: new Date() });
+
+  res.status(201).json({ message: "Chart created", chart });
+});
+
+// ✏️ Change a chart; omitted fields keep their saved values
+export const updateChart = catchAsyncError(async (req, res) => {
+  const dashboard = await findOwnDashboard(req.params.dashboardId, req.user.id);
+  const chart = await findDashboardChart(dashboard._id, req.params.chartId);
+  const { datasetId = chart.datasetId, layout } = req.body;
+  // Moving to another dataset drops the old dataset's view unless a new one is given
+  const viewId = "viewId" in req.body
+    ? req.body.viewId || null
+    : String(datasetId) === String(chart.datasetId) ? chart.viewId : null;
+
+  const { dataset, view } = await loadChartSource({ datasetId, viewId }, req.user.id);
+  const fields = mergeChartDefinition(chart, req.body, dataset.headers);
+
+  chart.set({
+    ...fields,
+    datasetId: dataset._id,
+    viewId: view?._id ?? undefined,
+    ...(layout !== undefined && { layout: parseLayout(layout, chart.layout) }),
+  });
+  await chart.save();
+  await dashboard.updateOne({ updatedAt: new Date() });
+
+  res.status(200).json({ message: "Chart updated", chart });
+});
+
+export const deleteChart = catchAsyncError(async (req, res) => {
+  const dashboard = await findOwnDashboard(req.params.dashboardId, req.user.id);
+  const chart = await findDashboardChart(dashboard._id, req.params.chartId);
+  await chart.deleteOne();
+  await dashboard.updateOne({ updatedAt: new Date() });
+
+  res.status(200).json({ message: "Chart deleted", chartId: chart._id });
+});
+
+// ============================================
+// DATA
+// ============================================
+
+// 📈 Computed series of one chart
+export const getChartData = catchAsyncError(async (req, res) => {
+  const dashboard = await findVisibleDashboard(req.params.dashboardId, req.user.id);
+  const chart = await findDashboardChart(dashboard._id, req.params.chartId);
+
+  res.status(200).json(await computeChart(chart, dashboard.userId));
+});
+
+// 🖌️ One chart drawn as SVG or PNG (?format=, width, height, scale), for reports and embeds
+export const getChartImage = catchAsyncError(async (req, res) => {
+  const image = parseImageOptions(req.query);
+  const dashboard = await findVisibleDashboard(req.params.dashboardId, req.user.id);
+  const chart = await findDashboardChart(dashboard._id, req.params.chartId);
+  assertRenderable(chart.type);
+
+  const { data } = await computeChart(chart, dashboard.userId);
+  const { contentType, body } = renderChartImage(chart, data, image);
+  res.setHeader("Content-Type", contentType);
+  res.status(200).send(body);
+});
+
+// 🖼️ Computed series of every chart on a dashboard; a chart that fails reports its error instead
+export const getDashboardData = catchAsyncError(async (req, res) => {
+  const dashboard = await findVisibleDashboard(req.params.dashboardId, req.user.id);
+  const charts = await CHART.find({ dashboardId: dashboard._id }).sort({ "layout.y": 1, "layout.x": 1 }).lean();
+
+  // One chart at a time, so a large dashboard doesn't scan every dataset at once
+  const results = [];
+  for (const chart of charts) {
+    try {
+      results.push(await computeChart(chart, dashboard.userId));
+    } catch (err) {
+      if (!err.statusCode) console.warn(`Chart ${chart._id} failed:`, err.message);
+      results.push({ chartId: chart._id, type: chart.type, error: err.statusCode ? err.message : "Failed to compute chart" });
+    }
+  }
+
+  res.status(200).json({ dashboardId: dashboard._id, charts: results });
+});
@@ -1,9 +1,21 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import Papa from 'papaparse';
-import xlsx from 'xlsx';
+import { randomUUID } from 'crypto';
+import mongoose from 'mongoose';
 import DATASHEET from '../../models/Dataset.js';
+import { openDataFile, peekRows } from '../../utils/fileParsers.js';
+import { createDatasetFromRows, replaceDatasetRows } from '../../utils/datasetIngest.js';
+import { readRows, streamRows, deleteRows, countRows } from '../../utils/rowStore.js';
+import { parseRowQuery, queryRows, DEFAULT_PAGE_SIZE } from '../../utils/rowQuery.js';
+import { COLUMN_TYPES, typeRows, overridesFromSchema } from '../../utils/schemaInference.js';
+import { deleteVersions } from '../../utils/datasetVersions.js';
+import { refreshDependents } from '../../utils/derivedDatasets.js';
+import { deleteProfile } from '../../utils/columnProfile.js';
+import { deleteDatasetViews } from '../../utils/datasetViews.js';
+import { deleteDatasetCharts } from '../../utils/dashboards.js';
+import { MERGE_MODES, checkHeaderCompatibility, mergeRows } from '../../utils/datasetMerge.js';
+import { previewTable } from '../../utils/uploadPreview.js';
 import { catchAsyncError } from '../../middleware/catchAsyncError.js';
 import ErrorHandler from '../../utils/errorHandler.js';
 const __filename = fileURLToPath(import.meta.url);
@@ -16,6 +28,157 @@ const deleteFileIfExists = (filePath) => {
   }
 };
 
+// 📑 List fields arrive as a JSON array, a comma-separated string or repeated form fields
+const parseListField = (value) => {
+  if (value === undefined || value === null || value === "") return [];
+  if (Array.isArray(value)) return value.map(item => String(item).trim()).filter(Boolean);
+
+  const text = String(value).trim();
+  if (text.startsWith("[")) {
+    try {
+      return parseListField(JSON.parse(text));
+    } catch {
+      // fall through to comma-separated parsing
+    }
+  }
+  return text.split(",").map(item => item.trim()).filter(Boolean);
+};
+
+// 📑 Object fields arrive as JSON text in multipart forms
+const parseObjectField = (value, field) => {
+  if (!value) return {};
+  if (typeof value === "object") return value;
+  try {
+    const parsed = JSON.parse(value);
+    if (parsed && typeof parsed === "object" && !Array.isArray(parsed)) return parsed;
+  } catch {
+    // reported below
+  }
+  throw new ErrorHandler(`${field} must be a JSON object`, 400);
+};
+
+// A bare number skips that many leading rows; a list skips those row indexes
+const parseSkipRows = (value) => {
+  if (value === undefined || value === null || value === "") return undefined;
+  if (typeof value === "number") return value;
+  if (!Array.isArray(value) && !String(value).trim().startsWith("[") && !String(value).includes(",")) {
+    return Number(value) || 0;
+  }
+  return parseListField(value).map(Number).filter(Number.isInteger);
+};
+
+// ⚙️ Parser and shaping options from the request body / multipart form fields
+const parserOptions = (options) => ({
+  delimiter: options.delimiter,
+  encoding: options.encoding,
+  flatten: options.flatten !== false && options.flatten !== "false",
+  headerRow: Number(options.headerRow) || 0,
+  skipRows: parseSkipRows(options.skipRows),
+  exclude: parseListField(options.exclude),
+  rename: parseObjectField(options.rename, "rename"),
+});
+
+// 📥 Parse an uploaded file and store it as one dataset, or one per selected worksheet
+const importDataFile = async ({ filePath, fileName, userId, options }) => {
+  const source = await openDataFile(filePath, fileName, parserOptions(options));
+
+  if (source.format !== "excel") {
+    const dataset = await createDatasetFromRows({
+      userId,
+      name: fileName,
+      source: source.format === "delimited" ? "csv" : "json",
+      fileType: source.fileType,
+    }, source.tables[0].rows, { summary: `Uploaded ${fileName}` });
+
+    if (!dataset || dataset.headers.length === 0) {
+      throw new ErrorHandler(`${source.fileType.toUpperCase()} file is empty or malformed`, 400);
+    }
+    return { source, datasets: [dataset] };
+  }
+
+  const requestedSheets = parseListField(options.sheets);
+  const sheetNames = requestedSheets.length > 0 ? requestedSheets : source.sheetNames;
+  const unknownSheets = sheetNames.filter(name => !source.sheetNames.includes(name));
+
+  if (unknownSheets.length > 0) {
+    throw new ErrorHandler(
+      `Unknown sheet(s): ${unknownSheets.join(", ")}. Available sheets: ${source.sheetNames.join(", ")}`,
+      400
+    );
+  }
+
+  const workbookId = new mongoose.Types.ObjectId();
+  const datasets = [];
+  const skippedSheets = [];
+  try {
+    for (const table of source.tables.filter(t => sheetNames.includes(t.sheetName))) {
+      const dataset = await createDatasetFromRows({
+        userId,
+        name: sheetNames.length > 1 ? `${fileName} - ${table.sheetName}` : fileName,
+        source: "docs",
+        fileType: source.fileType,
+        workbookId,
+        workbookName: fileName,
+        sheetName: table.sheetName,
+        sheetIndex: table.sheetIndex,
+      }, table.rows, { summary: `Uploaded ${fileName} (sheet "${table.sheetName}")` });
+
+      if (dataset) {
+        datasets.push(dataset);
+      } else {
+        skippedSheets.push(table.sheetName);
+      }
+    }
+  } catch (err) {
+    // Don't leave half a workbook behind
+    await Promise.all(datasets.map(ds => Promise.all([
+      DATASHEET.deleteOne({ _id: ds._id }),
+      deleteRows(ds._id),
+      deleteVersions(ds._id),
+    ])));
+    throw err;
+  }
+
+  if (datasets.length === 0) {
+    throw new ErrorHandler("Excel file is empty or has no data", 400);
+  }
+  return { source, datasets, workbookId, skippedSheets };
+};
+
+// 📤 Response for a committed single-file import
+const sendImportResult = (res, { source, datasets, workbookId, skippedSheets }) => {
+  const [first] = datasets;
+  if (source.format !== "excel") {
+    return res.status(201).json({
+      message: "✅ File uploaded & parsed successfully",
+      datasetId: first._id,
+      rowCount: first.rowCount,
+      headers: first.headers,
+      schema: first.schema,
+      fileType: source.fileType,
+      encoding: source.encoding,
+      delimiter: source.delimiter,
+    });
+  }
+
+  return res.status(201).json({
+    message: `✅ Imported ${datasets.length} sheet(s) from workbook`,
+    workbookId,
+    datasetId: first._id,
+    rowCount: first.rowCount,
+    headers: first.headers,
+    datasets: datasets.map(ds => ({
+      datasetId: ds._id,
+      sheetName: ds.sheetName,
+      sheetIndex: ds.sheetIndex,
+      rowCount: ds.rowCount,
+      headers: ds.headers,
+      schema: ds.schema,
+    })),
+    skippedSheets,
+  });
+};
+
 export const uploadFile = catchAsyncError(async (req, res, next) => {
   // Check authentication first
   if (!req.user || !req.user.id) {
@@ -92,100 +255,289 @@ export const uploadFile = catchAsyncError(async (req, res, next) => {
     userId: req.user.id // Added for debugging
   });
 
-  // ⚙️ Function to store in DB and respond
-  const storeAndRespond = async (rows, headers) => {
-    try {
-      const newDataset = await DATASHEET.create({
-        userId: req.user.id,
-        name: file.originalname,
-        source: ext === ".csv" ? "csv" : "docs",
-        headers,
-        rows,
-      });
+  let result;
+  try {
+    result = await importDataFile({
+      filePath,
+      fileName: file.originalname,
+      userId: req.user.id,
+      options: req.body || {},
+    });
+  } finally {
+    deleteFileIfExists(filePath);
+  }
 
-      deleteFileIfExists(filePath);
+  return sendImportResult(res, result);
+});
 
-      return res.status(201).json({
-        message: "✅ File uploaded & parsed successfully",
-        datasetId: newDataset._id,
-        rowCount: rows.length,
-        headers,
-      });
-    } catch (dbError) {
-      deleteFileIfExists(filePath);
-      throw dbError;
+// 🗂️ Files kept on disk between a preview and its confirmation (30-minute TTL)
+const pendingUploads = new Map();
+const PREVIEW_TTL = 30 * 60 * 1000; // 30 minutes
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [previewId, pending] of pendingUploads.entries()) {
+    if (now - pending.timestamp > PREVIEW_TTL) {
+      deleteFileIfExists(pending.filePath);
+      pendingUploads.delete(previewId);
+    }
+  }
+}, 10 * 60 * 1000);
+
+const getPendingUpload = (previewId, userId) => {
+  const pending = pendingUploads.get(previewId);
+  if (!pending || String(pending.userId) !== String(userId)) return null;
+  if (Date.now() - pending.timestamp > PREVIEW_TTL) {
+    deleteFileIfExists(pending.filePath);
+    pendingUploads.delete(previewId);
+    return null;
+  }
+  return pending;
+};
+
+// 👀 Dry run: parse and type a file without writing to Mongo. Re-posting to
+// /upload/preview/:previewId re-runs it with new shaping options, no re-upload.
+export const previewUpload = catchAsyncError(async (req, res, next) => {
+  let pending;
+  if (req.params.previewId) {
+    pending = getPendingUpload(req.params.previewId, req.user.id);
+    if (!pending) {
+      return next(new ErrorHandler("Preview expired or not found. Please upload the file again.", 404));
     }
-  };
+  } else {
+    if (!req.file?.path) {
+      return next(new ErrorHandler("No file uploaded", 400));
+    }
+    pending = {
+      previewId: randomUUID(),
+      filePath: req.file.path,
+      fileName: req.file.originalname,
+      userId: req.user.id,
+      timestamp: Date.now(),
+    };
+    pendingUploads.set(pending.previewId, pending);
+  }
+
+  const options = req.body || {};
+  const limit = Math.min(Number(options.limit ?? req.query.limit) || 20, 200);
+
+  let source;
+  try {
+    source = await openDataFile(pending.filePath, pending.fileName, parserOptions(options));
+  } catch (err) {
+    if (!req.params.previewId) {
+      deleteFileIfExists(pending.filePath);
+      pendingUploads.delete(pending.previewId);
+    }
+    throw err;
+  }
+
+  const requestedSheets = parseListField(options.sheets);
+  const tables = source.tables.filter(table =>
+    requestedSheets.length === 0 || requestedSheets.includes(table.sheetName));
 
-  // 📥 Parse CSV
-  if (ext === ".csv") {
+  const previews = [];
+  for (const table of tables) {
+    previews.push(await previewTable(table, { limit }));
+  }
+
+  res.status(200).json({
+    previewId: pending.previewId,
+    expiresAt: new Date(pending.timestamp + PREVIEW_TTL).toISOString(),
+    fileName: pending.fileName,
+    fileType: source.fileType,
+    encoding: source.encoding,
+    delimiter: source.delimiter,
+    sheetNames: source.sheetNames,
+    tables: previews,
+  });
+});
+
+// ✅ Commit a previewed file with the chosen header row, skipped rows, renames and exclusions
+export const confirmUpload = catchAsyncError(async (req, res, next) => {
+  const pending = getPendingUpload(req.params.previewId, req.user.id);
+  if (!pending) {
+    return next(new ErrorHandler("Preview expired or not found. Please upload the file again.", 404));
+  }
+
+  // Claim the preview first so a repeated confirm can't import the file twice.
+  // On failure it is put back, file and all, so the client can retry with other options
+  pendingUploads.delete(pending.previewId);
+  let result;
+  try {
+    result = await importDataFile({
+      filePath: pending.filePath,
+      fileName: pending.fileName,
+      userId: req.user.id,
+      options: req.body || {},
+    });
+  } catch (error) {
+    pendingUploads.set(pending.previewId, pending);
+    throw error;
+  }
+
+  deleteFileIfExists(pending.filePath);
+
+  return sendImportResult(res, result);
+});
+
+// 📦 Batch helpers
+const summarizeDataset = (ds) => ({
+  datasetId: ds._id,
+  name: ds.name,
+  sheetName: ds.sheetName,
+  rowCount: ds.rowCount,
+  headers: ds.headers,
+});
+
+async function* concatRows(tables) {
+  for (const table of tables) {
+    yield* table.rows;
+  }
+}
+
+// Each file becomes its own dataset(s); one bad file doesn't stop the rest
+const importFilesSeparately = async (files, userId, options) => {
+  const results = [];
+  for (const file of files) {
     try {
-      const csvContent = fs.readFileSync(filePath, "utf8");
-
-      return new Promise((resolve, reject) => {
-        Papa.parse(csvContent, {
-          header: true,
-          skipEmptyLines: true,
-          dynamicTyping: true,
-          complete: async (result) => {
-            try {
-              const data = result.data;
-              const headers = result.meta.fields || [];
-
-              if (data.length === 0 || headers.length === 0) {
-                deleteFileIfExists(filePath);
-                return next(new ErrorHandler("CSV file is empty or malformed", 400));
-              }
-
-              await storeAndRespond(data, headers);
-              resolve();
-            } catch (err) {
-              reject(err);
-            }
-          },
-          error: (parseError) => {
-            deleteFileIfExists(filePath);
-            reject(new ErrorHandler(`CSV parse error: ${parseError.message}`, 400));
-          },
-        });
+      const { source, datasets, workbookId, skippedSheets } = await importDataFile({
+        filePath: file.path,
+        fileName: file.originalname,
+        userId,
+        options,
       });
-    } catch (readError) {
-      deleteFileIfExists(filePath);
-      return next(new ErrorHandler(`Failed to read CSV file: ${readError.message}`, 400));
+      results.push({
+        fileName: file.originalname,
+        success: true,
+        fileType: source.fileType,
+        workbookId,
+        skippedSheets,
+        datasets: datasets.map(summarizeDataset),
+      });
+    } catch (err) {
+      results.push({ fileName: file.originalname, success: false, error: err.message });
     }
   }
+  return results;
+};
+
+// Tables whose column names match are concatenated into one combined dataset
+const importFilesCombined = async (files, userId, options) => {
+  const results = files.map(file => ({ fileName: file.originalname, success: false, datasets: [] }));
+  const groups = new Map();
 
-  // 📥 Parse Excel
-  else if (ext === ".xlsx" || ext === ".xls") {
+  for (const [fileIndex, file] of files.entries()) {
     try {
-      const workbook = xlsx.readFile(filePath);
-      const sheetName = workbook.SheetNames[0];
-      const sheet = workbook.Sheets[sheetName];
-      const data = xlsx.utils.sheet_to_json(sheet, { defval: "" });
-
-      if (data.length === 0) {
-        deleteFileIfExists(filePath);
-        return next(new ErrorHandler("Excel file is empty or has no data", 400));
+      const source = await openDataFile(file.path, file.originalname, parserOptions(options));
+      for (const table of source.tables) {
+        const { headers, rows } = await peekRows(table.rows);
+        if (headers.length === 0) continue;
+
+        const key = [...headers].sort().join("\u0000");
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push({ fileIndex, fileType: source.fileType, sheetName: table.sheetName, rows });
       }
+      results[fileIndex].fileType = source.fileType;
+    } catch (err) {
+      results[fileIndex].error = err.message;
+    }
+  }
+
+  for (const tables of groups.values()) {
+    const fileIndexes = [...new Set(tables.map(t => t.fileIndex))];
+    const fileNames = fileIndexes.map(i => files[i].originalname);
+    const [first] = tables;
+    const label = first.sheetName ? `${fileNames[0]} - ${first.sheetName}` : fileNames[0];
 
-      const headers = Object.keys(data[0]);
-      await storeAndRespond(data, headers);
+    try {
+      const dataset = await createDatasetFromRows({
+        userId,
+        name: tables.length > 1 ? `Combined: ${fileNames.join(", ")}` : label,
+        source: first.fileType === "xlsx" || first.fileType === "xls" ? "docs" : "csv",
+        fileType: first.fileType,
+        sourceFiles: fileNames,
+      }, concatRows(tables), { summary: `Uploaded ${fileNames.join(", ")}` });
+
+      if (!dataset) continue;
+      for (const i of fileIndexes) {
+        results[i].success = true;
+        results[i].datasets.push({ ...summarizeDataset(dataset), combined: tables.length > 1 });
+      }
     } catch (err) {
-      deleteFileIfExists(filePath);
-      return next(new ErrorHandler(`Excel parse error: ${err.message}`, 400));
+      fileIndexes.forEach(i => { results[i].error = err.message; });
     }
   }
 
-  // ❌ Unsupported format
-  else {
-    deleteFileIfExists(filePath);
-    return next(new ErrorHandler("Unsupported file format. Only CSV and Excel files are allowed.", 400));
+  for (const result of results) {
+    if (!result.success && !result.error) {
+      result.error = "File is empty or has no data";
+    }
   }
+  return results;
+};
+
+// 📦 Upload up to 10 files at once; each is parsed on its own and reported separately
+export const uploadBatch = catchAsyncError(async (req, res, next) => {
+  const files = req.files?.files || [];
+  if (files.length === 0) {
+    return next(new ErrorHandler("No files uploaded", 400));
+  }
+
+  const options = req.body || {};
+  const combine = options.combine === true || options.combine === "true";
+
+  let results;
+  try {
+    results = combine
+      ? await importFilesCombined(files, req.user.id, options)
+      : await importFilesSeparately(files, req.user.id, options);
+  } finally {
+    files.forEach(file => deleteFileIfExists(file.path));
+  }
+
+  const succeeded = results.filter(result => result.success).length;
+  res.status(succeeded > 0 ? 201 : 400).json({
+    message: `✅ ${succeeded} of ${files.length} file(s) imported`,
+    combined: combine,
+    succeeded,
+    failed: files.length - succeeded,
+    results,
+  });
 });
 
+// 📚 Group worksheet datasets under their parent workbook
+const groupByWorkbook = (datasets) => {
+  const workbooks = new Map();
+  for (const ds of datasets) {
+    if (!ds.workbookId) continue;
+    const key = String(ds.workbookId);
+    if (!workbooks.has(key)) {
+      workbooks.set(key, {
+        workbookId: ds.workbookId,
+        name: ds.workbookName,
+        uploadedAt: ds.uploadedAt,
+        sheets: [],
+      });
+    }
+    workbooks.get(key).sheets.push({
+      id: ds._id,
+      sheetName: ds.sheetName,
+      sheetIndex: ds.sheetIndex,
+      rowCount: ds.rowCount,
+    });
+  }
+  return [...workbooks.values()].map(workbook => ({
+    ...workbook,
+    sheets: workbook.sheets.sort((a, b) => a.sheetIndex - b.sheetIndex),
+  }));
+};
+
+// 📋 Metadata of every dataset the user owns; rows are paged through GET /users/:id/rows
 export const getMyDatasets = async (req, res) => {
   try {
-    const datasets = await DATASHEET.find({ userId: req.user.id }).sort({ uploadedAt: -1 });
+    const datasets = await DATASHEET.find({ userId: req.user.id }).select('-rows').sort({ uploadedAt: -1 });
+    const rowCounts = await countRows(datasets);
 
     res.status(200).json({
       count: datasets.length,
@@ -193,13 +545,20 @@ export const getMyDatasets = async (req, res) => {
         id: ds?._id,
         name: ds?.name,
         source: ds?.source,
-        rowCount: ds.rows.length,
-        row: ds?.rows,
+        fileType: ds?.fileType,
+        rowCount: rowCounts.get(String(ds._id)),
+        version: ds?.version,
         headers : ds?.headers,
+        schema: ds?.schema,
         uploadedAt: ds?.uploadedAt,
         sheetUrl : ds?.sheetUrl ,
-        lastSyncedAt : ds?.lastSyncedAt
-      }))
+        lastSyncedAt : ds?.lastSyncedAt,
+        workbookId: ds?.workbookId,
+        workbookName: ds?.workbookName,
+        sheetName: ds?.sheetName,
+        sheetIndex: ds?.sheetIndex
+      })),
+      workbooks: groupByWorkbook(datasets)
     });
   } catch (err) {
     res.status(500).json({ message: "Failed to fetch datasets", error: err.message });
@@ -207,24 +566,43 @@ export const getMyDatasets = async (req, res) => {
 };
 
 
+// 📄 Dataset metadata with the first page of rows
 export const getDatasetById = async (req, res) => {
   try {
     const dataset = await DATASHEET.findOne({
       _id: req.params.id,
       userId: req.user.id
-    });
+    }).select('-rows');
 
     if (!dataset) {
       return res.status(404).json({ message: "Dataset not found" });
     }
 
+    let workbook = null;
+    if (dataset.workbookId) {
+      const siblings = await DATASHEET.find({
+        workbookId: dataset.workbookId,
+        userId: req.user.id
+      }).select('_id workbookId workbookName sheetName sheetIndex rowCount uploadedAt');
+      [workbook] = groupByWorkbook(siblings);
+    }
+
+    const [rowCount] = (await countRows([dataset])).values();
+    const firstPage = await readRows(dataset, { limit: DEFAULT_PAGE_SIZE });
+
     res.status(200).json({
       id: dataset._id,
       name: dataset.name,
       source: dataset.source,
       headers: dataset.headers,
-      rows: dataset.rows,
-      uploadedAt: dataset.uploadedAt
+      schema: dataset.schema,
+      rowCount,
+      version: dataset.version,
+      rows: firstPage,
+      hasMoreRows: rowCount > firstPage.length,
+      uploadedAt: dataset.uploadedAt,
+      sheetName: dataset.sheetName,
+      workbook
     });
   } catch (err) {
     res.status(500).json({ message: "Failed to fetch dataset", error: err.message });
@@ -243,6 +621,14 @@ export const deleteDatasetById = async (req, res) => {
       return res.status(404).json({ message: "Dataset not found or already deleted" });
     }
 
+    await Promise.all([
+      deleteRows(deleted._id),
+      deleteVersions(deleted._id),
+      deleteProfile(deleted._id),
+      deleteDatasetViews(deleted._id),
+      deleteDatasetCharts(deleted._id),
+    ]);
+
     res.status(200).json({ message: "Dataset deleted successfully" });
   } catch (err) {
     res.status(500).json({ message: "Failed to delete dataset", error: err.message });
@@ -250,5 +636,172 @@ export const deleteDatasetById = async (req, res) => {
 };
 
 
+// 📑 Page through a dataset's rows with sort, projection and filters.
+// GET takes them as query params (filters as JSON); POST /rows/query takes a JSON body.
+export const getDatasetRows = catchAsyncError(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return next(new ErrorHandler("Invalid dataset ID format", 400));
+  }
+
+  const dataset = await DATASHEET.findOne({ _id: req.params.id, userId: req.user.id })
+    .select('_id headers rowCount rowStorage rowGeneration');
+  if (!dataset) {
+    return next(new ErrorHandler("Dataset not found", 404));
+  }
+
+  const query = parseRowQuery(req.method === "GET" ? req.query : req.body, dataset.headers);
+  const [rowCount] = (await countRows([dataset])).values();
+  dataset.rowCount = rowCount;
+  const page = await queryRows(dataset, query);
+
+  res.status(200).json({
+    datasetId: dataset._id,
+    rowCount,
+    columns: query.columns.length ? query.columns : dataset.headers,
+    ...page,
+  });
+});
+
+// 🔧 Override a column's inferred type and re-coerce every row
+export const updateColumnType = catchAsyncError(async (req, res, next) => {
+  const { column, type, format } = req.body;
+
+  if (!column || !type) {
+    return next(new ErrorHandler("column and type are required", 400));
+  }
+  if (!COLUMN_TYPES.includes(type)) {
+    return next(new ErrorHandler(`Invalid type. Allowed types: ${COLUMN_TYPES.join(", ")}`, 400));
+  }
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return next(new ErrorHandler("Invalid dataset ID format", 400));
+  }
+
+  const dataset = await DATASHEET.findOne({ _id: req.params.id, userId: req.user.id }).select('-rows');
+  if (!dataset) {
+    return next(new ErrorHandler("Dataset not found", 404));
+  }
+
+  let target = dataset.schema.find(col => col.name === column);
+  if (!target && dataset.headers.includes(column)) {
+    // Datasets ingested before type inference have no schema entries yet
+    dataset.schema.push({ name: column });
+    target = dataset.schema[dataset.schema.length - 1];
+  }
+  if (!target) {
+    return next(new ErrorHandler(`Column "${column}" not found in dataset`, 400));
+  }
+
+  target.type = type;
+  target.format = format;
+  target.overridden = true;
+
+  // Read the current generation while the re-coerced rows go into the next one
+  const currentRows = streamRows({
+    _id: dataset._id,
+    rowStorage: dataset.rowStorage,
+    rowGeneration: dataset.rowGeneration,
+  });
+  await replaceDatasetRows(dataset, currentRows, {
+    keepSchema: true,
+    change: { author: req.user.id, action: "schema", summary: `Changed type of "${column}" to ${type}` },
+  });
+
+  const updated = dataset.schema.find(col => col.name === column);
+  res.status(200).json({
+    message: "Column type updated",
+    datasetId: dataset._id,
+    column: updated,
+    schema: dataset.schema,
+  });
+});
+
+// ➕ Upload a file into an existing dataset: append, replace or upsert by key columns
+export const uploadIntoDataset = catchAsyncError(async (req, res, next) => {
+  const file = req.file;
+  const options = req.body || {};
+  const mode = options.mode || "append";
+  const keys = parseListField(options.keys);
+
+  try {
+    if (!file?.path) {
+      return next(new ErrorHandler("No file uploaded", 400));
+    }
+    if (!MERGE_MODES.includes(mode)) {
+      return next(new ErrorHandler(`Invalid mode. Allowed modes: ${MERGE_MODES.join(", ")}`, 400));
+    }
+    if (mode === "upsert" && keys.length === 0) {
+      return next(new ErrorHandler("Upsert requires one or more key columns", 400));
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return next(new ErrorHandler("Invalid dataset ID format", 400));
+    }
+
+    const dataset = await DATASHEET.findOne({ _id: req.params.id, userId: req.user.id }).select('-rows');
+    if (!dataset) {
+      return next(new ErrorHandler("Dataset not found", 404));
+    }
+    if (dataset.source === "sheet") {
+      return next(new ErrorHandler("Google Sheet datasets are updated by syncing the sheet", 400));
+    }
+
+    const source = await openDataFile(file.path, file.originalname, parserOptions(options));
+    const table = options.sheet
+      ? source.tables.find(t => t.sheetName === options.sheet)
+      : source.tables[0];
+    if (!table) {
+      return next(new ErrorHandler(`Sheet "${options.sheet}" not found in workbook`, 400));
+    }
+
+    const { headers: incomingHeaders, rows } = await peekRows(table.rows);
+    if (incomingHeaders.length === 0) {
+      return next(new ErrorHandler("Uploaded file is empty or has no data", 400));
+    }
+
+    const { missingColumns, newColumns } = checkHeaderCompatibility(dataset.headers, incomingHeaders, {
+      allowNewColumns: options.allowNewColumns === true || options.allowNewColumns === "true",
+      keys,
+    });
+
+    const previousRowCount = dataset.rowCount;
+    const merge = mergeRows({
+      existing: streamRows({
+        _id: dataset._id,
+        rowStorage: dataset.rowStorage,
+        rowGeneration: dataset.rowGeneration,
+      }),
+      // Type incoming values like the stored ones so upsert comparisons are like-for-like
+      incoming: typeRows(rows, { overrides: overridesFromSchema(dataset.schema, { all: true }) }).rows,
+      mode,
+      keys,
+    });
+
+    await replaceDatasetRows(dataset, merge.rows, {
+      keepSchema: true,
+      change: { author: req.user.id, action: mode, summary: `${mode} from ${file.originalname}` },
+    });
+    const counts = merge.getCounts();
+    const refreshedDatasets = await refreshDependents(dataset, req.user.id);
+
+    res.status(200).json({
+      message: `✅ Rows ${mode === "replace" ? "replaced" : mode === "upsert" ? "upserted" : "appended"}`,
+      datasetId: dataset._id,
+      mode,
+      keys,
+      previousRowCount,
+      rowCount: dataset.rowCount,
+      inserted: counts.inserted,
+      updated: counts.updated,
+      unchanged: counts.unchanged,
+      removed: mode === "replace" ? previousRowCount : 0,
+      skipped: counts.skipped,
+      missingColumns,
+      newColumns,
+      headers: dataset.headers,
+      refreshedDatasets,
+    });
+  } finally {
+    if (file?.path) deleteFileIfExists(file.path);
+  }
+});
 
 // export default uploadFile;
\ No newline at end of file
@@ -0,0 +1,34 @@
+import { parseDerivation, createDerivedDataset, refreshDerivedDataset, refreshDependents } from '../../utils/derivedDatasets.js';
+import { findOwnDataset } from '../../utils/datasetAccess.js';
+import { catchAsyncError } from '../../middleware/catchAsyncError.js';
+
+const derivedResponse = (dataset) => ({
+  datasetId: dataset._id,
+  name: dataset.name,
+  rowCount: dataset.rowCount,
+  headers: dataset.headers,
+  version: dataset.version,
+  derivation: dataset.derivation,
+});
+
+// 🔗 Join two datasets on key columns (inner, left, right or full) into a new dataset
+export const joinDatasets = catchAsyncError(async (req, res) => {
+  const parsed = await parseDerivation("join", req.body, req.user.id);
+  const dataset = await createDerivedDataset({ userId: req.user.id, name: req.body.name }, parsed);
+  res.status(201).json({ message: "Datasets joined", ...derivedResponse(dataset) });
+});
+
+// 📚 Stack datasets on top of each other, lining columns up by name
+export const unionDatasets = catchAsyncError(async (req, res) => {
+  const parsed = await parseDerivation("union", req.body, req.user.id);
+  const dataset = await createDerivedDataset({ userId: req.user.id, name: req.body.name }, parsed);
+  res.status(201).json({ message: "Datasets combined", ...derivedResponse(dataset) });
+});
+
+// 🔄 Rebuild a joined or combined dataset from the current rows of its sources
+export const refreshDerived = catchAsyncError(async (req, res) => {
+  const dataset = await findOwnDataset(req.params.id, req.user.id);
+  await refreshDerivedDataset(dataset, { author: req.user.id });
+  const refreshedDatasets = await refreshDependents(dataset, req.user.id);
+  res.status(200).json({ message: "Dataset refreshed", ...derivedResponse(dataset), refreshedDatasets });
+});
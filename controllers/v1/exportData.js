@@ -2,20 +2,256 @@ import ExcelJS from 'exceljs'
 import PDFDocument from 'pdfkit'
 import mongoose from 'mongoose'
 import DATASHEET from '../../models/Dataset.js';
+import { streamRows } from '../../utils/rowStore.js';
+import { parsePivotQuery, pivotRows, pivotToTable } from '../../utils/pivot.js';
+import { parseCohortQuery, cohortRetention, cohortTables } from '../../utils/cohorts.js';
+import { findDatasetView, resolveView, filterViewRows, viewOutput } from '../../utils/datasetViews.js';
+import { parseChartDefinition, chartData } from '../../utils/charts.js';
+import { assertRenderable, renderChartSvg, svgToPng, DEFAULT_IMAGE_SIZE } from '../../utils/chartRender.js';
+import { findOwnChart, computeChart } from '../../utils/dashboards.js';
+import ErrorHandler from '../../utils/errorHandler.js';
+
+// Summary rows (subtotals, grand total) are set in bold
+const EMPHASIZED_ROWS = ["subtotal", "total"];
+
+const parseJsonQuery = (value, name) => {
+  try {
+    return typeof value === "string" ? JSON.parse(value) : value;
+  } catch {
+    throw new ErrorHandler(`${name} must be valid JSON`, 400);
+  }
+};
+
+const MAX_EXPORT_CHARTS = 10;
+// Charts are rasterized at twice their size so they stay sharp in print
+const PDF_CHART_SCALE = 2;
+
+// Red → yellow → green, lowest to highest retention
+const HEATMAP_COLORS = ["FFF8696B", "FFFFEB84", "FF63BE7B"];
+
+const columnLetter = (index) => {
+  let letter = "";
+  for (let n = index; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+  }
+  return letter;
+};
+
+const formatCell = (value) => {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === "number") return value.toLocaleString("en-US", { maximumFractionDigits: 2 });
+  return String(value);
+};
+
+// 🧾 Lay out a table on PDF pages, repeating the header on every page
+const writePdfTable = (doc, { header, rows, rowTypes = [] }) => {
+  const { left, right, bottom } = doc.page.margins;
+  const width = doc.page.width - left - right;
+  const columnWidth = width / header.length;
+  const rowHeight = 14;
+
+  const drawRow = (cells, bold) => {
+    if (doc.y + rowHeight > doc.page.height - bottom) {
+      doc.addPage();
+      drawRow(header, true);
+    }
+    const y = doc.y;
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(8);
+    cells.forEach((cell, i) => {
+      doc.text(formatCell(cell), left + i * columnWidth, y, {
+        width: columnWidth - 4,
+        height: rowHeight - 4,
+        lineBreak: false,
+        ellipsis: true,
+        align: typeof cell === "number" ? "right" : "left",
+      });
+    });
+    doc.x = left;
+    doc.y = y + rowHeight;
+  };
+
+  drawRow(header, true);
+  rows.forEach((row, i) => drawRow(row, EMPHASIZED_ROWS.includes(rowTypes[i])));
+};
+
+// 🖌️ Draw the charts to embed in a PDF export. Entries are saved chart IDs, or chart specs
+// (as for POST /users/:id/chart-image) drawn over the exported rows, so a view's filters apply.
+const renderExportCharts = async (dataset, chartsParam, { openRows, userId }) => {
+  const entries = [].concat(parseJsonQuery(chartsParam, "charts"));
+  if (entries.length > MAX_EXPORT_CHARTS) {
+    throw new ErrorHandler(`At most ${MAX_EXPORT_CHARTS} charts can be embedded in an export`, 400);
+  }
+
+  const images = [];
+  for (const entry of entries) {
+    let chart;
+    let data;
+    if (typeof entry === "string") {
+      chart = await findOwnChart(entry, userId);
+      assertRenderable(chart.type);
+      ({ data } = await computeChart(chart, userId));
+    } else {
+      const definition = parseChartDefinition(entry, dataset.headers);
+      chart = definition.fields;
+      assertRenderable(chart.type);
+      data = await chartData(openRows(), definition, { rowCount: dataset.rowCount });
+    }
+    const svg = renderChartSvg(chart, data, DEFAULT_IMAGE_SIZE);
+    images.push(svgToPng(svg, { width: DEFAULT_IMAGE_SIZE.width, scale: PDF_CHART_SCALE }));
+  }
+  return images;
+};
+
+// Place chart images full width, one under the other, starting a new page when one doesn't fit
+const writePdfCharts = (doc, images) => {
+  const { left, right, bottom } = doc.page.margins;
+  const width = doc.page.width - left - right;
+  const height = width * (DEFAULT_IMAGE_SIZE.height / DEFAULT_IMAGE_SIZE.width);
+
+  images.forEach((image) => {
+    if (doc.y + height > doc.page.height - bottom) doc.addPage();
+    doc.image(image, left, doc.y, { width, height });
+    doc.x = left;
+    doc.y += height + 12;
+  });
+};
+
+// 📐 Send a pivot of the dataset (or of a view's rows) as one XLSX sheet or a PDF table
+const exportPivot = async (res, dataset, type, pivotParam, { rows, name, charts }) => {
+  const query = parsePivotQuery(parseJsonQuery(pivotParam, "pivot"), dataset.headers);
+  const table = pivotToTable(await pivotRows(rows, query));
+  const title = `${name}: ${query.metric.fn}${query.metric.column ? ` of ${query.metric.column}` : ""}`;
+
+  const fileName = `pivot-${dataset._id}.${type === "pdf" ? "pdf" : "xlsx"}`;
+  res.setHeader("Content-Disposition", `attachment; filename=${fileName}`);
+
+  if (type === "pdf") {
+    res.setHeader("Content-Type", "application/pdf");
+    const doc = new PDFDocument({ layout: table.header.length > 6 ? "landscape" : "portrait" });
+    doc.pipe(res);
+    doc.fontSize(16).text(title, { underline: true });
+    doc.moveDown();
+    writePdfCharts(doc, charts);
+    writePdfTable(doc, table);
+    doc.end();
+    return;
+  }
+
+  res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const sheet = workbook.addWorksheet("Pivot");
+
+  const headerRow = sheet.addRow(table.header);
+  headerRow.font = { bold: true };
+  headerRow.commit();
+  table.rows.forEach((cells, i) => {
+    const row = sheet.addRow(cells);
+    if (EMPHASIZED_ROWS.includes(table.rowTypes[i])) row.font = { bold: true };
+    row.commit();
+  });
+
+  await workbook.commit();
+};
+
+// 🔥 Send a cohort retention triangle as XLSX sheets with heatmap colouring, or as PDF tables
+const exportCohorts = async (res, dataset, type, cohortParam, { rows, name, charts }) => {
+  const query = parseCohortQuery(parseJsonQuery(cohortParam, "cohort"), dataset.headers, dataset.kpiRoles);
+  const tables = cohortTables(await cohortRetention(rows, query));
+  const title = `${name}: ${query.granularity}ly cohort retention (${query.retention})`;
+
+  const fileName = `cohorts-${dataset._id}.${type === "pdf" ? "pdf" : "xlsx"}`;
+  res.setHeader("Content-Disposition", `attachment; filename=${fileName}`);
+
+  if (type === "pdf") {
+    res.setHeader("Content-Type", "application/pdf");
+    const doc = new PDFDocument({ layout: tables[0].header.length > 8 ? "landscape" : "portrait" });
+    doc.pipe(res);
+    doc.fontSize(16).text(title, { underline: true });
+    if (charts.length > 0) doc.moveDown();
+    writePdfCharts(doc, charts);
+    tables.forEach((table) => {
+      doc.moveDown();
+      doc.font("Helvetica-Bold").fontSize(12).text(table.name);
+      doc.moveDown(0.5);
+      writePdfTable(doc, { ...table, rowTypes: table.rows.map(row => (row[0] === "Average" ? "total" : "row")) });
+    });
+    doc.end();
+    return;
+  }
+
+  res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  for (const table of tables) {
+    const sheet = workbook.addWorksheet(table.name);
+    const headerRow = sheet.addRow(table.header);
+    headerRow.font = { bold: true };
+    headerRow.commit();
+    table.rows.forEach((cells) => {
+      const row = sheet.addRow(cells);
+      if (cells[0] === "Average") row.font = { bold: true };
+      if (table.percent) {
+        for (let i = 3; i <= cells.length; i++) row.getCell(i).numFmt = '0.0"%"';
+      }
+      row.commit();
+    });
+
+    // Heatmap over the period cells; empty cells of the triangle stay uncoloured
+    if (table.percent && table.rows.length > 0 && table.header.length > 2) {
+      sheet.addConditionalFormatting({
+        ref: `C2:${columnLetter(table.header.length)}${table.rows.length + 1}`,
+        rules: [{
+          type: "colorScale",
+          cfvo: [{ type: "min" }, { type: "percentile", value: 50 }, { type: "max" }],
+          color: HEATMAP_COLORS.map(argb => ({ argb })),
+        }],
+      });
+    }
+    sheet.commit();
+  }
+
+  await workbook.commit();
+};
 
 export const exportDataset = async (req, res) => {
   try {
     const { id } = req.params;
-    const { type } = req.query;
+    const { type, pivot, cohort, charts: chartsParam, view: viewId } = req.query;
     
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({ message: "Invalid dataset ID format" });
     }
 
-    const dataset = await DATASHEET.findById(id);
+    const dataset = await DATASHEET.findOne({ _id: id, userId: req.user.id }).select('-rows');
     if (!dataset) return res.status(404).json({ message: "Dataset not found" });
 
-    const fileName = `dataset-${id}.${type === "pdf" ? "pdf" : "xlsx"}`;
+    if (chartsParam && type !== "pdf") {
+      return res.status(400).json({ message: "Charts can only be embedded in PDF exports" });
+    }
+
+    // A saved view narrows every export to its rows; pivots and cohorts use its filters only
+    const view = viewId ? await findDatasetView(dataset._id, viewId) : null;
+    const resolved = view ? resolveView(view, dataset.headers) : null;
+    const openRows = () => (resolved ? filterViewRows(dataset, resolved) : streamRows(dataset));
+    const source = {
+      rows: openRows(),
+      name: `${dataset.name || "Dataset"}${view ? ` (${view.name})` : ""}`,
+      // Drawn before anything is sent, so a bad chart still gets a JSON error
+      charts: chartsParam ? await renderExportCharts(dataset, chartsParam, { openRows, userId: req.user.id }) : [],
+    };
+
+    if (pivot) {
+      return await exportPivot(res, dataset, type, pivot, source);
+    }
+    if (cohort) {
+      return await exportCohorts(res, dataset, type, cohort, source);
+    }
+
+    const { headers, rows } = resolved
+      ? await viewOutput(dataset, resolved)
+      : { headers: dataset.headers, rows: streamRows(dataset) };
+
+    const fileName = `dataset-${id}${view ? `-view-${view._id}` : ""}.${type === "pdf" ? "pdf" : "xlsx"}`;
     res.setHeader("Content-Disposition", `attachment; filename=${fileName}`);
 
     if (type === "pdf") {
@@ -23,16 +259,17 @@ export const exportDataset = async (req, res) => {
       const doc = new PDFDocument();
       doc.pipe(res);
 
-      doc.fontSize(16).text("Dataset Export", { underline: true });
+      doc.fontSize(16).text(view ? `Dataset Export: ${view.name}` : "Dataset Export", { underline: true });
       doc.moveDown();
+      writePdfCharts(doc, source.charts);
 
-      doc.fontSize(12).text(dataset.headers.join(" | "));
+      doc.fontSize(12).text(headers.join(" | "));
       doc.moveDown();
 
-      dataset.rows.forEach((row) => {
-        const rowText = dataset.headers.map(h => row[h]).join(" | ");
+      for await (const row of rows) {
+        const rowText = headers.map(h => row[h]).join(" | ");
         doc.text(rowText);
-      });
+      }
 
       doc.end();
     }
@@ -40,21 +277,23 @@ export const exportDataset = async (req, res) => {
     else {
       res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
 
-      const workbook = new ExcelJS.Workbook();
+      // Streaming writer flushes each committed row to the response
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
       const sheet = workbook.addWorksheet("Dataset");
 
-      sheet.addRow(dataset.headers);
+      sheet.addRow(headers).commit();
 
-      dataset.rows.forEach(row => {
-        const rowData = dataset.headers.map(h => row[h]);
-        sheet.addRow(rowData);
-      });
+      for await (const row of rows) {
+        const rowData = headers.map(h => row[h]);
+        sheet.addRow(rowData).commit();
+      }
 
-      await workbook.xlsx.write(res);
+      await workbook.commit();
     }
 
   } catch (err) {
     console.error("Export error:", err);
-    res.status(500).json({ message: "Export failed", error: err.message });
+    if (res.headersSent) return res.end();
+    res.status(err.statusCode || 500).json({ message: err.statusCode ? err.message : "Export failed", error: err.message });
   }
-};
\ No newline at end of file
+};
@@ -1,6 +1,34 @@
 import axios from "axios";
-import csv from "csvtojson";
 import DATASET from "../../models/Dataset.js";
+import { parseDelimitedStream, recordsToRows } from "../../utils/fileParsers.js";
+import { createDatasetFromRows, replaceDatasetRows } from "../../utils/datasetIngest.js";
+import { deleteRows } from "../../utils/rowStore.js";
+import { deleteVersions } from "../../utils/datasetVersions.js";
+import { loadAttachedRecipes } from "../../utils/recipes.js";
+import { applySteps } from "../../utils/transforms.js";
+import { refreshDependents } from "../../utils/derivedDatasets.js";
+import { deleteProfile } from "../../utils/columnProfile.js";
+import { deleteDatasetViews } from "../../utils/datasetViews.js";
+import { deleteDatasetCharts } from "../../utils/dashboards.js";
+
+// 📥 Stream the sheet's CSV export as row objects
+const fetchSheetRows = async (csvUrl) => {
+  const response = await axios.get(csvUrl, { responseType: "stream" });
+  return recordsToRows(parseDelimitedStream(response.data, { delimiter: "," }));
+};
+
+// 🧹 Re-store a synced sheet, passing fresh rows through the dataset's attached recipes,
+// then rebuild the joins and unions made from it
+const storeSyncedRows = async (dataset, rows, userId) => {
+  const { recipes, steps } = await loadAttachedRecipes(dataset);
+  const recipeNote = recipes.length ? `, recipes: ${recipes.map(r => r.name).join(", ")}` : "";
+
+  await replaceDatasetRows(dataset, steps.length ? applySteps(rows, steps) : rows, {
+    change: { author: userId, action: "sync", summary: `Sync #${dataset.syncCount}${recipeNote}` },
+  });
+  const refreshedDatasets = await refreshDependents(dataset, userId);
+  return { appliedRecipes: recipes.map(r => r.name), refreshedDatasets };
+};
 
 
 export const googleSheetData = async (req, res) => {
@@ -27,22 +55,17 @@ export const googleSheetData = async (req, res) => {
       source: "sheet"
     });
 
-    const response = await axios.get(csvUrl);
-    const rows = await csv().fromString(response.data);
-    const headers = Object.keys(rows[0] || {});
-    const rowCount = rows.length;
+    const rows = await fetchSheetRows(csvUrl);
 
     if (existingDataset) {
       const previousRowCount = existingDataset.rowCount;
       const syncCount = (existingDataset.syncCount || 0) + 1;
       
-      existingDataset.headers = headers;
-      existingDataset.rows = rows;
-      existingDataset.rowCount = rowCount;
       existingDataset.lastSyncedAt = new Date();
       existingDataset.syncCount = syncCount;
       
-      await existingDataset.save();
+      const { appliedRecipes, refreshedDatasets } = await storeSyncedRows(existingDataset, rows, req.user.id);
+      const { headers, rowCount } = existingDataset;
 
       const rowsAdded = rowCount - previousRowCount;
       const changeType = rowsAdded > 0 ? 'added' : rowsAdded < 0 ? 'removed' : 'no change';
@@ -54,6 +77,8 @@ export const googleSheetData = async (req, res) => {
         headers,
         isUpdate: true,
         syncCount,
+        appliedRecipes,
+        refreshedDatasets,
         changes: {
           previousRowCount,
           currentRowCount: rowCount,
@@ -63,22 +88,22 @@ export const googleSheetData = async (req, res) => {
         lastSyncedAt: existingDataset.lastSyncedAt
       });
     } else {
-      const dataset = new DATASET({
+      const dataset = await createDatasetFromRows({
         userId: req.user.id,
         source: "sheet",
         sheetUrl: sheetUrl,
-        headers,
-        rows,
         lastSyncedAt: new Date(),
-      });
+      }, rows, { summary: "Imported from Google Sheet" });
 
-      await dataset.save();
+      if (!dataset) {
+        return res.status(400).json({ message: "Sheet is empty" });
+      }
 
       res.status(201).json({
         message: "Sheet imported successfully",
         datasetId: dataset._id,
-        rowCount,
-        headers,
+        rowCount: dataset.rowCount,
+        headers: dataset.headers,
         isUpdate: false,
         syncCount: 1,
         lastSyncedAt: dataset.lastSyncedAt
@@ -114,21 +139,14 @@ export const syncGoogleSheet = async (req, res) => {
     const spreadsheetId = match[1];
     const csvUrl = `https://docs.google.com/spreadsheets/d/${spreadsheetId}/export?format=csv`;
 
-    const response = await axios.get(csvUrl);
-    const rows = await csv().fromString(response.data);
-    const headers = Object.keys(rows[0] || {});
-    const rowCount = rows.length;
-
     const previousRowCount = dataset.rowCount;
-    const previousHeaders = dataset.headers;
+    const previousHeaders = [...dataset.headers];
     
-    dataset.headers = headers;
-    dataset.rows = rows;
-    dataset.rowCount = rowCount;
     dataset.lastSyncedAt = new Date();
     dataset.syncCount = (dataset.syncCount || 0) + 1;
     
-    await dataset.save();
+    const { appliedRecipes, refreshedDatasets } = await storeSyncedRows(dataset, await fetchSheetRows(csvUrl), req.user.id);
+    const { headers, rowCount } = dataset;
 
     const rowsChanged = rowCount - previousRowCount;
     const headersChanged = JSON.stringify(headers) !== JSON.stringify(previousHeaders);
@@ -140,6 +158,8 @@ export const syncGoogleSheet = async (req, res) => {
       rowCount,
       headers,
       syncCount: dataset.syncCount,
+      appliedRecipes,
+      refreshedDatasets,
       changes: {
         previousRowCount,
         currentRowCount: rowCount,
@@ -171,6 +191,14 @@ export const deleteSheet = async (req, res) => {
       return res.status(404).json({ message: "Dataset not found" });
     }
 
+    await Promise.all([
+      deleteRows(dataset._id),
+      deleteVersions(dataset._id),
+      deleteProfile(dataset._id),
+      deleteDatasetViews(dataset._id),
+      deleteDatasetCharts(dataset._id),
+    ]);
+
     res.status(200).json({ message: "Sheet deleted successfully" });
   } catch (error) {
     console.error("Delete sheet error:", error.message);
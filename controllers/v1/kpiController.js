@@ -0,0 +1,45 @@
+import { findOwnDataset } from '../../utils/datasetAccess.js';
+import { streamRows } from '../../utils/rowStore.js';
+import { toDate } from '../../utils/dateBuckets.js';
+import { validateKpiRoles, computeKpis } from '../../utils/kpis.js';
+import { invalidateSummaryCache } from './aiController.js';
+import { catchAsyncError } from '../../middleware/catchAsyncError.js';
+import ErrorHandler from '../../utils/errorHandler.js';
+
+const ROW_FIELDS = '_id headers rowCount rowStorage rowGeneration kpiRoles';
+
+const parseBound = (value, name) => {
+  if (value === undefined || value === "") return null;
+  const date = toDate(value);
+  if (!date) {
+    throw new ErrorHandler(`${name} must be a date`, 400);
+  }
+  return date;
+};
+
+// 🗺️ Tell the KPI engine which column holds customer ids, amounts, dates, plans, spend and cash
+export const setKpiRoles = catchAsyncError(async (req, res) => {
+  const dataset = await findOwnDataset(req.params.id, req.user.id, ROW_FIELDS);
+  dataset.kpiRoles = validateKpiRoles(req.body.roles, dataset.headers);
+  await dataset.save();
+  invalidateSummaryCache(dataset._id, req.user.id);
+
+  res.status(200).json({ message: "KPI roles saved", datasetId: dataset._id, roles: dataset.kpiRoles });
+});
+
+// 🚀 Monthly MRR/ARR with movements, churn, ARPU, CAC, LTV, burn and runway (?from=&to=)
+export const getDatasetKpis = catchAsyncError(async (req, res, next) => {
+  const dataset = await findOwnDataset(req.params.id, req.user.id, ROW_FIELDS);
+  if (!dataset.kpiRoles) {
+    return next(new ErrorHandler("Map the dataset's columns to KPI roles first (PUT /users/:id/kpis/roles)", 400));
+  }
+
+  // Columns may have been renamed or dropped since the roles were saved
+  const roles = validateKpiRoles(dataset.kpiRoles.toObject(), dataset.headers);
+  const kpis = await computeKpis(streamRows(dataset), roles, {
+    from: parseBound(req.query.from, "from"),
+    to: parseBound(req.query.to, "to"),
+  });
+
+  res.status(200).json({ datasetId: dataset._id, ...kpis });
+});
@@ -0,0 +1,150 @@
+import mongoose from 'mongoose';
+import DATASHEET from '../../models/Dataset.js';
+import RECIPE from '../../models/Recipe.js';
+import { validateSteps } from '../../utils/transforms.js';
+import { previewTransform, transformDataset } from '../../utils/recipes.js';
+import { findOwnDataset } from '../../utils/datasetAccess.js';
+import { catchAsyncError } from '../../middleware/catchAsyncError.js';
+import ErrorHandler from '../../utils/errorHandler.js';
+
+const MAX_PREVIEW_ROWS = 200;
+
+const assertObjectId = (value, label) => {
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    throw new ErrorHandler(`Invalid ${label} ID format`, 400);
+  }
+};
+
+const findOwnRecipe = async (recipeId, userId) => {
+  assertObjectId(recipeId, "recipe");
+  const recipe = await RECIPE.findOne({ _id: recipeId, userId });
+  if (!recipe) {
+    throw new ErrorHandler("Recipe not found", 404);
+  }
+  return recipe;
+};
+
+// Steps come from a saved recipe ({ recipeId }) or inline ({ steps })
+const resolveSteps = async (body, userId) => {
+  if (body.recipeId) {
+    const recipe = await findOwnRecipe(body.recipeId, userId);
+    return { recipe, steps: validateSteps(recipe.steps) };
+  }
+  return { recipe: null, steps: validateSteps(body.steps) };
+};
+
+// ============================================
+// RECIPES
+// ============================================
+
+// 🧪 Save a named, ordered list of cleaning steps
+export const createRecipe = catchAsyncError(async (req, res, next) => {
+  const { name, description, steps } = req.body;
+  if (!name) {
+    return next(new ErrorHandler("Recipe name is required", 400));
+  }
+  validateSteps(steps);
+
+  const recipe = await RECIPE.create({ userId: req.user.id, name, description, steps });
+  res.status(201).json({ message: "Recipe created", recipe });
+});
+
+export const getMyRecipes = catchAsyncError(async (req, res) => {
+  const recipes = await RECIPE.find({ userId: req.user.id }).sort({ updatedAt: -1 }).lean();
+  res.status(200).json({ recipes });
+});
+
+export const getRecipeById = catchAsyncError(async (req, res) => {
+  const recipe = await findOwnRecipe(req.params.recipeId, req.user.id);
+  res.status(200).json({ recipe });
+});
+
+export const updateRecipe = catchAsyncError(async (req, res) => {
+  const recipe = await findOwnRecipe(req.params.recipeId, req.user.id);
+  const { name, description, steps } = req.body;
+
+  if (name !== undefined) recipe.name = name;
+  if (description !== undefined) recipe.description = description;
+  if (steps !== undefined) {
+    validateSteps(steps);
+    recipe.steps = steps;
+  }
+  await recipe.save();
+
+  res.status(200).json({ message: "Recipe updated", recipe });
+});
+
+export const deleteRecipe = catchAsyncError(async (req, res) => {
+  const recipe = await findOwnRecipe(req.params.recipeId, req.user.id);
+  await Promise.all([
+    recipe.deleteOne(),
+    DATASHEET.updateMany({ userId: req.user.id, recipes: recipe._id }, { $pull: { recipes: recipe._id } }),
+  ]);
+  res.status(200).json({ message: "Recipe deleted successfully" });
+});
+
+// ============================================
+// DATASETS
+// ============================================
+
+// 👀 Show what a recipe (or inline steps) would do to a dataset, without saving
+export const previewDatasetTransform = catchAsyncError(async (req, res) => {
+  const dataset = await findOwnDataset(req.params.id, req.user.id);
+  const { steps } = await resolveSteps(req.body, req.user.id);
+  const limit = Math.min(Math.max(parseInt(req.body.limit, 10) || 20, 1), MAX_PREVIEW_ROWS);
+
+  const preview = await previewTransform(dataset, steps, { limit });
+  res.status(200).json({ datasetId: dataset._id, ...preview });
+});
+
+// 🧹 Apply a recipe (or inline steps) to a dataset; with attach, the recipe re-runs after every sheet sync
+export const applyDatasetTransform = catchAsyncError(async (req, res, next) => {
+  const dataset = await findOwnDataset(req.params.id, req.user.id);
+  const { recipe, steps } = await resolveSteps(req.body, req.user.id);
+  const attach = req.body.attach === true || req.body.attach === "true";
+
+  if (attach && !recipe) {
+    return next(new ErrorHandler("Only saved recipes can be attached; pass recipeId", 400));
+  }
+
+  const previousRowCount = dataset.rowCount;
+  if (attach && !dataset.recipes.some(id => id.equals(recipe._id))) {
+    dataset.recipes.push(recipe._id);
+  }
+  await transformDataset(dataset, steps, {
+    author: req.user.id,
+    summary: recipe ? `Applied recipe "${recipe.name}"` : `Applied ${steps.length} cleaning step(s)`,
+  });
+
+  res.status(200).json({
+    message: "Transformation applied",
+    datasetId: dataset._id,
+    recipeId: recipe?._id,
+    attached: attach,
+    previousRowCount,
+    rowCount: dataset.rowCount,
+    headers: dataset.headers,
+    version: dataset.version,
+  });
+});
+
+// 📎 Recipes attached to a dataset, in the order they run
+export const getDatasetRecipes = catchAsyncError(async (req, res) => {
+  const dataset = await findOwnDataset(req.params.id, req.user.id);
+  await dataset.populate('recipes');
+  res.status(200).json({ datasetId: dataset._id, recipes: dataset.recipes });
+});
+
+export const detachDatasetRecipe = catchAsyncError(async (req, res, next) => {
+  const dataset = await findOwnDataset(req.params.id, req.user.id);
+  assertObjectId(req.params.recipeId, "recipe");
+
+  const before = dataset.recipes.length;
+  dataset.recipes = dataset.recipes.filter(id => String(id) !== req.params.recipeId);
+  if (dataset.recipes.length === before) {
+    return next(new ErrorHandler("Recipe is not attached to this dataset", 404));
+  }
+  await dataset.save();
+
+  res.status(200).json({ message: "Recipe detached", datasetId: dataset._id, recipes: dataset.recipes });
+});
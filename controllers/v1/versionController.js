@@ -0,0 +1,83 @@
+import DATASET_VERSION from '../../models/DatasetVersion.js';
+import { diffVersions, rollbackToVersion } from '../../utils/datasetVersions.js';
+import { findOwnDataset } from '../../utils/datasetAccess.js';
+import { catchAsyncError } from '../../middleware/catchAsyncError.js';
+import ErrorHandler from '../../utils/errorHandler.js';
+
+const MAX_DIFF_EXAMPLES = 1000;
+
+const parseVersionNumber = (value, field) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new ErrorHandler(`${field} must be a positive version number`, 400);
+  }
+  return number;
+};
+
+// 📜 List the recorded versions of a dataset, newest first
+export const listVersions = catchAsyncError(async (req, res) => {
+  const dataset = await findOwnDataset(req.params.id, req.user.id);
+  const versions = await DATASET_VERSION.find({ datasetId: dataset._id })
+    .sort({ version: -1 })
+    .select('-schema -generation')
+    .populate('author', 'name email')
+    .lean();
+
+  res.status(200).json({
+    datasetId: dataset._id,
+    currentVersion: dataset.version,
+    versions,
+  });
+});
+
+// 🔀 Diff two versions by column and row (?from=&to=&keys=&limit=)
+export const diffDatasetVersions = catchAsyncError(async (req, res, next) => {
+  const dataset = await findOwnDataset(req.params.id, req.user.id);
+  const to = req.query.to ? parseVersionNumber(req.query.to, "to") : dataset.version;
+  const from = req.query.from ? parseVersionNumber(req.query.from, "from") : to - 1;
+  if (from < 1) {
+    return next(new ErrorHandler("Dataset has no earlier version to compare with", 400));
+  }
+
+  const versions = await DATASET_VERSION.find({ datasetId: dataset._id, version: { $in: [from, to] } }).lean();
+  const fromVersion = versions.find(v => v.version === from);
+  const toVersion = versions.find(v => v.version === to);
+  if (!fromVersion || !toVersion) {
+    return next(new ErrorHandler(`Version ${!fromVersion ? from : to} not found`, 404));
+  }
+
+  const keys = typeof req.query.keys === "string"
+    ? req.query.keys.split(",").map(key => key.trim()).filter(Boolean)
+    : [];
+  const missingKeys = keys.filter(key => !fromVersion.headers.includes(key) || !toVersion.headers.includes(key));
+  if (missingKeys.length > 0) {
+    return next(new ErrorHandler(`Key column(s) missing from one of the versions: ${missingKeys.join(", ")}`, 400));
+  }
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 0), MAX_DIFF_EXAMPLES);
+
+  const diff = await diffVersions(fromVersion, toVersion, { keys, limit });
+
+  res.status(200).json({
+    datasetId: dataset._id,
+    from,
+    to,
+    keys,
+    ...diff,
+  });
+});
+
+// ⏪ Restore an earlier version; recorded as a new version
+export const rollbackDataset = catchAsyncError(async (req, res) => {
+  const dataset = await findOwnDataset(req.params.id, req.user.id);
+  const target = parseVersionNumber(req.params.version, "version");
+  const entry = await rollbackToVersion(dataset, target, req.user.id);
+
+  res.status(200).json({
+    message: `Dataset rolled back to version ${target}`,
+    datasetId: dataset._id,
+    version: entry.version,
+    restoredFrom: target,
+    rowCount: dataset.rowCount,
+    headers: dataset.headers,
+  });
+});
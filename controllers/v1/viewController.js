@@ -0,0 +1,96 @@
+import DATASET_VIEW from '../../models/DatasetView.js';
+import { findOwnDataset } from '../../utils/datasetAccess.js';
+import { MAX_PAGE_SIZE } from '../../utils/rowQuery.js';
+import {
+  MAX_VIEWS_PER_DATASET,
+  parseViewDefinition,
+  mergeViewDefinition,
+  resolveView,
+  viewOutput,
+  findDatasetView,
+} from '../../utils/datasetViews.js';
+import { catchAsyncError } from '../../middleware/catchAsyncError.js';
+import ErrorHandler from '../../utils/errorHandler.js';
+
+const ROW_FIELDS = '_id headers rowCount rowStorage rowGeneration';
+
+const assertNameFree = async (datasetId, name, viewId = null) => {
+  const clash = await DATASET_VIEW.exists({ datasetId, name, ...(viewId && { _id: { $ne: viewId } }) });
+  if (clash) {
+    throw new ErrorHandler(`A view named "${name}" already exists on this dataset`, 409);
+  }
+};
+
+// 👓 Saved views of a dataset
+export const getDatasetViews = catchAsyncError(async (req, res) => {
+  const dataset = await findOwnDataset(req.params.id, req.user.id, '_id');
+  const views = await DATASET_VIEW.find({ datasetId: dataset._id }).sort({ name: 1 }).lean();
+
+  res.status(200).json({ datasetId: dataset._id, views });
+});
+
+// 💾 Save a named filter, sort, column selection and optional aggregation
+export const createDatasetView = catchAsyncError(async (req, res) => {
+  const dataset = await findOwnDataset(req.params.id, req.user.id, '_id headers');
+  const { fields } = parseViewDefinition(req.body, dataset.headers);
+
+  if (await DATASET_VIEW.countDocuments({ datasetId: dataset._id }) >= MAX_VIEWS_PER_DATASET) {
+    throw new ErrorHandler(`A dataset can have at most ${MAX_VIEWS_PER_DATASET} views`, 400);
+  }
+  await assertNameFree(dataset._id, fields.name);
+
+  const view = await DATASET_VIEW.create({ ...fields, datasetId: dataset._id, userId: req.user.id });
+  res.status(201).json({ message: "View created", view });
+});
+
+// ✏️ Change a view; omitted fields keep their saved values
+export const updateDatasetView = catchAsyncError(async (req, res) => {
+  const dataset = await findOwnDataset(req.params.id, req.user.id, '_id headers');
+  const view = await findDatasetView(dataset._id, req.params.viewId);
+  const fields = mergeViewDefinition(view, req.body, dataset.headers);
+  await assertNameFree(dataset._id, fields.name, view._id);
+
+  view.set(fields);
+  await view.save();
+  res.status(200).json({ message: "View updated", view });
+});
+
+export const deleteDatasetView = catchAsyncError(async (req, res) => {
+  const dataset = await findOwnDataset(req.params.id, req.user.id, '_id');
+  const view = await findDatasetView(dataset._id, req.params.viewId);
+  await view.deleteOne();
+
+  res.status(200).json({ message: "View deleted", viewId: view._id });
+});
+
+// 🔎 First rows of what a view shows (?limit=)
+export const getDatasetViewRows = catchAsyncError(async (req, res) => {
+  const dataset = await findOwnDataset(req.params.id, req.user.id, ROW_FIELDS);
+  const view = await findDatasetView(dataset._id, req.params.viewId);
+
+  const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw new ErrorHandler(`limit must be between 1 and ${MAX_PAGE_SIZE}`, 400);
+  }
+
+  // One row past the limit tells whether there are more
+  const output = await viewOutput(dataset, resolveView(view, dataset.headers), { limit: limit + 1 });
+  const rows = [];
+  let hasMore = false;
+  for await (const row of output.rows) {
+    if (rows.length === limit) {
+      hasMore = true;
+      break;
+    }
+    rows.push(row);
+  }
+
+  res.status(200).json({
+    datasetId: dataset._id,
+    viewId: view._id,
+    columns: output.headers,
+    aggregated: output.aggregated,
+    rows,
+    hasMore,
+  });
+});
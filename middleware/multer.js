@@ -3,6 +3,15 @@ import multer from "multer";
 import path from "path";
 const storage = multer.memoryStorage();
 
+// Dataset uploads go to disk so parsers can stream them instead of buffering 100MB in memory
+const UPLOAD_DIR = path.join(process.cwd(), "uploads");
+const datasetStorage = multer.diskStorage({
+  destination: UPLOAD_DIR,
+  filename: (req, file, cb) => {
+    cb(null, `${Date.now()}-${file.originalname}`);
+  },
+});
+
 // initializing disc storage
 //const AUDIO_PATH = path.join(process.cwd(), "./audios");
 
@@ -16,14 +25,14 @@ const storage = multer.memoryStorage();
 // });
 
 export const singleUpload = multer({
-  storage,
+  storage: datasetStorage,
   limits: {
     fileSize: 100* 1024 * 1024, // 100 MB
   },
 }).single("file");
 
 export const multipleFileUploads = multer({
-  storage,  
+  storage: datasetStorage,
   limits: {
     fileSize: 100 * 1024 * 1024, // 100 MB limit per file
   },
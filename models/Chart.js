@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+import { CHART_TYPES } from '../utils/charts.js';
+
+// One chart on a dashboard. Mappings are validated by utils/charts.js, and
+// again on use since the dataset's columns can change.
+const chartSchema = new mongoose.Schema({
+  dashboardId: { type: mongoose.Schema.Types.ObjectId, ref: "Dashboard", required: true, index: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  datasetId: { type: mongoose.Schema.Types.ObjectId, ref: "Dataset", required: true, index: true },
+  // Optional saved view whose filters apply before the chart's own
+  viewId: { type: mongoose.Schema.Types.ObjectId, ref: "DatasetView" },
+  title: { type: String, required: true, trim: true },
+  type: { type: String, enum: CHART_TYPES, required: true },
+  // x and series are dimensions ("date:month" or { column, granularity }); y holds metrics ({ fn, column, p, as })
+  x: mongoose.Schema.Types.Mixed,
+  y: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  series: mongoose.Schema.Types.Mixed,
+  columns: [String],
+  filters: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  match: { type: String, enum: ["all", "any"], default: "all" },
+  sort: [String],
+  limit: Number,
+  // Position on the dashboard's 12-column grid
+  layout: {
+    x: { type: Number, default: 0 },
+    y: { type: Number, default: 0 },
+    w: { type: Number, default: 6 },
+    h: { type: Number, default: 4 },
+  },
+  // Display settings (colours, stacking, labels) kept for the client as-is
+  options: { type: mongoose.Schema.Types.Mixed, default: undefined },
+}, {
+  timestamps: true,
+  minimize: false,
+});
+
+const CHART = mongoose.model("Chart", chartSchema);
+export default CHART;
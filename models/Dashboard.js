@@ -0,0 +1,15 @@
+import mongoose from 'mongoose';
+
+// A named board of charts; the charts themselves live in the Chart collection
+const dashboardSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+  name: { type: String, required: true, trim: true },
+  description: String,
+  // Users who may open the dashboard and read its charts; only the owner edits it
+  sharedWith: [{ type: mongoose.Schema.Types.ObjectId, ref: "User", index: true }],
+}, {
+  timestamps: true
+});
+
+const DASHBOARD = mongoose.model("Dashboard", dashboardSchema);
+export default DASHBOARD;
@@ -1,11 +1,77 @@
 import mongoose from 'mongoose';
+import { COLUMN_TYPES } from '../utils/schemaInference.js';
+
+// Derived column, recalculated whenever the dataset's rows are rewritten
+export const computedColumnSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  expression: { type: String, required: true },
+}, { _id: false });
+
+// How a derived dataset is rebuilt from its sources (see utils/derivedDatasets.js)
+const derivationSchema = new mongoose.Schema({
+  kind: { type: String, enum: ["join", "union"], required: true },
+  sources: [{ type: mongoose.Schema.Types.ObjectId, ref: "Dataset" }],
+  joinType: { type: String, enum: ["inner", "left", "right", "full"] },
+  keys: [{ _id: false, left: String, right: String }],
+  suffixes: { type: [String], default: undefined },
+  matchCase: Boolean,
+  sourceColumn: String,
+  refreshedAt: Date,
+}, { _id: false });
+
+// Columns the KPI engine reads each role from (see utils/kpis.js)
+const kpiRolesSchema = new mongoose.Schema({
+  customerId: String,
+  amount: String,
+  date: String,
+  plan: String,
+  marketingSpend: String,
+  cashBalance: String,
+}, { _id: false });
+
+// Inferred (or user-overridden) type of one column, with ingest stats
+export const columnSchema = new mongoose.Schema({
+  name: String,
+  type: { type: String, enum: COLUMN_TYPES },
+  format: String,
+  nullCount: { type: Number, default: 0 },
+  invalidCount: { type: Number, default: 0 },
+  sampleValues: [mongoose.Schema.Types.Mixed],
+  overridden: { type: Boolean, default: false },
+}, { _id: false });
 
 const datasetSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
   name: String,
   source: { type: String, default: "csv" },
+  fileType: String,
+  // Files concatenated into this dataset by a combined batch upload
+  sourceFiles: { type: [String], default: undefined },
   headers: [String],
-  rows: [{}],
+  schema: [columnSchema],
+  // Legacy embedded rows; new data lives in DatasetChunk (see utils/rowStore.js)
+  rows: { type: [{}], default: undefined },
+  // Unset on legacy documents, whose rows are still embedded above
+  rowStorage: { type: String, enum: ["embedded", "chunked"] },
+  rowGeneration: { type: Number, default: 0 },
+  // Highest chunk generation handed out, and those still being written (see utils/rowStore.js)
+  nextRowGeneration: Number,
+  pendingRowGenerations: { type: [Number], default: undefined },
+  rowCount: { type: Number, default: 0 },
+  // Latest entry in DatasetVersion; 0 until the first mutation is recorded
+  version: { type: Number, default: 0 },
+  // Cleaning recipes re-run, in order, after every Google Sheet sync
+  recipes: [{ type: mongoose.Schema.Types.ObjectId, ref: "Recipe" }],
+  // Formula columns (see utils/formula.js), evaluated in order
+  computedColumns: [computedColumnSchema],
+  // Set on datasets built by a join or union; refreshed when a source is re-synced
+  derivation: { type: derivationSchema, default: undefined },
+  kpiRoles: { type: kpiRolesSchema, default: undefined },
+  // Excel uploads create one dataset per worksheet, grouped by workbookId
+  workbookId: { type: mongoose.Schema.Types.ObjectId, index: true },
+  workbookName: String,
+  sheetName: String,
+  sheetIndex: Number,
   uploadedAt: { type: Date, default: Date.now },
   sheetUrl: {
     type: String,
@@ -18,10 +84,11 @@ const datasetSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  syncCount: { type: Number, default: 0 },
   
 }, {
   timestamps: true
 });
 
 const DATASHEET = mongoose.model("Dataset", datasetSchema);
-export default DATASHEET;
\ No newline at end of file
+export default DATASHEET;
@@ -0,0 +1,19 @@
+import mongoose from 'mongoose';
+
+// Rows of a dataset are stored in ordered chunks so no single document
+// approaches Mongo's 16MB limit. A dataset points at one `generation` of
+// chunks; a rewrite fills a new generation before the old one is dropped.
+const datasetChunkSchema = new mongoose.Schema({
+  datasetId: { type: mongoose.Schema.Types.ObjectId, ref: "Dataset", required: true },
+  generation: { type: Number, default: 0 },
+  index: { type: Number, required: true },
+  startRow: { type: Number, required: true },
+  endRow: { type: Number, required: true },
+  rows: [{}],
+});
+
+datasetChunkSchema.index({ datasetId: 1, generation: 1, index: 1 }, { unique: true });
+datasetChunkSchema.index({ datasetId: 1, generation: 1, startRow: 1 });
+
+const DATASET_CHUNK = mongoose.model("DatasetChunk", datasetChunkSchema);
+export default DATASET_CHUNK;
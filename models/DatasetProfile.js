@@ -0,0 +1,20 @@
+import mongoose from 'mongoose';
+
+// Cached column profile of a dataset. It is only valid for the dataset
+// version and row generation it was computed from; see utils/columnProfile.js.
+const datasetProfileSchema = new mongoose.Schema({
+  datasetId: { type: mongoose.Schema.Types.ObjectId, ref: "Dataset", required: true, unique: true },
+  version: { type: Number, default: 0 },
+  rowGeneration: { type: Number, default: 0 },
+  options: {
+    bins: Number,
+    top: Number,
+  },
+  columns: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  rowCount: Number,
+}, {
+  timestamps: { createdAt: false, updatedAt: true },
+});
+
+const DATASET_PROFILE = mongoose.model("DatasetProfile", datasetProfileSchema);
+export default DATASET_PROFILE;
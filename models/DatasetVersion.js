@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+import { columnSchema, computedColumnSchema } from './Dataset.js';
+
+export const VERSION_ACTIONS = [
+  "baseline", "create", "sync", "append", "replace", "upsert", "schema", "transform", "rollback", "refresh",
+];
+
+// One recorded state of a dataset. Rows are not copied: the version points at
+// the DatasetChunk generation that held them, which is kept while referenced.
+const datasetVersionSchema = new mongoose.Schema({
+  datasetId: { type: mongoose.Schema.Types.ObjectId, ref: "Dataset", required: true },
+  version: { type: Number, required: true },
+  generation: { type: Number, required: true },
+  headers: [String],
+  schema: [columnSchema],
+  computedColumns: [computedColumnSchema],
+  rowCount: { type: Number, default: 0 },
+  action: { type: String, enum: VERSION_ACTIONS, required: true },
+  summary: String,
+  author: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  changes: {
+    previousRowCount: Number,
+    rowCount: Number,
+    addedColumns: [String],
+    removedColumns: [String],
+  },
+  // Version this one restored, for rollbacks
+  restoredFrom: Number,
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+datasetVersionSchema.index({ datasetId: 1, version: 1 }, { unique: true });
+
+const DATASET_VERSION = mongoose.model("DatasetVersion", datasetVersionSchema);
+export default DATASET_VERSION;
@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+// Named filter/sort/column selection on a dataset. Definitions are validated
+// by utils/datasetViews.js, and again on use since the dataset's columns can change.
+const datasetViewSchema = new mongoose.Schema({
+  datasetId: { type: mongoose.Schema.Types.ObjectId, ref: "Dataset", required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  name: { type: String, required: true, trim: true },
+  description: String,
+  filters: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  match: { type: String, enum: ["all", "any"], default: "all" },
+  sort: [{
+    _id: false,
+    column: { type: String, required: true },
+    direction: { type: Number, enum: [1, -1], default: 1 },
+  }],
+  columns: [String],
+  // Body of an aggregate query (groupBy, metrics, sort, limit), applied after the view's filters
+  aggregation: { type: mongoose.Schema.Types.Mixed, default: undefined },
+}, {
+  timestamps: true,
+});
+
+datasetViewSchema.index({ datasetId: 1, name: 1 }, { unique: true });
+
+const DATASET_VIEW = mongoose.model("DatasetView", datasetViewSchema);
+export default DATASET_VIEW;
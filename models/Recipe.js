@@ -0,0 +1,20 @@
+import mongoose from 'mongoose';
+import { STEP_TYPES } from '../utils/transforms.js';
+
+// One transformation; params are validated by utils/transforms.js before saving
+const recipeStepSchema = new mongoose.Schema({
+  type: { type: String, enum: STEP_TYPES, required: true },
+  params: { type: mongoose.Schema.Types.Mixed, default: {} },
+}, { _id: false, minimize: false });
+
+const recipeSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+  name: { type: String, required: true, trim: true },
+  description: String,
+  steps: [recipeStepSchema],
+}, {
+  timestamps: true
+});
+
+const RECIPE = mongoose.model("Recipe", recipeSchema);
+export default RECIPE;
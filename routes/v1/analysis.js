@@ -0,0 +1,18 @@
+import express from 'express';
+import { aggregateDataset, pivotDataset, timeSeriesDataset, cohortDataset, profileDataset, anomalyDataset, forecastDataset, correlationDataset, funnelDataset, chartImageDataset } from '../../controllers/v1/analysisController.js';
+import { isAuthenticated } from '../../middleware/verifyAuth.js';
+
+const router = express.Router();
+
+router.post("/:id/aggregate", isAuthenticated, aggregateDataset);
+router.post("/:id/pivot", isAuthenticated, pivotDataset);
+router.post("/:id/timeseries", isAuthenticated, timeSeriesDataset);
+router.post("/:id/cohorts", isAuthenticated, cohortDataset);
+router.get("/:id/profile", isAuthenticated, profileDataset);
+router.post("/:id/anomalies", isAuthenticated, anomalyDataset);
+router.post("/:id/forecast", isAuthenticated, forecastDataset);
+router.post("/:id/correlations", isAuthenticated, correlationDataset);
+router.post("/:id/funnel", isAuthenticated, funnelDataset);
+router.post("/:id/chart-image", isAuthenticated, chartImageDataset);
+
+export default router;
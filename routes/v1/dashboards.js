@@ -0,0 +1,32 @@
+import express from 'express';
+import {
+  createDashboard,
+  getMyDashboards,
+  getDashboardById,
+  updateDashboard,
+  deleteDashboard,
+  createChart,
+  updateChart,
+  deleteChart,
+  getChartData,
+  getChartImage,
+  getDashboardData,
+} from '../../controllers/v1/dashboardController.js';
+import { isAuthenticated } from '../../middleware/verifyAuth.js';
+
+const router = express.Router();
+
+router.post("/", isAuthenticated, createDashboard);
+router.get("/", isAuthenticated, getMyDashboards);
+router.get("/:dashboardId", isAuthenticated, getDashboardById);
+router.put("/:dashboardId", isAuthenticated, updateDashboard);
+router.delete("/:dashboardId", isAuthenticated, deleteDashboard);
+
+router.get("/:dashboardId/data", isAuthenticated, getDashboardData);
+router.post("/:dashboardId/charts", isAuthenticated, createChart);
+router.put("/:dashboardId/charts/:chartId", isAuthenticated, updateChart);
+router.delete("/:dashboardId/charts/:chartId", isAuthenticated, deleteChart);
+router.get("/:dashboardId/charts/:chartId/data", isAuthenticated, getChartData);
+router.get("/:dashboardId/charts/:chartId/image", isAuthenticated, getChartImage);
+
+export default router;
@@ -1,11 +1,13 @@
 import express from 'express';
 import multer from 'multer';
 import path from 'path';
-import {uploadFile} from '../../controllers/v1/dataController.js';
+import {uploadFile , uploadBatch , previewUpload , confirmUpload} from '../../controllers/v1/dataController.js';
 import {isAuthenticated} from '../../middleware/verifyAuth.js'; 
-import { singleUpload } from '../../middleware/multer.js';
+import { singleUpload , multipleFileUploads } from '../../middleware/multer.js';
 
-import { getMyDatasets ,getDatasetById , deleteDatasetById } from '../../controllers/v1/dataController.js';
+import { getMyDatasets ,getDatasetById , getDatasetRows , deleteDatasetById , updateColumnType , uploadIntoDataset } from '../../controllers/v1/dataController.js';
+import { previewDatasetTransform , applyDatasetTransform , getDatasetRecipes , detachDatasetRecipe } from '../../controllers/v1/recipeController.js';
+import { getComputedColumns , previewComputedColumn , addComputedColumn , updateComputedColumn , deleteComputedColumn } from '../../controllers/v1/computedColumnController.js';
 const router = express.Router();
 
 const storage = multer.diskStorage({
@@ -45,8 +47,25 @@ const fileSize = (error, req, res, next) => {
 };
 
 router.post("/upload", isAuthenticated,  singleUpload, uploadFile);
+router.post("/upload/batch", isAuthenticated, multipleFileUploads, uploadBatch);
+router.post("/upload/preview", isAuthenticated, singleUpload, previewUpload);
+router.post("/upload/preview/:previewId", isAuthenticated, previewUpload);
+router.post("/upload/preview/:previewId/confirm", isAuthenticated, confirmUpload);
 
 router.get("/alldatasets", isAuthenticated, getMyDatasets);
 router.get("/:id", isAuthenticated, getDatasetById);
 router.delete("/:id", isAuthenticated, deleteDatasetById);
+router.get("/:id/rows", isAuthenticated, getDatasetRows);
+router.post("/:id/rows/query", isAuthenticated, getDatasetRows);
+router.patch("/:id/schema", isAuthenticated, updateColumnType);
+router.post("/:id/upload", isAuthenticated, singleUpload, uploadIntoDataset);
+router.post("/:id/transform/preview", isAuthenticated, previewDatasetTransform);
+router.post("/:id/transform", isAuthenticated, applyDatasetTransform);
+router.get("/:id/recipes", isAuthenticated, getDatasetRecipes);
+router.delete("/:id/recipes/:recipeId", isAuthenticated, detachDatasetRecipe);
+router.get("/:id/computed", isAuthenticated, getComputedColumns);
+router.post("/:id/computed/preview", isAuthenticated, previewComputedColumn);
+router.post("/:id/computed", isAuthenticated, addComputedColumn);
+router.put("/:id/computed/:name", isAuthenticated, updateComputedColumn);
+router.delete("/:id/computed/:name", isAuthenticated, deleteComputedColumn);
 export default router;
@@ -0,0 +1,11 @@
+import express from 'express';
+import { joinDatasets, unionDatasets, refreshDerived } from '../../controllers/v1/derivedController.js';
+import { isAuthenticated } from '../../middleware/verifyAuth.js';
+
+const router = express.Router();
+
+router.post("/join", isAuthenticated, joinDatasets);
+router.post("/union", isAuthenticated, unionDatasets);
+router.post("/:id/refresh", isAuthenticated, refreshDerived);
+
+export default router;
@@ -0,0 +1,10 @@
+import express from 'express';
+import { setKpiRoles, getDatasetKpis } from '../../controllers/v1/kpiController.js';
+import { isAuthenticated } from '../../middleware/verifyAuth.js';
+
+const router = express.Router();
+
+router.put("/:id/kpis/roles", isAuthenticated, setKpiRoles);
+router.get("/:id/kpis", isAuthenticated, getDatasetKpis);
+
+export default router;
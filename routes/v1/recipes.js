@@ -0,0 +1,13 @@
+import express from 'express';
+import { createRecipe, getMyRecipes, getRecipeById, updateRecipe, deleteRecipe } from '../../controllers/v1/recipeController.js';
+import { isAuthenticated } from '../../middleware/verifyAuth.js';
+
+const router = express.Router();
+
+router.post("/", isAuthenticated, createRecipe);
+router.get("/", isAuthenticated, getMyRecipes);
+router.get("/:recipeId", isAuthenticated, getRecipeById);
+router.put("/:recipeId", isAuthenticated, updateRecipe);
+router.delete("/:recipeId", isAuthenticated, deleteRecipe);
+
+export default router;
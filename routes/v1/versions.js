@@ -0,0 +1,11 @@
+import express from 'express';
+import { listVersions, diffDatasetVersions, rollbackDataset } from '../../controllers/v1/versionController.js';
+import { isAuthenticated } from '../../middleware/verifyAuth.js';
+
+const router = express.Router();
+
+router.get("/:id/versions", isAuthenticated, listVersions);
+router.get("/:id/versions/diff", isAuthenticated, diffDatasetVersions);
+router.post("/:id/versions/:version/rollback", isAuthenticated, rollbackDataset);
+
+export default router;
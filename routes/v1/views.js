@@ -0,0 +1,13 @@
+import express from 'express';
+import { getDatasetViews, createDatasetView, updateDatasetView, deleteDatasetView, getDatasetViewRows } from '../../controllers/v1/viewController.js';
+import { isAuthenticated } from '../../middleware/verifyAuth.js';
+
+const router = express.Router();
+
+router.get("/:id/views", isAuthenticated, getDatasetViews);
+router.post("/:id/views", isAuthenticated, createDatasetView);
+router.put("/:id/views/:viewId", isAuthenticated, updateDatasetView);
+router.delete("/:id/views/:viewId", isAuthenticated, deleteDatasetView);
+router.get("/:id/views/:viewId/rows", isAuthenticated, getDatasetViewRows);
+
+export default router;
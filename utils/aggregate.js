@@ -0,0 +1,384 @@
+import ErrorHandler from './errorHandler.js';
+import { isBlank } from './schemaInference.js';
+import { validateConditions, buildRowFilter } from './rowFilter.js';
+import { compareValues } from './rowQuery.js';
+import { DATE_GRANULARITIES, toDate, truncateDate, periodLabel } from './dateBuckets.js';
+
+export const AGGREGATE_FUNCTIONS = [
+  "count", "countDistinct", "sum", "avg", "min", "max", "median", "percentile",
+];
+
+export const MAX_GROUPS = 10000;
+
+// Numbers only: sums and averages skip text that slipped into a numeric column
+const toNumber = (value) => (typeof value === "number" && Number.isFinite(value) ? value : null);
+
+const distinctKey = (value) => (value instanceof Date ? value.toISOString() : JSON.stringify(value));
+
+/**
+ * Percentile of sorted numbers with linear interpolation between ranks
+ * @param {Array<number>} sorted - Ascending numbers
+ * @param {number} p - 0..100
+ * @returns {number|null}
+ */
+export const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+// ============================================
+// SAMPLING
+// ============================================
+
+// Values median and percentile keep per group; past this the group is sampled
+export const QUANTILE_SAMPLE_SIZE = 10000;
+// Values kept across all groups of one query, and the smallest per-group sample
+// the pool shrinks to before refusing the query
+const MAX_SAMPLED_VALUES = 2000000;
+const MIN_QUANTILE_SAMPLE_SIZE = 25;
+
+/**
+ * Uniform sample of a stream of values in fixed memory (reservoir sampling)
+ * @param {number} size - Values to keep
+ * @returns {{ add: Function, shrink: Function, values: Array, seen: number }}
+ */
+export const createReservoir = (size) => {
+  const reservoir = {
+    values: [],
+    seen: 0,
+    add: (value) => {
+      reservoir.seen++;
+      if (reservoir.values.length < size) {
+        reservoir.values.push(value);
+        return;
+      }
+      const slot = Math.floor(Math.random() * reservoir.seen);
+      if (slot < size) reservoir.values[slot] = value;
+    },
+    // Keep a random subset of the sample; a uniform subset of a uniform sample stays uniform
+    shrink: (next) => {
+      const { values } = reservoir;
+      for (let i = 0; i < Math.min(next, values.length); i++) {
+        const j = i + Math.floor(Math.random() * (values.length - i));
+        [values[i], values[j]] = [values[j], values[i]];
+      }
+      values.length = Math.min(next, values.length);
+      size = next;
+    },
+  };
+  return reservoir;
+};
+
+/**
+ * Memory budget shared by the median and percentile samples of one query.
+ * Each group samples up to QUANTILE_SAMPLE_SIZE values; while the groups
+ * together hold more than MAX_SAMPLED_VALUES, every sample is halved.
+ * @returns {{ create: Function, add: Function, approximate: Function }}
+ */
+export const createSamplePool = () => {
+  const reservoirs = [];
+  let size = QUANTILE_SAMPLE_SIZE;
+  let kept = 0;
+
+  return {
+    create: () => {
+      const reservoir = createReservoir(size);
+      reservoirs.push(reservoir);
+      return reservoir;
+    },
+    add: (reservoir, value) => {
+      const before = reservoir.values.length;
+      reservoir.add(value);
+      kept += reservoir.values.length - before;
+      while (kept > MAX_SAMPLED_VALUES) {
+        size = Math.floor(size / 2);
+        if (size < MIN_QUANTILE_SAMPLE_SIZE) {
+          throw new ErrorHandler(
+            "Too many groups for median or percentile; filter the rows or group by fewer or coarser columns",
+            400
+          );
+        }
+        reservoirs.forEach(sample => sample.shrink(size));
+        kept = reservoirs.reduce((sum, sample) => sum + sample.values.length, 0);
+      }
+    },
+    // True once any group's quantiles come from a sample rather than every value
+    approximate: () => reservoirs.some(sample => sample.seen > sample.values.length),
+  };
+};
+
+const quantileOf = (sample, p) => percentile(Float64Array.from(sample.values).sort(), p);
+
+// ============================================
+// ACCUMULATORS
+// ============================================
+
+// Each accumulator: create(pool) => state, add(state, value, column, pool), result(state)
+const ACCUMULATORS = {
+  count: {
+    create: () => 0,
+    // count without a column counts rows; with one, non-blank values
+    add: (state, value, column) => (column && isBlank(value) ? state : state + 1),
+    result: (state) => state,
+  },
+  countDistinct: {
+    create: () => new Set(),
+    add: (state, value) => (isBlank(value) ? state : state.add(distinctKey(value))),
+    result: (state) => state.size,
+  },
+  sum: {
+    create: () => ({ total: 0, seen: false }),
+    add: (state, value) => {
+      const number = toNumber(value);
+      if (number !== null) {
+        state.total += number;
+        state.seen = true;
+      }
+      return state;
+    },
+    result: (state) => (state.seen ? state.total : null),
+  },
+  avg: {
+    create: () => ({ total: 0, count: 0 }),
+    add: (state, value) => {
+      const number = toNumber(value);
+      if (number !== null) {
+        state.total += number;
+        state.count++;
+      }
+      return state;
+    },
+    result: (state) => (state.count ? state.total / state.count : null),
+  },
+  min: {
+    create: () => null,
+    add: (state, value) => (isBlank(value) || (state !== null && compareValues(value, state) >= 0) ? state : value),
+    result: (state) => state,
+  },
+  max: {
+    create: () => null,
+    add: (state, value) => (isBlank(value) || (state !== null && compareValues(value, state) <= 0) ? state : value),
+    result: (state) => state,
+  },
+  median: {
+    create: (pool) => pool.create(),
+    add: (state, value, _column, pool) => {
+      const number = toNumber(value);
+      if (number !== null) pool.add(state, number);
+      return state;
+    },
+    result: (state) => quantileOf(state, 50),
+  },
+  percentile: {
+    create: (pool) => pool.create(),
+    add: (state, value, _column, pool) => {
+      const number = toNumber(value);
+      if (number !== null) pool.add(state, number);
+      return state;
+    },
+    result: (state, { p }) => quantileOf(state, p),
+  },
+};
+
+// ============================================
+// PARSING
+// ============================================
+
+/**
+ * Parse a grouping dimension: "column", "column:month" or { column, granularity }
+ * @param {string|Object} entry - Dimension as sent by the client
+ * @param {Set<string>} known - Dataset headers
+ * @returns {Object} - { column, granularity, as }
+ */
+export const parseDimension = (entry, known) => {
+  const [column, granularity] = typeof entry === "string" ? entry.split(":") : [entry?.column, entry?.granularity];
+  if (!known.has(column)) {
+    throw new ErrorHandler(`Unknown group-by column: ${column}`, 400);
+  }
+  if (granularity && !DATE_GRANULARITIES.includes(granularity)) {
+    throw new ErrorHandler(
+      `Invalid granularity "${granularity}" for ${column}. Allowed: ${DATE_GRANULARITIES.join(", ")}`,
+      400
+    );
+  }
+  return { column, granularity: granularity || null, as: granularity ? `${column} (${granularity})` : column };
+};
+
+/**
+ * Parse an aggregate: { fn, column, p, as }
+ * @param {Object} metric - Aggregate as sent by the client
+ * @param {Set<string>} known - Dataset headers
+ * @returns {Object} - { fn, column, p, as }
+ */
+export const parseMetric = (metric, known) => {
+  const { fn, column, p, as } = metric || {};
+  if (!AGGREGATE_FUNCTIONS.includes(fn)) {
+    throw new ErrorHandler(`Invalid aggregate "${fn}". Allowed: ${AGGREGATE_FUNCTIONS.join(", ")}`, 400);
+  }
+  if (column === undefined && fn !== "count") {
+    throw new ErrorHandler(`${fn} needs a column`, 400);
+  }
+  if (column !== undefined && !known.has(column)) {
+    throw new ErrorHandler(`Unknown aggregate column: ${column}`, 400);
+  }
+  if (fn === "percentile" && !(Number(p) >= 0 && Number(p) <= 100)) {
+    throw new ErrorHandler("percentile needs p between 0 and 100", 400);
+  }
+
+  const defaultName = fn === "percentile" ? `p${p}(${column})` : column ? `${fn}(${column})` : "count";
+  return { fn, column, p: fn === "percentile" ? Number(p) : undefined, as: as || defaultName };
+};
+
+/**
+ * Parse and validate an aggregation request against a dataset's headers
+ * @param {Object} body - { groupBy: ["channel", "date:month"], metrics: [{ fn, column, p, as }],
+ *   filters, match, sort: "-total", limit }
+ * @param {Array<string>} headers - Dataset headers
+ * @returns {Object} - Validated query for aggregateRows()
+ */
+export const parseAggregateQuery = (body = {}, headers = []) => {
+  const known = new Set(headers);
+  const groupBy = (Array.isArray(body.groupBy) ? body.groupBy : body.groupBy ? [body.groupBy] : [])
+    .map(entry => parseDimension(entry, known));
+  const metrics = (Array.isArray(body.metrics) && body.metrics.length ? body.metrics : [{ fn: "count" }])
+    .map(metric => parseMetric(metric, known));
+
+  const names = [...groupBy.map(g => g.as), ...metrics.map(m => m.as)];
+  const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+  if (duplicate) {
+    throw new ErrorHandler(`Duplicate output column "${duplicate}"; set a distinct "as" name`, 400);
+  }
+
+  const sort = (typeof body.sort === "string" ? body.sort.split(",") : body.sort || [])
+    .map(item => String(item).trim())
+    .filter(Boolean)
+    .map(item => (item.startsWith("-") ? { column: item.slice(1), direction: -1 } : { column: item, direction: 1 }));
+  const unknownSort = sort.filter(s => !names.includes(s.column)).map(s => s.column);
+  if (unknownSort.length > 0) {
+    throw new ErrorHandler(`Unknown sort column(s): ${unknownSort.join(", ")}. Sort by an output column.`, 400);
+  }
+
+  const filters = validateConditions(body.filters || [], "filters");
+  const unknownFilters = filters.filter(f => !known.has(f.column)).map(f => f.column);
+  if (unknownFilters.length > 0) {
+    throw new ErrorHandler(`Unknown filter column(s): ${unknownFilters.join(", ")}`, 400);
+  }
+
+  const limit = body.limit === undefined ? MAX_GROUPS : parseInt(body.limit, 10);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new ErrorHandler("limit must be a positive integer", 400);
+  }
+
+  return {
+    groupBy,
+    metrics,
+    filters,
+    match: body.match === "any" ? "any" : "all",
+    sort,
+    limit: Math.min(limit, MAX_GROUPS),
+  };
+};
+
+// ============================================
+// AGGREGATION
+// ============================================
+
+// Group value of a row: date columns with a granularity fall into periods
+export const dimensionValue = (row, { column, granularity }) => {
+  const value = row[column];
+  if (!granularity) return isBlank(value) ? null : value;
+  const date = toDate(value);
+  return date ? truncateDate(date, granularity) : null;
+};
+
+// How a group value is shown: periods by their label, everything else as stored
+export const dimensionLabel = (value, { granularity }) =>
+  (granularity && value ? periodLabel(value, granularity) : value);
+
+/**
+ * Stand-alone accumulator for one aggregate
+ * @param {Object} metric - Result of parseMetric()
+ * @param {Object} pool - createSamplePool() shared by every accumulator of the query
+ * @returns {{ add: Function, result: Function }}
+ */
+export const createAccumulator = (metric, pool = createSamplePool()) => {
+  const definition = ACCUMULATORS[metric.fn];
+  let state = definition.create(pool);
+  return {
+    add: (value) => {
+      state = definition.add(state, value, metric.column, pool);
+    },
+    result: () => definition.result(state, metric),
+  };
+};
+
+/**
+ * Summarize rows per group
+ * @param {Iterable|AsyncIterable<Object>} rows - Row objects
+ * @param {Object} query - Result of parseAggregateQuery()
+ * @returns {Promise<Object>} - { columns, rows, groupCount, truncated, approximate }
+ */
+export const aggregateRows = async (rows, query) => {
+  const { groupBy, metrics, filters, match, sort, limit } = query;
+  const keep = buildRowFilter(filters, { match });
+  const groups = new Map();
+  const pool = createSamplePool();
+
+  for await (const row of rows) {
+    if (!keep(row)) continue;
+
+    const values = groupBy.map(group => dimensionValue(row, group));
+    const key = JSON.stringify(values.map(value => (value instanceof Date ? value.toISOString() : value)));
+    let group = groups.get(key);
+    if (!group) {
+      if (groups.size >= MAX_GROUPS) {
+        throw new ErrorHandler(`Too many groups (over ${MAX_GROUPS}); group by fewer or coarser columns`, 400);
+      }
+      group = { values, states: metrics.map(metric => ACCUMULATORS[metric.fn].create(pool)) };
+      groups.set(key, group);
+    }
+    metrics.forEach((metric, i) => {
+      group.states[i] = ACCUMULATORS[metric.fn].add(group.states[i], row[metric.column], metric.column, pool);
+    });
+  }
+
+  // A query without group-by still returns its one summary row
+  if (groupBy.length === 0 && groups.size === 0) {
+    groups.set("[]", { values: [], states: metrics.map(metric => ACCUMULATORS[metric.fn].create(pool)) });
+  }
+
+  const result = [...groups.values()].map(({ values, states }) => {
+    const output = {};
+    groupBy.forEach((group, i) => {
+      output[group.as] = dimensionLabel(values[i], group);
+    });
+    metrics.forEach((metric, i) => {
+      output[metric.as] = ACCUMULATORS[metric.fn].result(states[i], metric);
+    });
+    return { output, values };
+  });
+
+  // Default order follows the group columns, so periods come out chronologically
+  const order = sort.length
+    ? sort.map(({ column, direction }) => (a, b) => direction * compareValues(a.output[column], b.output[column]))
+    : groupBy.map((group, i) => (a, b) => compareValues(a.values[i], b.values[i]));
+  result.sort((a, b) => {
+    for (const compare of order) {
+      const outcome = compare(a, b);
+      if (outcome !== 0) return outcome;
+    }
+    return 0;
+  });
+
+  return {
+    columns: [...groupBy.map(g => g.as), ...metrics.map(m => m.as)],
+    rows: result.slice(0, limit).map(({ output }) => output),
+    groupCount: result.length,
+    truncated: result.length > limit,
+    // Medians and percentiles come from a sample of each large group when approximate
+    ...(pool.approximate() && { approximate: true }),
+  };
+};
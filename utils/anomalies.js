@@ -0,0 +1,313 @@
+import ErrorHandler from './errorHandler.js';
+import { percentile } from './aggregate.js';
+import { NUMERIC_TYPES } from './columnProfile.js';
+import { parseTimeSeriesQuery, resampleRows, headlineSeries } from './timeSeries.js';
+import { SEASON_LENGTHS } from './dateBuckets.js';
+import { shareRows } from './rowStore.js';
+
+export const ANOMALY_METHODS = ["zscore", "iqr", "seasonal"];
+
+// Named sensitivities: a higher sensitivity means a lower threshold and more flags
+const THRESHOLDS = {
+  zscore: { low: 3.5, medium: 3, high: 2.5 },
+  iqr: { low: 3, medium: 1.5, high: 1 },
+  seasonal: { low: 4, medium: 3.5, high: 2.5 },
+};
+
+export const DEFAULT_ANOMALY_LIMIT = 100;
+export const MAX_ANOMALY_LIMIT = 1000;
+
+const round = (value) => (value === null || !Number.isFinite(value) ? null : Math.round(value * 100) / 100);
+
+/**
+ * Parse and validate an anomaly request. With a dateColumn the metric is
+ * resampled into a series and periods are flagged; without one, rows with
+ * outlying values in numeric columns are flagged.
+ * @param {Object} body - { method, sensitivity, threshold, columns, limit } or, for a series,
+ *   { dateColumn, granularity, value, aggregation, season, method, sensitivity, threshold, filters }
+ * @param {Object} dataset - { headers, schema }
+ * @returns {Object} - Validated query for detectRowAnomalies() / detectSeriesAnomalies()
+ */
+export const parseAnomalyQuery = (body = {}, { headers = [], schema = [] }) => {
+  const series = body.dateColumn ? parseTimeSeriesQuery({ ...body, rollingWindow: 0 }, headers) : null;
+  const season = series && (body.season === undefined ? SEASON_LENGTHS[series.granularity] : Number(body.season));
+  const method = body.method || (series ? (season ? "seasonal" : "zscore") : "iqr");
+  if (!ANOMALY_METHODS.includes(method)) {
+    throw new ErrorHandler(`Invalid method "${method}". Allowed: ${ANOMALY_METHODS.join(", ")}`, 400);
+  }
+
+  let threshold;
+  if (body.threshold !== undefined) {
+    threshold = Number(body.threshold);
+    if (!(threshold > 0)) throw new ErrorHandler("threshold must be a positive number", 400);
+  } else {
+    const sensitivity = body.sensitivity || "medium";
+    threshold = THRESHOLDS[method][sensitivity];
+    if (threshold === undefined) {
+      throw new ErrorHandler(`Invalid sensitivity "${sensitivity}". Allowed: low, medium, high`, 400);
+    }
+  }
+
+  const limit = body.limit === undefined ? DEFAULT_ANOMALY_LIMIT : Number(body.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_ANOMALY_LIMIT) {
+    throw new ErrorHandler(`limit must be an integer between 1 and ${MAX_ANOMALY_LIMIT}`, 400);
+  }
+
+  if (series) {
+    if (method === "seasonal" && !(Number.isInteger(season) && season >= 2)) {
+      throw new ErrorHandler("Seasonal detection needs a season of at least 2 periods; pass season or a finer granularity", 400);
+    }
+    return { target: "series", method, threshold, limit, season, series };
+  }
+
+  if (method === "seasonal") {
+    throw new ErrorHandler("The seasonal method needs a dateColumn to build a series", 400);
+  }
+  const numeric = schema.filter(column => NUMERIC_TYPES.includes(column.type)).map(column => column.name);
+  const columns = body.columns === undefined ? numeric : body.columns;
+  if (!Array.isArray(columns) || columns.length === 0) {
+    throw new ErrorHandler("No numeric columns to check; pass columns", 400);
+  }
+  const unknown = columns.filter(column => !headers.includes(column));
+  if (unknown.length > 0) {
+    throw new ErrorHandler(`Unknown column(s): ${unknown.join(", ")}`, 400);
+  }
+  return { target: "rows", method, threshold, limit, columns };
+};
+
+// ============================================
+// ROWS
+// ============================================
+
+// Bounds outside which a value is flagged, with the score of a value, taken
+// from the column's profiled quartiles or mean and spread
+const columnBounds = (stats, method, threshold) => {
+  if (!stats) return { skipped: "no numeric values" };
+  if (stats.sampleSize < 3) return { skipped: "fewer than 3 values" };
+  const estimated = stats.approximate ? ", estimated from a sample" : "";
+
+  if (method === "iqr") {
+    const { q1, q3 } = stats;
+    const iqr = q3 - q1;
+    if (iqr === 0) return { skipped: "no spread between the quartiles" };
+    return {
+      lower: q1 - threshold * iqr,
+      upper: q3 + threshold * iqr,
+      approximate: Boolean(stats.approximate),
+      score: (value) => (value < q1 ? (q1 - value) / iqr : (value - q3) / iqr),
+      describe: `outside the IQR fences (Q1 ${round(q1)}, Q3 ${round(q3)}${estimated}, k ${threshold})`,
+    };
+  }
+
+  const { mean, stdDev: std } = stats;
+  if (!std) return { skipped: "all values are equal" };
+  return {
+    lower: mean - threshold * std,
+    upper: mean + threshold * std,
+    approximate: false,
+    score: (value) => Math.abs(value - mean) / std,
+    describe: `more than ${threshold} standard deviations from the mean ${round(mean)}`,
+  };
+};
+
+/**
+ * Flag rows whose numeric values are outliers in their column, in one pass.
+ * Fences come from the dataset's column profile, so no values are collected;
+ * IQR fences are estimates when the profile's quartiles were sampled.
+ * @param {Iterable|AsyncIterable<Object>} rows - Row objects
+ * @param {Object} query - Result of parseAnomalyQuery() with target "rows"
+ * @param {Object} profile - Result of getDatasetProfile() / profileRows() over the same rows
+ * @returns {Promise<Object>} - { method, threshold, columns, flaggedCount, rows, truncated }
+ */
+export const detectRowAnomalies = async (rows, { method, threshold, limit, columns }, profile) => {
+  const stats = new Map(profile.columns.map(column => [column.name, column.numeric]));
+  const bounds = new Map(columns.map(column => [column, columnBounds(stats.get(column), method, threshold)]));
+  const summary = Object.fromEntries(columns.map(column => {
+    const { lower, upper, approximate, skipped } = bounds.get(column);
+    return [column, skipped
+      ? { skipped, flagged: 0 }
+      : { lower: round(lower), upper: round(upper), ...(approximate && { approximate }), flagged: 0 }];
+  }));
+
+  const flagged = [];
+  let flaggedCount = 0;
+  let rowIndex = 0;
+  for await (const row of rows) {
+    const flags = [];
+    for (const column of columns) {
+      const bound = bounds.get(column);
+      const value = row[column];
+      if (bound.skipped || typeof value !== "number" || (value >= bound.lower && value <= bound.upper)) continue;
+      summary[column].flagged++;
+      flags.push({
+        column,
+        value,
+        direction: value > bound.upper ? "high" : "low",
+        score: round(bound.score(value)),
+        reason: `${column} = ${round(value)} is ${bound.describe}`,
+      });
+    }
+    if (flags.length > 0) {
+      flaggedCount++;
+      if (flagged.length < limit) flagged.push({ rowIndex, row, flags });
+    }
+    rowIndex++;
+  }
+
+  return {
+    target: "rows",
+    method,
+    threshold,
+    columns: summary,
+    flaggedCount,
+    rows: flagged,
+    truncated: flaggedCount > flagged.length,
+  };
+};
+
+// ============================================
+// SERIES
+// ============================================
+
+const median = (values) => percentile([...values].sort((a, b) => a - b), 50);
+
+// Quartiles, mean and spread of a series, in the shape columnBounds() reads from a profile
+const seriesStats = (values) => {
+  const sorted = Float64Array.from(values).sort();
+  const mean = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+  const squares = sorted.reduce((sum, value) => sum + (value - mean) ** 2, 0);
+  return {
+    sampleSize: sorted.length,
+    q1: percentile(sorted, 25),
+    q3: percentile(sorted, 75),
+    mean,
+    stdDev: Math.sqrt(squares / sorted.length),
+  };
+};
+
+// Robust z-scores (median and MAD); falls back to the standard deviation when MAD is 0
+const robustScores = (values) => {
+  const center = median(values);
+  const mad = median(values.map(value => Math.abs(value - center)));
+  if (mad > 0) return values.map(value => (0.6745 * (value - center)) / mad);
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const std = Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+  return values.map(value => (std ? (value - mean) / std : 0));
+};
+
+// Additive decomposition: centred moving-average trend plus the average
+// detrended value at each position in the season
+const decompose = (values, season) => {
+  const half = Math.floor(season / 2);
+  const trend = values.map((_, i) => {
+    const window = values.slice(Math.max(0, i - half), Math.min(values.length, i + half + 1));
+    return window.reduce((sum, value) => sum + value, 0) / window.length;
+  });
+  const positions = Array.from({ length: season }, () => []);
+  values.forEach((value, i) => positions[i % season].push(value - trend[i]));
+  const seasonal = positions.map(list => list.reduce((sum, value) => sum + value, 0) / list.length);
+  return values.map((_, i) => trend[i] + seasonal[i % season]);
+};
+
+/**
+ * Flag spikes and dips in a resampled series
+ * @param {Iterable|AsyncIterable<Object>} rows - Row objects
+ * @param {Object} query - Result of parseAnomalyQuery() with target "series"
+ * @returns {Promise<Object>} - { method, threshold, granularity, points, anomalies }
+ */
+export const detectSeriesAnomalies = async (rows, { method, threshold, limit, season, series: seriesQuery }) => {
+  const series = await resampleRows(rows, seriesQuery);
+  const points = series.points.filter(point => typeof point.value === "number");
+  const values = points.map(point => point.value);
+
+  if (method === "seasonal" && values.length < season * 2) {
+    throw new ErrorHandler(
+      `Seasonal detection needs at least two seasons (${season * 2} ${seriesQuery.granularity}s); `
+        + `the series has ${values.length}. Use zscore or iqr instead.`,
+      400
+    );
+  }
+
+  let expected;
+  let scores;
+  let flaggedIndex;
+  if (method === "seasonal") {
+    expected = decompose(values, season);
+    scores = robustScores(values.map((value, i) => value - expected[i]));
+    flaggedIndex = (i) => Math.abs(scores[i]) > threshold;
+  } else {
+    const bound = columnBounds(seriesStats(values), method, threshold);
+    const center = median(values);
+    expected = values.map(() => center);
+    scores = values.map(value => (bound.skipped ? 0 : bound.score(value)));
+    flaggedIndex = (i) => !bound.skipped && (values[i] < bound.lower || values[i] > bound.upper);
+  }
+
+  const anomalies = [];
+  points.forEach((point, i) => {
+    if (!flaggedIndex(i)) return;
+    const direction = point.value > expected[i] ? "spike" : "dip";
+    anomalies.push({
+      period: point.period,
+      start: point.start,
+      value: point.value,
+      expected: round(expected[i]),
+      score: round(Math.abs(scores[i])),
+      direction,
+      reason: `${series.aggregation}${series.value ? ` of ${series.value}` : ""} in ${point.period} was ${round(point.value)}, `
+        + `a ${direction} against an expected ${round(expected[i])}`,
+    });
+  });
+
+  return {
+    target: "series",
+    method,
+    threshold,
+    dateColumn: series.dateColumn,
+    granularity: series.granularity,
+    value: series.value,
+    aggregation: series.aggregation,
+    ...(method === "seasonal" && { season }),
+    periods: points.length,
+    flaggedCount: anomalies.length,
+    anomalies: anomalies.sort((a, b) => b.score - a.score).slice(0, limit),
+  };
+};
+
+/**
+ * Anomaly lines for prompts: outlying values per numeric column, and spikes
+ * or dips in the dataset's headline series, both found in one read of the rows
+ * @param {Iterable|AsyncIterable<Object>} rows - Row objects
+ * @param {Object} dataset - { headers, schema, kpiRoles }
+ * @param {Object} profile - Result of getDatasetProfile() over the same rows, for the fences and date column
+ * @returns {Promise<string>}
+ */
+export const describeAnomalies = async (rows, dataset, profile) => {
+  const numeric = profile.columns.filter(column => column.numeric).map(column => column.name);
+  const body = headlineSeries(dataset, profile);
+  const seriesQuery = body && parseAnomalyQuery({ ...body, method: "zscore", sensitivity: "medium", limit: 5 }, dataset);
+  const rowQuery = { method: "iqr", threshold: THRESHOLDS.iqr.low, limit: 100, columns: numeric };
+
+  const results = await shareRows(rows, [
+    (rows) => (numeric.length > 0 ? detectRowAnomalies(rows, rowQuery, profile) : null),
+    (rows) => (seriesQuery ? detectSeriesAnomalies(rows, seriesQuery) : null),
+  ]);
+  const failed = results.find(result => result.status === "rejected");
+  if (failed) throw failed.reason;
+  const [values, series] = results.map(result => result.value);
+
+  const lines = [];
+  for (const [column, stats] of Object.entries(values?.columns || {})) {
+    if (!stats.flagged) continue;
+    const examples = values.rows
+      .flatMap(row => row.flags.filter(flag => flag.column === column).map(flag => ({ ...flag, rowIndex: row.rowIndex })))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, 3)
+      .map(flag => `${round(flag.value)} (row ${flag.rowIndex + 1})`);
+    const estimated = stats.approximate ? " (fences estimated from a sample)" : "";
+    lines.push(`${column}: ${stats.flagged} extreme value(s) outside ${stats.lower} to ${stats.upper}${estimated}; e.g. ${examples.join(", ")}`);
+  }
+  series?.anomalies.forEach(anomaly => lines.push(anomaly.reason));
+
+  return lines.map(line => `- ${line}`).join("\n");
+};
@@ -65,7 +65,7 @@ export const detectQuestionType = (question) => {
   }
 
   // Data analysis questions
-  const analysisKeywords = ['analyze', 'analysis', 'insight', 'trend', 'pattern', 'metric', 'kpi'];
+  const analysisKeywords = ['analyze', 'analysis', 'insight', 'trend', 'pattern', 'metric', 'kpi', 'funnel', 'conversion'];
   if (analysisKeywords.some(keyword => lowerQ.includes(keyword))) {
     return 'data_analysis';
   }
@@ -405,6 +405,7 @@ EXPERTISE IN:
 - Trend identification and forecasting
 - Data quality assessment
 - Correlation and causation analysis
+- Conversion funnels and drop-off between steps (Startlytics computes funnels from event datasets: user id, event name, timestamp)
 - Actionable insights generation
 
 ${userProfile ? `USER: ${userProfile}\n` : ''}
@@ -0,0 +1,383 @@
+import { Resvg } from '@resvg/resvg-js';
+import ErrorHandler from './errorHandler.js';
+
+export const RENDERABLE_CHART_TYPES = ["line", "bar", "area", "pie", "scatter"];
+export const IMAGE_FORMATS = ["svg", "png"];
+
+export const DEFAULT_IMAGE_SIZE = { width: 800, height: 450 };
+const MIN_IMAGE_SIZE = 200;
+const MAX_IMAGE_SIZE = 2000;
+const MAX_PNG_SCALE = 3;
+
+// Tableau 10; series past the tenth reuse the colours
+const PALETTE = [
+  "#4E79A7", "#F28E2B", "#E15759", "#76B7B2", "#59A14F",
+  "#EDC948", "#B07AA1", "#FF9DA7", "#9C755F", "#BAB0AC",
+];
+const FONT = "Helvetica, Arial, 'DejaVu Sans', sans-serif";
+const TEXT_COLOR = "#333333";
+const GRID_COLOR = "#E5E5E5";
+const AXIS_COLOR = "#999999";
+// Rough average glyph width as a share of the font size, for fitting labels without measuring text
+const CHAR_WIDTH = 0.6;
+
+const colorOf = (i) => PALETTE[i % PALETTE.length];
+
+const escapeXml = (value) => String(value ?? "")
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;");
+
+const truncate = (text, maxChars) => {
+  const value = String(text ?? "");
+  return value.length > maxChars ? `${value.slice(0, Math.max(1, maxChars - 1))}…` : value;
+};
+
+const toNumber = (value) => (typeof value === "number" && Number.isFinite(value) ? value : null);
+
+// Math.min/max without spreading, which overflows the call stack on long series
+const extentOf = (values) => values.reduce(
+  ([min, max], value) => [Math.min(min, value), Math.max(max, value)],
+  [Infinity, -Infinity]
+);
+
+const fixed = (value) => Math.round(value * 100) / 100;
+
+// 1234 → "1.2k", 2500000 → "2.5M"
+const formatNumber = (value) => {
+  const abs = Math.abs(value);
+  const compact = (divisor, suffix) => `${parseFloat((value / divisor).toFixed(1))}${suffix}`;
+  if (abs >= 1e9) return compact(1e9, "B");
+  if (abs >= 1e6) return compact(1e6, "M");
+  if (abs >= 1e4) return compact(1e3, "k");
+  return String(parseFloat(value.toFixed(abs < 1 ? 3 : 2)));
+};
+
+/**
+ * Round axis bounds outward to a step of 1, 2 or 5 × 10^n
+ * @param {number} min - Smallest value to show
+ * @param {number} max - Largest value to show
+ * @param {number} count - Wanted number of ticks
+ * @returns {{ min: number, max: number, ticks: Array<number> }}
+ */
+const niceScale = (min, max, count = 5) => {
+  if (min === max) {
+    const pad = Math.abs(min) || 1;
+    [min, max] = [min - pad, max + pad];
+  }
+  const rough = (max - min) / count;
+  const magnitude = 10 ** Math.floor(Math.log10(rough));
+  const step = [1, 2, 5, 10].map(m => m * magnitude).find(candidate => candidate >= rough);
+  const low = Math.floor(min / step) * step;
+  const high = Math.ceil(max / step) * step;
+  const ticks = [];
+  for (let tick = low; tick <= high + step / 2; tick += step) ticks.push(fixed(tick / magnitude) * magnitude);
+  return { min: low, max: high, ticks };
+};
+
+// ============================================
+// OPTIONS
+// ============================================
+
+/**
+ * Parse image options from a query string or body
+ * @param {Object} input - { format, width, height, scale }
+ * @returns {Object} - { format, width, height, scale }
+ */
+export const parseImageOptions = (input = {}) => {
+  const format = input.format || "png";
+  if (!IMAGE_FORMATS.includes(format)) {
+    throw new ErrorHandler(`Invalid image format "${format}". Allowed: ${IMAGE_FORMATS.join(", ")}`, 400);
+  }
+  const size = (name) => {
+    const value = input[name] === undefined ? DEFAULT_IMAGE_SIZE[name] : Number(input[name]);
+    if (!Number.isInteger(value) || value < MIN_IMAGE_SIZE || value > MAX_IMAGE_SIZE) {
+      throw new ErrorHandler(`${name} must be an integer between ${MIN_IMAGE_SIZE} and ${MAX_IMAGE_SIZE}`, 400);
+    }
+    return value;
+  };
+  const scale = input.scale === undefined ? 1 : Number(input.scale);
+  if (!(scale >= 1 && scale <= MAX_PNG_SCALE)) {
+    throw new ErrorHandler(`scale must be between 1 and ${MAX_PNG_SCALE}`, 400);
+  }
+  return { format, width: size("width"), height: size("height"), scale };
+};
+
+/**
+ * Reject chart types that have no image form (KPI cards and tables)
+ * @param {string} type - Chart type
+ */
+export const assertRenderable = (type) => {
+  if (!RENDERABLE_CHART_TYPES.includes(type)) {
+    throw new ErrorHandler(
+      `A ${type} chart can't be rendered as an image. Renderable: ${RENDERABLE_CHART_TYPES.join(", ")}`,
+      400
+    );
+  }
+};
+
+// ============================================
+// DRAWING
+// ============================================
+
+const text = (x, y, content, { size = 11, anchor = "start", weight, color = TEXT_COLOR, rotate } = {}) =>
+  `<text x="${fixed(x)}" y="${fixed(y)}" font-size="${size}" text-anchor="${anchor}" fill="${color}"` +
+  `${weight ? ` font-weight="${weight}"` : ""}${rotate ? ` transform="rotate(${rotate} ${fixed(x)} ${fixed(y)})"` : ""}>` +
+  `${escapeXml(content)}</text>`;
+
+const line = (x1, y1, x2, y2, color, width = 1) =>
+  `<line x1="${fixed(x1)}" y1="${fixed(y1)}" x2="${fixed(x2)}" y2="${fixed(y2)}" stroke="${color}" stroke-width="${width}"/>`;
+
+// Legend entries laid out left to right, wrapping onto new rows; returns the markup and its height
+const legend = (names, { x, y, width }) => {
+  const parts = [];
+  let cursorX = x;
+  let cursorY = y;
+  names.forEach((name, i) => {
+    const label = truncate(name, 24);
+    const itemWidth = 18 + label.length * 11 * CHAR_WIDTH + 14;
+    if (cursorX > x && cursorX + itemWidth > x + width) {
+      cursorX = x;
+      cursorY += 18;
+    }
+    parts.push(`<rect x="${fixed(cursorX)}" y="${fixed(cursorY - 9)}" width="10" height="10" fill="${colorOf(i)}"/>`);
+    parts.push(text(cursorX + 14, cursorY, label));
+    cursorX += itemWidth;
+  });
+  return { markup: parts.join(""), height: names.length ? cursorY - y + 18 : 0 };
+};
+
+// Horizontal grid lines and y-axis tick labels
+const valueAxis = (scale, plot, project) => scale.ticks.map(tick => {
+  const y = project(tick);
+  return line(plot.left, y, plot.right, y, tick === 0 ? AXIS_COLOR : GRID_COLOR) +
+    text(plot.left - 6, y + 4, formatNumber(tick), { anchor: "end" });
+}).join("");
+
+// Category labels under the plot, thinned so they don't overlap; long sets are rotated
+const categoryAxis = (labels, plot, centerOf, slotWidth) => {
+  const longest = labels.reduce((max, label) => Math.max(max, String(label ?? "").length), 1);
+  const rotate = longest * 11 * CHAR_WIDTH > slotWidth;
+  const every = Math.max(1, Math.ceil((rotate ? 16 : longest * 11 * CHAR_WIDTH + 8) / slotWidth));
+  return labels.map((label, i) => (i % every === 0
+    ? text(centerOf(i), plot.bottom + 16, truncate(label, rotate ? 14 : 24), rotate ? { anchor: "end", rotate: -35 } : { anchor: "middle" })
+    : "")).join("");
+};
+
+const emptyPlot = (plot) =>
+  text((plot.left + plot.right) / 2, (plot.top + plot.bottom) / 2, "No data", { anchor: "middle", color: AXIS_COLOR, size: 14 });
+
+const drawCartesian = (type, data, plot, options) => {
+  const labels = data.labels || [];
+  const series = (data.series || []).map(s => ({ ...s, data: s.data.map(toNumber) }));
+  const values = series.flatMap(s => s.data).filter(value => value !== null);
+  if (labels.length === 0 || values.length === 0) return emptyPlot(plot);
+
+  const stacked = options.stacked === true && type !== "line" && series.length > 1;
+  // Stacks start where the series below ended; negative values stack downwards separately
+  const bases = series.map(() => labels.map(() => 0));
+  const tops = labels.map((_, i) => {
+    let positive = 0;
+    let negative = 0;
+    series.forEach((s, k) => {
+      const value = s.data[i] ?? 0;
+      bases[k][i] = value >= 0 ? positive : negative;
+      if (value >= 0) positive += value;
+      else negative += value;
+    });
+    return [negative, positive];
+  });
+  // Bars and areas grow from zero, so it stays on their axis
+  const [low, high] = extentOf(type === "line" ? values : [...(stacked ? tops.flat() : values), 0]);
+  const scale = niceScale(low, high);
+  const project = (value) => plot.bottom - ((value - scale.min) / (scale.max - scale.min)) * (plot.bottom - plot.top);
+
+  const slotWidth = (plot.right - plot.left) / labels.length;
+  // Bars sit in bands; lines and areas run edge to edge, inset so the end labels fit
+  const inset = Math.min(24, slotWidth / 2);
+  const centerOf = type === "bar"
+    ? (i) => plot.left + slotWidth * (i + 0.5)
+    : (i) => (labels.length === 1
+      ? (plot.left + plot.right) / 2
+      : plot.left + inset + ((plot.right - plot.left - inset * 2) * i) / (labels.length - 1));
+
+  const parts = [valueAxis(scale, plot, project)];
+
+  if (type === "bar") {
+    const groupWidth = slotWidth * 0.8;
+    const barWidth = stacked ? groupWidth : groupWidth / series.length;
+    series.forEach((s, k) => {
+      s.data.forEach((value, i) => {
+        if (value === null) return;
+        const start = stacked ? bases[k][i] : 0;
+        const y1 = project(start + value);
+        const y0 = project(start);
+        const x = centerOf(i) - groupWidth / 2 + (stacked ? 0 : k * barWidth);
+        parts.push(`<rect x="${fixed(x)}" y="${fixed(Math.min(y0, y1))}" width="${fixed(Math.max(barWidth - 1, 1))}" ` +
+          `height="${fixed(Math.max(Math.abs(y0 - y1), 0.5))}" fill="${colorOf(k)}"/>`);
+      });
+    });
+  } else {
+    // Areas are drawn first so lines stay on top; nulls break a line into segments
+    series.forEach((s, k) => {
+      const segments = [];
+      let current = [];
+      s.data.forEach((value, i) => {
+        if (value === null) {
+          if (current.length) segments.push(current);
+          current = [];
+          return;
+        }
+        const base = stacked ? bases[k][i] : 0;
+        current.push({ x: centerOf(i), y: project(base + value), base: project(base) });
+      });
+      if (current.length) segments.push(current);
+
+      for (const points of segments) {
+        const path = points.map((p, i) => `${i ? "L" : "M"}${fixed(p.x)},${fixed(p.y)}`).join(" ");
+        if (type === "area") {
+          const baseline = [...points].reverse().map(p => `L${fixed(p.x)},${fixed(p.base)}`).join(" ");
+          parts.push(`<path d="${path} ${baseline} Z" fill="${colorOf(k)}" fill-opacity="${stacked ? 0.85 : 0.3}" stroke="none"/>`);
+        }
+        parts.push(`<path d="${path}" fill="none" stroke="${colorOf(k)}" stroke-width="2" stroke-linejoin="round"/>`);
+        if (points.length === 1 || labels.length <= 30) {
+          points.forEach(p => parts.push(`<circle cx="${fixed(p.x)}" cy="${fixed(p.y)}" r="2.5" fill="${colorOf(k)}"/>`));
+        }
+      }
+    });
+  }
+
+  parts.push(line(plot.left, plot.bottom, plot.right, plot.bottom, AXIS_COLOR));
+  parts.push(categoryAxis(labels, plot, centerOf, slotWidth));
+  return parts.join("");
+};
+
+const drawScatter = (data, plot) => {
+  const points = data.points || [];
+  if (points.length === 0) return emptyPlot(plot);
+
+  const xScale = niceScale(...extentOf(points.map(p => p.x)));
+  const yScale = niceScale(...extentOf(points.map(p => p.y)));
+  const projectX = (value) => plot.left + ((value - xScale.min) / (xScale.max - xScale.min)) * (plot.right - plot.left);
+  const projectY = (value) => plot.bottom - ((value - yScale.min) / (yScale.max - yScale.min)) * (plot.bottom - plot.top);
+
+  // Colour by series value in order of first appearance; the rest share grey
+  const groups = [...new Set(points.map(p => String(p.series ?? "")))];
+  const colors = new Map(groups.map((name, i) => [name, i < PALETTE.length - 1 ? colorOf(i) : PALETTE[PALETTE.length - 1]]));
+
+  const parts = [valueAxis(yScale, plot, projectY)];
+  xScale.ticks.forEach(tick => {
+    const x = projectX(tick);
+    parts.push(line(x, plot.top, x, plot.bottom, GRID_COLOR));
+    parts.push(text(x, plot.bottom + 16, formatNumber(tick), { anchor: "middle" }));
+  });
+  const radius = points.length > 1000 ? 1.5 : 3;
+  points.forEach(p => {
+    const color = "series" in p ? colors.get(String(p.series ?? "")) : PALETTE[0];
+    parts.push(`<circle cx="${fixed(projectX(p.x))}" cy="${fixed(projectY(p.y))}" r="${radius}" fill="${color}" fill-opacity="0.7"/>`);
+  });
+  parts.push(line(plot.left, plot.bottom, plot.right, plot.bottom, AXIS_COLOR));
+  parts.push(text((plot.left + plot.right) / 2, plot.bottom + 34, data.x, { anchor: "middle", weight: "bold" }));
+  parts.push(text(plot.left - 44, (plot.top + plot.bottom) / 2, data.y, { anchor: "middle", weight: "bold", rotate: -90 }));
+  return parts.join("");
+};
+
+const drawPie = (data, plot) => {
+  // Colours follow the legend, which also lists empty slices
+  const slices = (data.slices || [])
+    .map((slice, i) => ({ ...slice, color: colorOf(i) }))
+    .filter(slice => toNumber(slice.value) > 0);
+  const total = slices.reduce((sum, slice) => sum + slice.value, 0);
+  if (total === 0) return emptyPlot(plot);
+
+  const cx = (plot.left + plot.right) / 2;
+  const cy = (plot.top + plot.bottom) / 2;
+  const radius = Math.min(plot.right - plot.left, plot.bottom - plot.top) / 2;
+  const point = (angle, r = radius) => `${fixed(cx + r * Math.sin(angle))},${fixed(cy - r * Math.cos(angle))}`;
+
+  if (slices.length === 1) {
+    return `<circle cx="${fixed(cx)}" cy="${fixed(cy)}" r="${fixed(radius)}" fill="${slices[0].color}"/>`;
+  }
+  let angle = 0;
+  return slices.map((slice) => {
+    const sweep = (slice.value / total) * Math.PI * 2;
+    const path = `M${fixed(cx)},${fixed(cy)} L${point(angle)} A${fixed(radius)},${fixed(radius)} 0 ${sweep > Math.PI ? 1 : 0} 1 ${point(angle + sweep)} Z`;
+    // Percentages go inside slices big enough to hold them
+    const label = sweep > 0.35
+      ? text(cx + radius * 0.65 * Math.sin(angle + sweep / 2), cy - radius * 0.65 * Math.cos(angle + sweep / 2) + 4,
+        `${Math.round((slice.value / total) * 100)}%`, { anchor: "middle", color: "#FFFFFF", weight: "bold" })
+      : "";
+    angle += sweep;
+    return `<path d="${path}" fill="${slice.color}" stroke="#FFFFFF" stroke-width="1"/>${label}`;
+  }).join("");
+};
+
+/**
+ * Draw a chart as a standalone SVG document
+ * @param {Object} chart - { title, type, options } - options.stacked stacks bar and area series
+ * @param {Object} data - Chart data as returned by chartData()
+ * @param {Object} size - { width, height }
+ * @returns {string} - SVG markup
+ */
+export const renderChartSvg = ({ title, type, options = {} }, data, { width, height } = DEFAULT_IMAGE_SIZE) => {
+  assertRenderable(type);
+
+  const names = type === "pie"
+    ? (data.slices || []).map(slice => `${slice.label ?? "(blank)"} (${formatNumber(slice.value ?? 0)})`)
+    : type === "scatter"
+      ? [...new Set((data.points || []).filter(p => "series" in p).map(p => String(p.series ?? "")))].slice(0, PALETTE.length - 1)
+      : (data.series || []).length > 1 ? data.series.map(s => s.name) : [];
+
+  const titleHeight = title ? 32 : 12;
+  const key = legend(names, { x: 16, y: 0, width: width - 32 });
+  const bottomSpace = (type === "scatter" ? 44 : type === "pie" ? 12 : 52) + key.height;
+  const plot = {
+    left: type === "pie" ? 16 : 64,
+    right: width - 20,
+    top: titleHeight + 8,
+    bottom: height - bottomSpace,
+  };
+  const body = type === "pie"
+    ? drawPie(data, plot)
+    : type === "scatter"
+      ? drawScatter(data, plot)
+      : drawCartesian(type, data, plot, options || {});
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${FONT}">`,
+    `<rect width="${width}" height="${height}" fill="#FFFFFF"/>`,
+    title ? text(width / 2, 22, truncate(title, Math.floor(width / (15 * CHAR_WIDTH))), { size: 15, anchor: "middle", weight: "bold" }) : "",
+    body,
+    key.height ? `<g transform="translate(0 ${height - key.height + 6})">${key.markup}</g>` : "",
+    "</svg>",
+  ].join("");
+};
+
+/**
+ * Rasterize SVG markup to PNG; text uses the server's installed fonts
+ * @param {string} svg - SVG markup
+ * @param {Object} options - { width, scale }
+ * @returns {Buffer} - PNG bytes
+ */
+export const svgToPng = (svg, { width = DEFAULT_IMAGE_SIZE.width, scale = 1 } = {}) => {
+  const resvg = new Resvg(svg, {
+    fitTo: { mode: "width", value: Math.round(width * scale) },
+    font: { loadSystemFonts: true, defaultFontFamily: "DejaVu Sans" },
+  });
+  return resvg.render().asPng();
+};
+
+/**
+ * Draw a chart in the requested image format
+ * @param {Object} chart - { title, type, options }
+ * @param {Object} data - Chart data as returned by chartData()
+ * @param {Object} image - Result of parseImageOptions()
+ * @returns {{ contentType: string, body: string|Buffer }}
+ */
+export const renderChartImage = (chart, data, image) => {
+  const svg = renderChartSvg(chart, data, image);
+  return image.format === "svg"
+    ? { contentType: "image/svg+xml", body: svg }
+    : { contentType: "image/png", body: svgToPng(svg, image) };
+};
@@ -0,0 +1,337 @@
+import ErrorHandler from './errorHandler.js';
+import { isBlank } from './schemaInference.js';
+import { validateConditions, buildRowFilter } from './rowFilter.js';
+import { parseRowQuery, topRows, projectRow, MAX_PAGE_SIZE } from './rowQuery.js';
+import { MAX_GROUPS, parseDimension, parseMetric, parseAggregateQuery, aggregateRows } from './aggregate.js';
+
+export const CHART_TYPES = ["line", "bar", "area", "pie", "scatter", "kpi", "table"];
+
+// Dashboards lay charts out on a 12-column grid
+export const GRID_COLUMNS = 12;
+export const MAX_CHART_HEIGHT = 24;
+export const DEFAULT_CHART_SIZE = { w: 6, h: 4 };
+
+export const MAX_SCATTER_POINTS = 5000;
+export const MAX_CHART_SERIES = 20;
+const DEFAULT_PIE_SLICES = 10;
+const DEFAULT_TABLE_ROWS = 100;
+
+const OTHER_LABEL = "Other";
+// Aggregates whose values can be added up, so leftover pie slices can be merged into "Other"
+const ADDITIVE = ["count", "sum"];
+
+const round = (value) => (value === null || !Number.isFinite(value) ? null : Math.round(value * 100) / 100);
+
+// Sort lists arrive as "-total,name" or ["-total", "name"]
+const parseSortList = (value) => (Array.isArray(value) ? value : String(value || "").split(","))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+/**
+ * Validate a grid position; x + w must fit in the grid
+ * @param {Object} layout - { x, y, w, h }
+ * @param {Object} fallback - Position used for omitted fields
+ * @returns {{ x: number, y: number, w: number, h: number }}
+ */
+export const parseLayout = (layout = {}, fallback = { x: 0, y: 0, ...DEFAULT_CHART_SIZE }) => {
+  if (typeof layout !== "object" || layout === null) {
+    throw new ErrorHandler("layout must be an object like { x, y, w, h }", 400);
+  }
+  const position = { ...fallback, ...layout };
+  const check = (name, min, max) => {
+    const value = Number(position[name]);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw new ErrorHandler(`layout.${name} must be an integer between ${min} and ${max}`, 400);
+    }
+    return value;
+  };
+  const w = check("w", 1, GRID_COLUMNS);
+  return {
+    x: check("x", 0, GRID_COLUMNS - w),
+    y: check("y", 0, Number.MAX_SAFE_INTEGER),
+    w,
+    h: check("h", 1, MAX_CHART_HEIGHT),
+  };
+};
+
+/**
+ * Validate a chart definition against its dataset's headers.
+ * - line, bar, area: x dimension, one or more y metrics, or one metric split by a series dimension
+ * - pie: x category and one y metric
+ * - scatter: x and y numeric columns, optional series column for colouring
+ * - kpi: one y metric; with a date x (and granularity) it also compares the last two periods
+ * - table: aggregated when y metrics are given, otherwise raw rows (columns, sort, limit)
+ * @param {Object} body - { title, type, x, y, series, columns, filters, match, sort, limit, options }
+ * @param {Array<string>} headers - Dataset headers
+ * @returns {Object} - { fields, plan } - normalized fields to store and the plan for chartData()
+ */
+export const parseChartDefinition = (body = {}, headers = []) => {
+  const known = new Set(headers);
+  const title = typeof body.title === "string" ? body.title.trim() : "";
+  if (!title) {
+    throw new ErrorHandler("Chart title is required", 400);
+  }
+  const { type } = body;
+  if (!CHART_TYPES.includes(type)) {
+    throw new ErrorHandler(`Invalid chart type "${type}". Allowed: ${CHART_TYPES.join(", ")}`, 400);
+  }
+
+  const filters = validateConditions(body.filters || [], "filters");
+  const unknownFilters = filters.filter(f => !known.has(f.column)).map(f => f.column);
+  if (unknownFilters.length > 0) {
+    throw new ErrorHandler(`Unknown filter column(s): ${unknownFilters.join(", ")}`, 400);
+  }
+  const match = body.match === "any" ? "any" : "all";
+  const sort = parseSortList(body.sort);
+  const y = Array.isArray(body.y) ? body.y : body.y ? [body.y] : [];
+  const x = body.x ? parseDimension(body.x, known) : null;
+  const series = body.series ? parseDimension(body.series, known) : null;
+
+  const limitOf = (fallback, max) => {
+    const limit = body.limit === undefined ? fallback : Number(body.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > max) {
+      throw new ErrorHandler(`limit must be an integer between 1 and ${max}`, 400);
+    }
+    return limit;
+  };
+  const fields = {
+    title,
+    type,
+    x: body.x,
+    y,
+    series: body.series,
+    columns: [],
+    filters,
+    match,
+    sort,
+    limit: undefined,
+    options: body.options,
+  };
+
+  let plan;
+  if (type === "scatter") {
+    const yColumn = typeof y[0] === "string" ? y[0] : y[0]?.column;
+    if (!x || x.granularity || y.length !== 1 || !known.has(yColumn)) {
+      throw new ErrorHandler("A scatter chart needs an x column and one y column", 400);
+    }
+    if (series?.granularity) {
+      throw new ErrorHandler("A scatter chart's series is a plain column", 400);
+    }
+    fields.limit = limitOf(MAX_SCATTER_POINTS, MAX_SCATTER_POINTS);
+    plan = { kind: "points", x: x.column, y: yColumn, series: series?.column ?? null, limit: fields.limit };
+  } else if (type === "table" && y.length === 0) {
+    const rowQuery = parseRowQuery({ columns: body.columns, sort, filters }, headers);
+    fields.columns = rowQuery.columns;
+    fields.limit = limitOf(DEFAULT_TABLE_ROWS, MAX_PAGE_SIZE);
+    plan = { kind: "rows", columns: rowQuery.columns, sort: rowQuery.sort, limit: fields.limit };
+  } else {
+    const metrics = y.map(metric => parseMetric(metric, known));
+    if (metrics.length === 0) {
+      throw new ErrorHandler(`A ${type} chart needs at least one y metric ({ fn, column })`, 400);
+    }
+    if (["line", "bar", "area", "pie"].includes(type) && !x) {
+      throw new ErrorHandler(`A ${type} chart needs an x column`, 400);
+    }
+    if ((type === "pie" || type === "kpi" || series) && metrics.length !== 1) {
+      throw new ErrorHandler(`A ${series ? "chart split by series" : `${type} chart`} takes exactly one y metric`, 400);
+    }
+    if ((type === "pie" || type === "kpi") && series) {
+      throw new ErrorHandler(`A ${type} chart can't be split by series`, 400);
+    }
+    if (type === "kpi" && x && !x.granularity) {
+      throw new ErrorHandler("A KPI card's x must be a date column with a granularity, e.g. \"date:month\"", 400);
+    }
+
+    if (type === "pie") fields.limit = limitOf(DEFAULT_PIE_SLICES, MAX_GROUPS);
+    else if (body.limit !== undefined) fields.limit = limitOf(MAX_GROUPS, MAX_GROUPS);
+
+    const groupBy = [x, series].filter(Boolean).map(dimension => ({ column: dimension.column, granularity: dimension.granularity }));
+    // Pie slices come largest first; other charts follow their groups unless sorted
+    const aggregateSort = type === "pie" && sort.length === 0 ? [`-${metrics[0].as}`] : sort;
+    const query = parseAggregateQuery({ groupBy, metrics: y, filters, match, sort: aggregateSort }, headers);
+    plan = { kind: type === "table" ? "table" : type, query, x, series, metrics, limit: fields.limit ?? null };
+  }
+
+  return { fields, plan };
+};
+
+// A stored chart in the shape its definition was submitted in
+const chartToBody = (chart) => ({
+  title: chart.title,
+  type: chart.type,
+  x: chart.x,
+  y: chart.y,
+  series: chart.series,
+  columns: chart.columns,
+  filters: chart.filters,
+  match: chart.match,
+  sort: chart.sort,
+  limit: chart.limit ?? undefined,
+  options: chart.options,
+});
+
+/**
+ * Validate a stored chart against its dataset's current headers
+ * @param {Object} chart - Chart document or lean object
+ * @param {Array<string>} headers - Dataset headers
+ * @returns {Object} - Result of parseChartDefinition()
+ */
+export const resolveChart = (chart, headers) => {
+  try {
+    return parseChartDefinition(chartToBody(chart), headers);
+  } catch (err) {
+    throw new ErrorHandler(`Chart "${chart.title}" no longer matches its dataset: ${err.message}`, err.statusCode || 400);
+  }
+};
+
+/**
+ * Merge an update into a stored chart's definition and validate the result
+ * @param {Object} chart - Chart document
+ * @param {Object} changes - Fields to change
+ * @param {Array<string>} headers - Dataset headers
+ * @returns {Object} - Fields to store
+ */
+export const mergeChartDefinition = (chart, changes, headers) =>
+  parseChartDefinition({ ...chartToBody(chart), ...changes }, headers).fields;
+
+// ============================================
+// DATA
+// ============================================
+
+const toSeries = (result, { x, series, metrics, limit }) => {
+  const rows = limit ? result.rows.slice(0, limit) : result.rows;
+  if (!series) {
+    return {
+      labels: rows.map(row => row[x.as]),
+      series: metrics.map(metric => ({ name: metric.as, data: rows.map(row => row[metric.as]) })),
+      truncated: result.truncated || rows.length < result.rows.length,
+    };
+  }
+
+  // One line per series value, aligned on the x labels; the largest series are kept
+  const [metric] = metrics;
+  const labels = [];
+  const labelIndex = new Map();
+  const groups = new Map();
+  for (const row of rows) {
+    const label = row[x.as];
+    const key = label instanceof Date ? label.toISOString() : JSON.stringify(label);
+    if (!labelIndex.has(key)) {
+      labelIndex.set(key, labels.length);
+      labels.push(label);
+    }
+    const name = isBlank(row[series.as]) ? "(blank)" : String(row[series.as]);
+    if (!groups.has(name)) groups.set(name, new Map());
+    groups.get(name).set(labelIndex.get(key), row[metric.as]);
+  }
+  const total = (values) => [...values.values()].reduce((sum, value) => sum + (typeof value === "number" ? value : 0), 0);
+  const ranked = [...groups.entries()].sort((a, b) => total(b[1]) - total(a[1]));
+
+  return {
+    labels,
+    series: ranked.slice(0, MAX_CHART_SERIES).map(([name, values]) => ({
+      name,
+      data: labels.map((_, i) => values.get(i) ?? null),
+    })),
+    truncated: result.truncated || ranked.length > MAX_CHART_SERIES,
+  };
+};
+
+const toSlices = (result, { x, metrics, limit }) => {
+  const [metric] = metrics;
+  const additive = ADDITIVE.includes(metric.fn);
+  const slices = result.rows.slice(0, limit).map(row => ({ label: row[x.as], value: row[metric.as] }));
+  const rest = result.rows.slice(limit);
+  if (additive && rest.length > 0) {
+    slices.push({ label: OTHER_LABEL, value: rest.reduce((sum, row) => sum + (row[metric.as] || 0), 0) });
+  }
+  const total = additive ? slices.reduce((sum, slice) => sum + (slice.value || 0), 0) : null;
+  return {
+    metric: metric.as,
+    slices: slices.map(slice => ({ ...slice, percent: total ? round((slice.value / total) * 100) : null })),
+    truncated: !additive && rest.length > 0,
+  };
+};
+
+const toKpi = (result, { x, metrics }) => {
+  const [metric] = metrics;
+  if (!x) return { metric: metric.as, value: result.rows[0]?.[metric.as] ?? null };
+
+  const trend = result.rows.map(row => ({ label: row[x.as], value: row[metric.as] }));
+  const latest = trend[trend.length - 1] ?? null;
+  const previous = trend[trend.length - 2] ?? null;
+  const change = latest && previous && typeof latest.value === "number" && typeof previous.value === "number"
+    ? latest.value - previous.value
+    : null;
+  return {
+    metric: metric.as,
+    value: latest?.value ?? null,
+    period: latest?.label ?? null,
+    previous: previous?.value ?? null,
+    change: round(change),
+    changePercent: change !== null && previous.value ? round((change / Math.abs(previous.value)) * 100) : null,
+    trend,
+  };
+};
+
+/**
+ * Compute what a chart draws from its rows
+ * @param {Iterable|AsyncIterable<Object>} rows - Row objects
+ * @param {Object} definition - Result of parseChartDefinition() (uses its plan and filters)
+ * @param {Object} options - { rowCount } - used to sample scatter points evenly
+ * @returns {Promise<Object>} - Type-specific data: labels and series, slices, points, a KPI value or table rows
+ */
+export const chartData = async (rows, { fields, plan }, { rowCount = 0 } = {}) => {
+  if (plan.kind === "points" || plan.kind === "rows") {
+    const keep = buildRowFilter(fields.filters, { match: fields.match });
+
+    if (plan.kind === "points") {
+      const stride = Math.max(1, Math.ceil(rowCount / plan.limit));
+      const points = [];
+      let index = 0;
+      let truncated = false;
+      for await (const row of rows) {
+        if (!keep(row) || typeof row[plan.x] !== "number" || typeof row[plan.y] !== "number") continue;
+        if (index++ % stride !== 0) continue;
+        if (points.length === plan.limit) {
+          truncated = true;
+          break;
+        }
+        points.push({ x: row[plan.x], y: row[plan.y], ...(plan.series && { series: row[plan.series] ?? null }) });
+      }
+      return { x: plan.x, y: plan.y, points, sampled: stride > 1, truncated };
+    }
+
+    // Raw table: unsorted tables stop at `limit` rows; sorted ones keep the best `limit` while scanning
+    const matching = (async function* () {
+      let kept = 0;
+      for await (const row of rows) {
+        if (!keep(row)) continue;
+        yield row;
+        if (plan.sort.length === 0 && ++kept === plan.limit) return;
+      }
+    })();
+    const { entries, total } = await topRows(matching, plan.sort, plan.limit);
+    return {
+      columns: plan.columns.length ? plan.columns : null,
+      rows: entries.map(({ row }) => projectRow(row, plan.columns)),
+      ...(plan.sort.length > 0 && { total }),
+    };
+  }
+
+  const result = await aggregateRows(rows, plan.query);
+  switch (plan.kind) {
+    case "pie":
+      return toSlices(result, plan);
+    case "kpi":
+      return toKpi(result, plan);
+    case "table":
+      return {
+        columns: result.columns,
+        rows: plan.limit ? result.rows.slice(0, plan.limit) : result.rows,
+        truncated: result.truncated || (plan.limit !== null && result.rows.length > plan.limit),
+      };
+    default:
+      return toSeries(result, plan);
+  }
+};
@@ -0,0 +1,196 @@
+import ErrorHandler from './errorHandler.js';
+import { isBlank } from './schemaInference.js';
+import { validateConditions, buildRowFilter } from './rowFilter.js';
+import { toDate, truncateDate, periodLabel } from './dateBuckets.js';
+
+export const COHORT_GRANULARITIES = ["week", "month"];
+
+// classic: active in period N; unbounded: active in period N or any later period
+export const RETENTION_MODES = ["classic", "unbounded"];
+
+export const DEFAULT_COHORT_PERIODS = 12;
+export const MAX_COHORT_PERIODS = 104;
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const round = (value) => (value === null ? null : Math.round(value * 100) / 100);
+
+const periodsBetween = (from, to, granularity) => (granularity === "week"
+  ? Math.round((to - from) / WEEK_MS)
+  : (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + to.getUTCMonth() - from.getUTCMonth());
+
+/**
+ * Parse and validate a cohort request. Columns default to the dataset's KPI
+ * roles (customerId, date, amount) when those are mapped.
+ * @param {Object} body - { customerColumn, dateColumn, amountColumn, granularity, retention, periods, filters, match }
+ * @param {Array<string>} headers - Dataset headers
+ * @param {Object} [kpiRoles] - Dataset KPI roles
+ * @returns {Object} - Validated query for cohortRetention()
+ */
+export const parseCohortQuery = (body = {}, headers = [], kpiRoles = {}) => {
+  const known = new Set(headers);
+  const column = (name, role, required) => {
+    const value = body[name] ?? kpiRoles?.[role];
+    if (!value) {
+      if (required) throw new ErrorHandler(`${name} is required (or map the ${role} KPI role)`, 400);
+      return null;
+    }
+    if (!known.has(value)) throw new ErrorHandler(`Unknown ${name}: ${value}`, 400);
+    return value;
+  };
+
+  const granularity = body.granularity || "month";
+  if (!COHORT_GRANULARITIES.includes(granularity)) {
+    throw new ErrorHandler(`Invalid granularity "${granularity}". Allowed: ${COHORT_GRANULARITIES.join(", ")}`, 400);
+  }
+  const retention = body.retention || "classic";
+  if (!RETENTION_MODES.includes(retention)) {
+    throw new ErrorHandler(`Invalid retention "${retention}". Allowed: ${RETENTION_MODES.join(", ")}`, 400);
+  }
+  const periods = body.periods === undefined ? DEFAULT_COHORT_PERIODS : Number(body.periods);
+  if (!Number.isInteger(periods) || periods < 1 || periods > MAX_COHORT_PERIODS) {
+    throw new ErrorHandler(`periods must be an integer between 1 and ${MAX_COHORT_PERIODS}`, 400);
+  }
+
+  const filters = validateConditions(body.filters || [], "filters");
+  const unknownFilters = filters.filter(f => !known.has(f.column)).map(f => f.column);
+  if (unknownFilters.length > 0) {
+    throw new ErrorHandler(`Unknown filter column(s): ${unknownFilters.join(", ")}`, 400);
+  }
+
+  return {
+    customerColumn: column("customerColumn", "customerId", true),
+    dateColumn: column("dateColumn", "date", true),
+    amountColumn: column("amountColumn", "amount", false),
+    granularity,
+    retention,
+    periods,
+    filters,
+    match: body.match === "any" ? "any" : "all",
+  };
+};
+
+/**
+ * Group customers by the period of their first activity and follow how many
+ * of them (and how much of their revenue) come back in each later period
+ * @param {Iterable|AsyncIterable<Object>} rows - Row objects
+ * @param {Object} query - Result of parseCohortQuery()
+ * @returns {Promise<Object>} - { granularity, retention, periods, cohorts, average }
+ */
+export const cohortRetention = async (rows, query) => {
+  const { customerColumn, dateColumn, amountColumn, granularity, retention, periods, filters, match } = query;
+  const keep = buildRowFilter(filters, { match });
+  const customers = new Map(); // customer → Map(period start → revenue)
+  let latest = null;
+
+  for await (const row of rows) {
+    if (!keep(row)) continue;
+    const customer = row[customerColumn];
+    const date = toDate(row[dateColumn]);
+    if (isBlank(customer) || !date) continue;
+
+    const start = truncateDate(date, granularity).getTime();
+    if (latest === null || start > latest) latest = start;
+    const key = String(customer);
+    if (!customers.has(key)) customers.set(key, new Map());
+    const activity = customers.get(key);
+    const amount = amountColumn && typeof row[amountColumn] === "number" ? row[amountColumn] : 0;
+    activity.set(start, (activity.get(start) || 0) + amount);
+  }
+
+  const cohorts = new Map(); // cohort start → { size, active: [], revenue: [] }
+  for (const activity of customers.values()) {
+    const starts = [...activity.keys()].sort((a, b) => a - b);
+    const cohortStart = new Date(starts[0]);
+    if (!cohorts.has(starts[0])) {
+      cohorts.set(starts[0], { size: 0, active: Array(periods + 1).fill(0), revenue: Array(periods + 1).fill(0) });
+    }
+    const cohort = cohorts.get(starts[0]);
+    cohort.size++;
+
+    const offsets = starts.map(start => periodsBetween(cohortStart, new Date(start), granularity));
+    offsets.forEach((offset, i) => {
+      if (offset <= periods) cohort.revenue[offset] += activity.get(starts[i]);
+    });
+    if (retention === "classic") {
+      offsets.filter(offset => offset <= periods).forEach(offset => cohort.active[offset]++);
+    } else {
+      // Counted as retained in every period up to their last activity
+      const last = Math.min(offsets[offsets.length - 1], periods);
+      for (let offset = 0; offset <= last; offset++) cohort.active[offset]++;
+    }
+  }
+
+  const latestDate = latest === null ? null : new Date(latest);
+  const table = [...cohorts.entries()].sort((a, b) => a[0] - b[0]).map(([start, cohort]) => {
+    const startDate = new Date(start);
+    // Periods the cohort has lived through; later cells stay empty in the triangle
+    const age = Math.min(periodsBetween(startDate, latestDate, granularity), periods);
+    const span = (values) => values.slice(0, age + 1);
+    return {
+      cohort: periodLabel(startDate, granularity),
+      start: startDate,
+      size: cohort.size,
+      counts: span(cohort.active),
+      percents: span(cohort.active).map(count => round((count / cohort.size) * 100)),
+      ...(amountColumn && {
+        revenue: span(cohort.revenue).map(round),
+        revenuePercents: span(cohort.revenue).map(value => (cohort.revenue[0] ? round((value / cohort.revenue[0]) * 100) : null)),
+      }),
+    };
+  });
+
+  // Weighted by cohort size, over the cohorts old enough to have each period
+  const width = Math.max(0, ...table.map(row => row.counts.length));
+  const average = Array.from({ length: width }, (_, offset) => {
+    const reached = table.filter(row => row.counts.length > offset);
+    const size = reached.reduce((sum, row) => sum + row.size, 0);
+    const active = reached.reduce((sum, row) => sum + row.counts[offset], 0);
+    return size ? round((active / size) * 100) : null;
+  });
+
+  return {
+    customerColumn,
+    dateColumn,
+    amountColumn,
+    granularity,
+    retention,
+    periods,
+    customerCount: customers.size,
+    cohorts: table,
+    average,
+  };
+};
+
+/**
+ * Flatten a retention triangle into sheets of cells, for spreadsheet and PDF export
+ * @param {Object} result - Result of cohortRetention()
+ * @returns {Array<{ name: string, header: Array, rows: Array<Array>, percent: boolean }>}
+ */
+export const cohortTables = (result) => {
+  const width = Math.max(0, ...result.cohorts.map(row => row.counts.length));
+  const prefix = result.granularity === "week" ? "Week" : "Month";
+  const header = ["Cohort", "Customers", ...Array.from({ length: width }, (_, i) => `${prefix} ${i}`)];
+  const table = (name, values, percent) => ({
+    name,
+    header,
+    percent,
+    rows: result.cohorts.map(row => [row.cohort, row.size, ...values(row)]),
+  });
+
+  const tables = [
+    {
+      ...table("Retention %", row => row.percents, true),
+      rows: [
+        ...result.cohorts.map(row => [row.cohort, row.size, ...row.percents]),
+        ["Average", result.cohorts.reduce((sum, row) => sum + row.size, 0), ...result.average],
+      ],
+    },
+    table("Customers", row => row.counts, false),
+  ];
+  if (result.amountColumn) {
+    tables.push(table("Revenue retention %", row => row.revenuePercents, true));
+    tables.push(table("Revenue", row => row.revenue, false));
+  }
+  return tables;
+};
@@ -0,0 +1,285 @@
+import DATASET_PROFILE from '../models/DatasetProfile.js';
+import ErrorHandler from './errorHandler.js';
+import { streamRows } from './rowStore.js';
+import { isBlank } from './schemaInference.js';
+import { percentile, createReservoir } from './aggregate.js';
+import { toDate } from './dateBuckets.js';
+
+export const NUMERIC_TYPES = ["integer", "number", "currency", "percentage"];
+export const DATE_TYPES = ["date", "datetime"];
+
+export const DEFAULT_PROFILE_OPTIONS = { bins: 10, top: 10 };
+export const MAX_HISTOGRAM_BINS = 50;
+export const MAX_TOP_VALUES = 50;
+
+// Distinct values tracked per column; past this the count is a lower bound
+const DISTINCT_LIMIT = 10000;
+const MAX_GAPS = 10;
+// Values kept per column for quantiles, histograms and date spacing. Counts, sums,
+// means, spreads and ranges stay exact; past this many values the rest are estimated.
+export const PROFILE_SAMPLE_SIZE = 10000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const distinctKey = (value) => (value instanceof Date ? value.toISOString() : JSON.stringify(value));
+const percentOf = (part, whole) => (whole ? Math.round((part / whole) * 10000) / 100 : 0);
+
+/**
+ * Parse ?bins=&top= for a profile request
+ * @param {Object} query - Request query
+ * @returns {{ bins: number, top: number }}
+ */
+export const parseProfileOptions = (query = {}) => {
+  const read = (name, max) => {
+    if (query[name] === undefined) return DEFAULT_PROFILE_OPTIONS[name];
+    const value = Number(query[name]);
+    if (!Number.isInteger(value) || value < 1 || value > max) {
+      throw new ErrorHandler(`${name} must be an integer between 1 and ${max}`, 400);
+    }
+    return value;
+  };
+  return { bins: read("bins", MAX_HISTOGRAM_BINS), top: read("top", MAX_TOP_VALUES) };
+};
+
+// ============================================
+// STATISTICS
+// ============================================
+
+// Exact running count, sum, mean and spread (Welford), plus range
+const createMoments = () => ({ count: 0, sum: 0, mean: 0, squares: 0, min: Infinity, max: -Infinity });
+
+const addMoment = (moments, value) => {
+  moments.count++;
+  moments.sum += value;
+  const delta = value - moments.mean;
+  moments.mean += delta / moments.count;
+  moments.squares += delta * (value - moments.mean);
+  if (value < moments.min) moments.min = value;
+  if (value > moments.max) moments.max = value;
+};
+
+const numericStats = (moments, sample, bins) => {
+  const { count, min, max, sum, mean, squares } = moments;
+  if (count === 0) return null;
+  const sorted = Float64Array.from(sample.values).sort();
+  const approximate = sample.seen > sorted.length;
+
+  // Equal-width bins from min to max; the last bin includes max. Sampled
+  // counts are scaled up to the column's full count.
+  const binCount = min === max ? 1 : bins;
+  const width = (max - min) / binCount;
+  const histogram = Array.from({ length: binCount }, (_, i) => ({
+    from: min + i * width,
+    to: i === binCount - 1 ? max : min + (i + 1) * width,
+    count: 0,
+  }));
+  for (const value of sorted) {
+    const index = width === 0 ? 0 : Math.min(Math.floor((value - min) / width), binCount - 1);
+    histogram[index].count++;
+  }
+  if (approximate) {
+    histogram.forEach(bin => { bin.count = Math.round((bin.count * count) / sorted.length); });
+  }
+
+  return {
+    min,
+    max,
+    sum,
+    mean,
+    median: percentile(sorted, 50),
+    stdDev: count > 1 ? Math.sqrt(squares / (count - 1)) : null,
+    q1: percentile(sorted, 25),
+    q3: percentile(sorted, 75),
+    histogram,
+    // Quantiles and histogram come from a sample of this many values when approximate
+    approximate,
+    sampleSize: sorted.length,
+  };
+};
+
+// Gaps are spacings between consecutive dates more than twice the usual (median) spacing
+const dateStats = (moments, sample) => {
+  if (moments.count === 0) return null;
+  // The range is exact; distinct dates, spacing and gaps come from the sample when it's full
+  const distinct = [...new Set(sample.values)].sort((a, b) => a - b);
+  const approximate = sample.seen > sample.values.length;
+  const spacings = distinct.slice(1).map((time, i) => time - distinct[i]);
+  const usual = spacings.length ? percentile([...spacings].sort((a, b) => a - b), 50) : null;
+
+  const gaps = usual
+    ? distinct.slice(1)
+      .map((time, i) => ({ from: new Date(distinct[i]), to: new Date(time), days: (time - distinct[i]) / DAY_MS }))
+      .filter(gap => gap.days * DAY_MS > usual * 2)
+      .sort((a, b) => b.days - a.days)
+    : [];
+
+  return {
+    min: new Date(moments.min),
+    max: new Date(moments.max),
+    spanDays: (moments.max - moments.min) / DAY_MS,
+    distinctDates: distinct.length,
+    medianSpacingDays: usual === null ? null : usual / DAY_MS,
+    gapCount: gaps.length,
+    gaps: gaps.slice(0, MAX_GAPS),
+    approximate,
+    sampleSize: sample.values.length,
+  };
+};
+
+const createColumnProfile = ({ name, type }) => {
+  const state = {
+    nulls: 0,
+    count: 0,
+    values: new Map(),
+    capped: false,
+    numbers: createMoments(),
+    numberSample: createReservoir(PROFILE_SAMPLE_SIZE),
+    times: createMoments(),
+    timeSample: createReservoir(PROFILE_SAMPLE_SIZE),
+  };
+  const numeric = NUMERIC_TYPES.includes(type);
+  const dated = DATE_TYPES.includes(type);
+
+  return {
+    add: (value) => {
+      if (isBlank(value)) {
+        state.nulls++;
+        return;
+      }
+      state.count++;
+
+      const key = distinctKey(value);
+      const entry = state.values.get(key);
+      if (entry) {
+        entry.count++;
+      } else if (state.values.size < DISTINCT_LIMIT) {
+        state.values.set(key, { value, count: 1 });
+      } else {
+        state.capped = true;
+      }
+
+      if (numeric && typeof value === "number" && Number.isFinite(value)) {
+        addMoment(state.numbers, value);
+        state.numberSample.add(value);
+      }
+      if (dated) {
+        const date = toDate(value);
+        if (date) {
+          addMoment(state.times, date.getTime());
+          state.timeSample.add(date.getTime());
+        }
+      }
+    },
+    result: (rowCount, { bins, top }) => ({
+      name,
+      type,
+      count: state.count,
+      nullCount: state.nulls,
+      nullPercent: percentOf(state.nulls, rowCount),
+      distinctCount: state.values.size,
+      distinctExact: !state.capped,
+      topValues: [...state.values.values()]
+        .sort((a, b) => b.count - a.count)
+        .slice(0, top)
+        .map(({ value, count }) => ({ value, count, percent: percentOf(count, state.count) })),
+      ...(numeric && { numeric: numericStats(state.numbers, state.numberSample, bins) }),
+      ...(dated && { dates: dateStats(state.times, state.timeSample) }),
+    }),
+  };
+};
+
+/**
+ * Profile every column of a row stream in one pass
+ * @param {Iterable|AsyncIterable<Object>} rows - Typed row objects
+ * @param {Object} dataset - { headers, schema }
+ * @param {Object} options - { bins, top }
+ * @returns {Promise<{ rowCount: number, columns: Array<Object> }>}
+ */
+export const profileRows = async (rows, { headers = [], schema = [] }, options = DEFAULT_PROFILE_OPTIONS) => {
+  const types = new Map(schema.map(column => [column.name, column.type]));
+  const profiles = headers.map(name => createColumnProfile({ name, type: types.get(name) || "string" }));
+
+  let rowCount = 0;
+  for await (const row of rows) {
+    rowCount++;
+    headers.forEach((name, i) => profiles[i].add(row[name]));
+  }
+
+  return { rowCount, columns: profiles.map(profile => profile.result(rowCount, options)) };
+};
+
+// ============================================
+// CACHE
+// ============================================
+
+/**
+ * Profile of a dataset's current rows, served from the cache while the
+ * dataset's version and row generation are unchanged
+ * @param {Object} dataset - Dataset with _id, headers, schema, version and row storage fields
+ * @param {Object} options - { bins, top, refresh }
+ * @returns {Promise<Object>} - { rowCount, columns, generatedAt, cached }
+ */
+export const getDatasetProfile = async (dataset, { refresh = false, ...options } = {}) => {
+  const settings = { ...DEFAULT_PROFILE_OPTIONS, ...options };
+  const version = dataset.version || 0;
+  const rowGeneration = dataset.rowGeneration || 0;
+
+  if (!refresh) {
+    const cached = await DATASET_PROFILE.findOne({ datasetId: dataset._id }).lean();
+    if (cached && cached.version === version && cached.rowGeneration === rowGeneration
+      && cached.options?.bins === settings.bins && cached.options?.top === settings.top) {
+      return { rowCount: cached.rowCount, columns: cached.columns, generatedAt: cached.updatedAt, cached: true };
+    }
+  }
+
+  const profile = await profileRows(streamRows(dataset), dataset, settings);
+  const saved = await DATASET_PROFILE.findOneAndUpdate(
+    { datasetId: dataset._id },
+    { version, rowGeneration, options: settings, rowCount: profile.rowCount, columns: profile.columns },
+    { upsert: true, new: true }
+  ).lean();
+  return { ...profile, generatedAt: saved.updatedAt, cached: false };
+};
+
+/**
+ * Drop the cached profile of a deleted dataset
+ * @param {string} datasetId - Dataset ID
+ */
+export const deleteProfile = async (datasetId) => {
+  await DATASET_PROFILE.deleteOne({ datasetId });
+};
+
+// ============================================
+// TEXT
+// ============================================
+
+const formatNumber = (value) =>
+  (value === null || value === undefined ? "-" : Number.isInteger(value) ? String(value) : value.toFixed(2));
+const formatValue = (value) => (value instanceof Date ? value.toISOString().slice(0, 10) : String(value));
+
+/**
+ * One line per column, for prompts: type, fill rate, distinct values and
+ * the numeric, date or top-value summary that fits the column
+ * @param {Object} profile - Result of getDatasetProfile()
+ * @returns {string}
+ */
+export const describeProfile = (profile) => profile.columns.map((column) => {
+  const parts = [
+    `${column.name} (${column.type})`,
+    `${column.count} values, ${column.nullPercent}% empty`,
+    `${column.distinctExact ? "" : "over "}${column.distinctCount} distinct`,
+  ];
+  if (column.numeric) {
+    const { min, max, mean, median, stdDev, q1, q3, sum, approximate } = column.numeric;
+    parts.push(`min ${formatNumber(min)}, q1 ${formatNumber(q1)}, median ${formatNumber(median)}, `
+      + `q3 ${formatNumber(q3)}, max ${formatNumber(max)}, mean ${formatNumber(mean)}, `
+      + `std dev ${formatNumber(stdDev)}, sum ${formatNumber(sum)}${approximate ? " (quartiles estimated from a sample)" : ""}`);
+  } else if (column.dates) {
+    const { min, max, medianSpacingDays, gapCount, gaps } = column.dates;
+    const largest = gaps[0] ? `, largest gap ${formatNumber(gaps[0].days)} days from ${formatValue(gaps[0].from)}` : "";
+    parts.push(`${formatValue(min)} to ${formatValue(max)}, usual spacing ${formatNumber(medianSpacingDays)} days, `
+      + `${gapCount} gaps${largest}`);
+  } else if (column.topValues.length > 0) {
+    parts.push(`top: ${column.topValues.slice(0, 5).map(v => `${formatValue(v.value)} (${v.percent}%)`).join(", ")}`);
+  }
+  return `- ${parts.join("; ")}`;
+}).join("\n");
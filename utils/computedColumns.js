@@ -0,0 +1,80 @@
+import ErrorHandler from './errorHandler.js';
+import { compileFormula } from './formula.js';
+import { typeRows } from './schemaInference.js';
+
+export const MAX_COMPUTED_COLUMNS = 50;
+
+/**
+ * Check a computed column definition against the dataset it will be added to.
+ * Formulas may use the base columns and computed columns defined before them.
+ * @param {Object} definition - { name, expression }
+ * @param {Array<string>} baseHeaders - Dataset headers without computed columns
+ * @param {Array<Object>} earlier - Computed columns that come before this one
+ * @returns {{ name: string, expression: string }}
+ */
+export const validateComputedColumn = (definition, baseHeaders, earlier = []) => {
+  const name = typeof definition?.name === "string" ? definition.name.trim() : "";
+  const expression = typeof definition?.expression === "string" ? definition.expression.trim() : "";
+  if (!name) {
+    throw new ErrorHandler("Computed column name is required", 400);
+  }
+  if (!expression) {
+    throw new ErrorHandler("Computed column expression is required", 400);
+  }
+  if (baseHeaders.includes(name) || earlier.some(column => column.name === name)) {
+    throw new ErrorHandler(`Column "${name}" already exists`, 400);
+  }
+
+  compileFormula(expression, [...baseHeaders, ...earlier.map(column => column.name)]);
+  return { name, expression };
+};
+
+/**
+ * Evaluate computed columns onto a stream of typed rows. Each computed column
+ * is typed like an uploaded one; types the user overrode are kept.
+ * @param {Iterable|AsyncIterable<Object>} rows - Typed rows without computed values
+ * @param {Array<Object>} definitions - Dataset computedColumns, in order
+ * @param {Object} options - { overrides } - { [column]: { type, format, overridden } }
+ * @returns {{ rows: AsyncGenerator<Object>, getSchema: Function }} - Rows with computed values and their schema
+ */
+export const addComputedColumns = (rows, definitions, { overrides = {} } = {}) => {
+  // Columns dropped by a later sync read as blank instead of failing the sync
+  const compiled = definitions.map(({ name, expression }) => ({ name, formula: compileFormula(expression) }));
+  const pending = [];
+
+  async function* evaluate() {
+    for await (const row of rows) {
+      const scope = { ...row };
+      const values = {};
+      for (const { name, formula } of compiled) {
+        values[name] = formula.evaluate(scope);
+        scope[name] = values[name];
+      }
+      pending.push(row);
+      yield values;
+    }
+  }
+
+  const typed = typeRows(evaluate(), { overrides });
+
+  async function* merge() {
+    for await (const values of typed.rows) {
+      yield { ...pending.shift(), ...values };
+    }
+  }
+
+  return { rows: merge(), getSchema: typed.getSchema };
+};
+
+/**
+ * Drop computed values from stored rows, so they can be recalculated
+ * @param {Iterable|AsyncIterable<Object>} rows - Row objects
+ * @param {Array<string>} names - Computed column names
+ * @returns {AsyncGenerator<Object>}
+ */
+export async function* stripColumns(rows, names) {
+  const drop = new Set(names);
+  for await (const row of rows) {
+    yield Object.fromEntries(Object.entries(row).filter(([name]) => !drop.has(name)));
+  }
+}
@@ -0,0 +1,441 @@
+import ErrorHandler from './errorHandler.js';
+import { isBlank } from './schemaInference.js';
+import { NUMERIC_TYPES } from './columnProfile.js';
+
+export const CORRELATION_METHODS = ["pearson", "spearman", "cramersV"];
+export const CATEGORICAL_TYPES = ["categorical", "boolean"];
+
+export const MAX_CORRELATION_COLUMNS = 30;
+// Past this many rows an evenly spaced sample is used
+export const MAX_CORRELATION_ROWS = 200000;
+// Categorical columns with more distinct values than this are left out of Cramér's V
+export const MAX_CATEGORIES = 50;
+
+const SIGNIFICANCE = 0.05;
+
+const round = (value, digits = 4) =>
+  (value === null || !Number.isFinite(value) ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+
+// ============================================
+// DISTRIBUTIONS
+// ============================================
+
+const logGamma = (x) => {
+  // Lanczos approximation
+  const c = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let series = 1.000000000190015;
+  for (const coefficient of c) series += coefficient / ++y;
+  return -tmp + Math.log((2.5066282746310005 * series) / x);
+};
+
+// Continued fraction for the regularized incomplete beta function
+const betaFraction = (a, b, x) => {
+  const tiny = 1e-30;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    d = Math.abs(d) < tiny ? 1 / tiny : 1 / d;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    h *= d * c;
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    d = Math.abs(d) < tiny ? 1 / tiny : 1 / d;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    const step = d * c;
+    h *= step;
+    if (Math.abs(step - 1) < 3e-12) break;
+  }
+  return h;
+};
+
+const incompleteBeta = (a, b, x) => {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaFraction(a, b, x)) / a
+    : 1 - (front * betaFraction(b, a, 1 - x)) / b;
+};
+
+// Upper tail of the regularized incomplete gamma function, Q(a, x)
+const upperGamma = (a, x) => {
+  if (x <= 0) return 1;
+  const gln = logGamma(a);
+  if (x < a + 1) {
+    let sum = 1 / a;
+    let term = sum;
+    for (let n = 1; n <= 500; n++) {
+      term *= x / (a + n);
+      sum += term;
+      if (Math.abs(term) < Math.abs(sum) * 3e-12) break;
+    }
+    return 1 - sum * Math.exp(-x + a * Math.log(x) - gln);
+  }
+  const tiny = 1e-30;
+  let b = x + 1 - a;
+  let c = 1 / tiny;
+  let d = 1 / b;
+  let h = d;
+  for (let i = 1; i <= 500; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = b + an / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const step = d * c;
+    h *= step;
+    if (Math.abs(step - 1) < 3e-12) break;
+  }
+  return Math.exp(-x + a * Math.log(x) - gln) * h;
+};
+
+// Two-sided p-value of a correlation coefficient (t-test with n - 2 degrees of freedom)
+const correlationPValue = (r, n) => {
+  if (n < 3) return null;
+  if (Math.abs(r) >= 1) return 0;
+  const df = n - 2;
+  const t2 = (r * r * df) / (1 - r * r);
+  return incompleteBeta(df / 2, 0.5, df / (df + t2));
+};
+
+// ============================================
+// COEFFICIENTS
+// ============================================
+
+// Values of both columns where both are present
+const completePairs = (x, y) => {
+  const a = [];
+  const b = [];
+  for (let i = 0; i < x.length; i++) {
+    if (!Number.isNaN(x[i]) && !Number.isNaN(y[i])) {
+      a.push(x[i]);
+      b.push(y[i]);
+    }
+  }
+  return [a, b];
+};
+
+const pearson = (x, y) => {
+  const n = x.length;
+  if (n < 3) return null;
+  let meanX = 0;
+  let meanY = 0;
+  for (let i = 0; i < n; i++) {
+    meanX += x[i];
+    meanY += y[i];
+  }
+  meanX /= n;
+  meanY /= n;
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (x[i] - meanX) * (y[i] - meanY);
+    sxx += (x[i] - meanX) ** 2;
+    syy += (y[i] - meanY) ** 2;
+  }
+  if (sxx === 0 || syy === 0) return null;
+  const r = Math.max(-1, Math.min(1, sxy / Math.sqrt(sxx * syy)));
+  return { r, p: correlationPValue(r, n), n };
+};
+
+// Ranks starting at 1, ties sharing their average rank
+const ranks = (values) => {
+  const order = values.map((value, i) => [value, i]).sort((a, b) => a[0] - b[0]);
+  const result = new Array(values.length);
+  for (let i = 0; i < order.length;) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1][0] === order[i][0]) j++;
+    const rank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) result[order[k][1]] = rank;
+    i = j + 1;
+  }
+  return result;
+};
+
+const spearman = (x, y) => (x.length < 3 ? null : pearson(ranks(x), ranks(y)));
+
+const cramersV = (x, y) => {
+  const table = new Map();
+  const rowTotals = new Map();
+  const columnTotals = new Map();
+  let n = 0;
+  for (let i = 0; i < x.length; i++) {
+    if (x[i] === null || y[i] === null) continue;
+    const key = `${x[i]}\u0000${y[i]}`;
+    table.set(key, (table.get(key) || 0) + 1);
+    rowTotals.set(x[i], (rowTotals.get(x[i]) || 0) + 1);
+    columnTotals.set(y[i], (columnTotals.get(y[i]) || 0) + 1);
+    n++;
+  }
+  const k = Math.min(rowTotals.size, columnTotals.size);
+  if (n < 3 || k < 2) return null;
+
+  let chi2 = 0;
+  for (const [a, rowTotal] of rowTotals) {
+    for (const [b, columnTotal] of columnTotals) {
+      const expected = (rowTotal * columnTotal) / n;
+      const observed = table.get(`${a}\u0000${b}`) || 0;
+      chi2 += (observed - expected) ** 2 / expected;
+    }
+  }
+  const df = (rowTotals.size - 1) * (columnTotals.size - 1);
+  return { v: Math.min(1, Math.sqrt(chi2 / (n * (k - 1)))), p: upperGamma(df / 2, chi2 / 2), n };
+};
+
+// Correlation ratio (eta) of a numeric column across the categories of another, with the ANOVA F-test
+const correlationRatio = (categories, values) => {
+  const groups = new Map();
+  let n = 0;
+  let total = 0;
+  for (let i = 0; i < values.length; i++) {
+    if (categories[i] === null || Number.isNaN(values[i])) continue;
+    const group = groups.get(categories[i]) || { count: 0, sum: 0 };
+    group.count++;
+    group.sum += values[i];
+    groups.set(categories[i], group);
+    total += values[i];
+    n++;
+  }
+  const k = groups.size;
+  if (n <= k || k < 2) return null;
+
+  const grandMean = total / n;
+  let ssTotal = 0;
+  for (let i = 0; i < values.length; i++) {
+    if (categories[i] !== null && !Number.isNaN(values[i])) ssTotal += (values[i] - grandMean) ** 2;
+  }
+  if (ssTotal === 0) return null;
+  let ssBetween = 0;
+  for (const { count, sum } of groups.values()) ssBetween += count * (sum / count - grandMean) ** 2;
+
+  const eta2 = Math.min(1, ssBetween / ssTotal);
+  const f = eta2 === 1 ? Infinity : (eta2 / (k - 1)) / ((1 - eta2) / (n - k));
+  const p = f === Infinity ? 0 : incompleteBeta((n - k) / 2, (k - 1) / 2, (n - k) / (n - k + (k - 1) * f));
+  return { eta: Math.sqrt(eta2), p, n };
+};
+
+// ============================================
+// QUERY
+// ============================================
+
+/**
+ * Parse and validate a correlation request. Columns default to every numeric
+ * and categorical (incl. boolean) column of the dataset.
+ * @param {Object} body - { columns, methods, target }
+ * @param {Object} dataset - { headers, schema }
+ * @returns {Object} - Validated query for correlateRows()
+ */
+export const parseCorrelationQuery = (body = {}, { headers = [], schema = [] }) => {
+  const types = new Map(schema.map(column => [column.name, column.type]));
+  const kindOf = (name) => (NUMERIC_TYPES.includes(types.get(name)) ? "numeric" : "categorical");
+
+  const methods = body.methods === undefined ? CORRELATION_METHODS : body.methods;
+  if (!Array.isArray(methods) || methods.length === 0 || methods.some(method => !CORRELATION_METHODS.includes(method))) {
+    throw new ErrorHandler(`methods must be a list of: ${CORRELATION_METHODS.join(", ")}`, 400);
+  }
+
+  let columns = body.columns;
+  if (columns === undefined) {
+    columns = headers.filter(name => NUMERIC_TYPES.includes(types.get(name)) || CATEGORICAL_TYPES.includes(types.get(name)));
+  }
+  if (!Array.isArray(columns)) {
+    throw new ErrorHandler("columns must be a list of column names", 400);
+  }
+  const unknown = columns.filter(name => !headers.includes(name));
+  if (unknown.length > 0) {
+    throw new ErrorHandler(`Unknown column(s): ${unknown.join(", ")}`, 400);
+  }
+
+  const target = body.target ?? null;
+  if (target !== null && !headers.includes(target)) {
+    throw new ErrorHandler(`Unknown target column: ${target}`, 400);
+  }
+  columns = [...new Set(target === null ? columns : [target, ...columns])];
+  if (columns.length < 2) {
+    throw new ErrorHandler("At least two numeric or categorical columns are needed", 400);
+  }
+  if (columns.length > MAX_CORRELATION_COLUMNS) {
+    throw new ErrorHandler(`At most ${MAX_CORRELATION_COLUMNS} columns can be correlated at once; pass columns`, 400);
+  }
+
+  return {
+    columns: columns.map(name => ({ name, kind: kindOf(name) })),
+    methods,
+    target,
+  };
+};
+
+// ============================================
+// CORRELATE
+// ============================================
+
+const matrix = (names, pair) => {
+  const cells = names.map((a, i) => names.map((b, j) => (i === j ? { r: 1, p: 0, n: null } : null)));
+  names.forEach((a, i) => {
+    for (let j = i + 1; j < names.length; j++) {
+      const result = pair(a, names[j]);
+      cells[i][j] = result;
+      cells[j][i] = result;
+    }
+  });
+  return {
+    columns: names,
+    values: cells.map(row => row.map(cell => (cell ? round(cell.r ?? cell.v) : null))),
+    pValues: cells.map(row => row.map(cell => (cell ? round(cell.p, 6) : null))),
+    n: cells.map(row => row.map(cell => cell?.n ?? null)),
+  };
+};
+
+/**
+ * Pearson and Spearman matrices over numeric columns, Cramér's V over
+ * categorical ones, each with p-values, and a ranked list of drivers for a
+ * target column. Pairs use the rows where both columns have a value.
+ * @param {Iterable|AsyncIterable<Object>} rows - Typed row objects
+ * @param {Object} query - Result of parseCorrelationQuery()
+ * @param {Object} options - { rowCount } - used to pick a sampling stride for large datasets
+ * @returns {Promise<Object>} - { rowsUsed, sampled, matrices, skipped, drivers }
+ */
+export const correlateRows = async (rows, { columns, methods, target }, { rowCount = 0 } = {}) => {
+  const stride = Math.max(1, Math.ceil(rowCount / MAX_CORRELATION_ROWS));
+  const numeric = new Map(columns.filter(c => c.kind === "numeric").map(c => [c.name, []]));
+  const categorical = new Map(columns.filter(c => c.kind === "categorical").map(c => [c.name, []]));
+  const categories = new Map([...categorical.keys()].map(name => [name, new Set()]));
+  const skipped = {};
+
+  let index = 0;
+  let used = 0;
+  for await (const row of rows) {
+    if (index++ % stride !== 0) continue;
+    used++;
+    for (const [name, values] of numeric) {
+      const value = row[name];
+      values.push(typeof value === "number" && Number.isFinite(value) ? value : NaN);
+    }
+    for (const [name, values] of categorical) {
+      if (skipped[name]) continue;
+      const value = isBlank(row[name]) ? null : String(row[name] instanceof Date ? row[name].toISOString() : row[name]);
+      if (value !== null) categories.get(name).add(value);
+      if (categories.get(name).size > MAX_CATEGORIES) {
+        skipped[name] = `more than ${MAX_CATEGORIES} distinct values`;
+        categorical.set(name, null);
+        continue;
+      }
+      values.push(value);
+    }
+  }
+  for (const [name, values] of categorical) if (values === null) categorical.delete(name);
+
+  const numericNames = [...numeric.keys()];
+  const categoricalNames = [...categorical.keys()];
+  const complete = new Map();
+  const pairsOf = (a, b) => {
+    const key = `${a}\u0000${b}`;
+    if (!complete.has(key)) complete.set(key, completePairs(numeric.get(a), numeric.get(b)));
+    return complete.get(key);
+  };
+
+  const matrices = {};
+  if (numericNames.length > 1) {
+    if (methods.includes("pearson")) matrices.pearson = matrix(numericNames, (a, b) => pearson(...pairsOf(a, b)));
+    if (methods.includes("spearman")) matrices.spearman = matrix(numericNames, (a, b) => spearman(...pairsOf(a, b)));
+  }
+  if (categoricalNames.length > 1 && methods.includes("cramersV")) {
+    matrices.cramersV = matrix(categoricalNames, (a, b) => cramersV(categorical.get(a), categorical.get(b)));
+  }
+
+  let drivers = null;
+  if (target !== null) {
+    if (skipped[target]) {
+      throw new ErrorHandler(`Target column ${target} has ${skipped[target]}`, 400);
+    }
+    const targetNumeric = numeric.has(target);
+    drivers = columns.filter(({ name }) => name !== target && !skipped[name]).map(({ name, kind }) => {
+      let result;
+      let method;
+      if (targetNumeric && kind === "numeric") {
+        method = "pearson";
+        result = pearson(...pairsOf(target, name));
+        if (result) {
+          const rank = spearman(...pairsOf(target, name));
+          result = { ...result, spearman: rank ? round(rank.r) : null };
+        }
+      } else if (!targetNumeric && kind === "categorical") {
+        method = "cramersV";
+        result = cramersV(categorical.get(target), categorical.get(name));
+      } else {
+        method = "correlationRatio";
+        result = targetNumeric
+          ? correlationRatio(categorical.get(name), numeric.get(target))
+          : correlationRatio(categorical.get(target), numeric.get(name));
+      }
+      if (!result) return { column: name, method, strength: null, note: "Not enough paired values or no variation" };
+
+      const coefficient = result.r ?? result.v ?? result.eta;
+      return {
+        column: name,
+        method,
+        strength: round(Math.abs(coefficient)),
+        coefficient: round(coefficient),
+        ...(result.r !== undefined && { direction: result.r >= 0 ? "positive" : "negative" }),
+        ...(result.spearman !== undefined && { spearman: result.spearman }),
+        pValue: round(result.p, 6),
+        significant: result.p < SIGNIFICANCE,
+        n: result.n,
+      };
+    }).sort((a, b) => (b.strength ?? -1) - (a.strength ?? -1));
+  }
+
+  return {
+    rowsUsed: used,
+    sampled: stride > 1,
+    matrices,
+    skipped,
+    ...(target !== null && { target, drivers }),
+  };
+};
+
+/**
+ * Strongest significant relationships (and drivers, when a target was set) as prompt lines
+ * @param {Object} result - Result of correlateRows()
+ * @param {number} [limit] - Lines per section
+ * @returns {string}
+ */
+export const describeCorrelations = (result, limit = 8) => {
+  const pairs = [];
+  for (const [method, { columns, values, pValues }] of Object.entries(result.matrices)) {
+    if (method === "spearman") continue;
+    columns.forEach((a, i) => columns.slice(i + 1).forEach((b, offset) => {
+      const j = i + 1 + offset;
+      if (values[i][j] !== null && pValues[i][j] < SIGNIFICANCE && Math.abs(values[i][j]) >= 0.3) {
+        pairs.push({ a, b, method, value: values[i][j] });
+      }
+    }));
+  }
+  const lines = pairs
+    .sort((x, y) => Math.abs(y.value) - Math.abs(x.value))
+    .slice(0, limit)
+    .map(({ a, b, method, value }) => `${a} ↔ ${b}: ${method === "pearson" ? "r" : "Cramér's V"} = ${value}`);
+
+  if (result.drivers) {
+    const drivers = result.drivers.filter(driver => driver.significant).slice(0, limit);
+    if (drivers.length > 0) {
+      lines.push(`Drivers of ${result.target}: ${drivers
+        .map(driver => `${driver.column} (${driver.method} ${driver.coefficient})`).join(", ")}`);
+    }
+  }
+  return lines.map(line => `- ${line}`).join("\n");
+};
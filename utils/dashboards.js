@@ -0,0 +1,166 @@
+import mongoose from 'mongoose';
+import DASHBOARD from '../models/Dashboard.js';
+import CHART from '../models/Chart.js';
+import User from '../models/User.js';
+import ErrorHandler from './errorHandler.js';
+import { streamRows } from './rowStore.js';
+import { findOwnDataset } from './datasetAccess.js';
+import { findDatasetView, resolveView, filterViewRows } from './datasetViews.js';
+import { GRID_COLUMNS, DEFAULT_CHART_SIZE, resolveChart, chartData } from './charts.js';
+
+export const MAX_DASHBOARDS_PER_USER = 100;
+export const MAX_CHARTS_PER_DASHBOARD = 50;
+export const MAX_DASHBOARD_SHARES = 50;
+
+const ROW_FIELDS = '_id headers rowCount rowStorage rowGeneration';
+
+const assertObjectId = (value, label) => {
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    throw new ErrorHandler(`Invalid ${label} ID format`, 400);
+  }
+};
+
+/**
+ * Find a dashboard owned by a user
+ * @param {string} dashboardId - Dashboard ID from the route
+ * @param {string} userId - Requesting user
+ * @returns {Promise<Object>} - Dashboard document
+ */
+export const findOwnDashboard = async (dashboardId, userId) => {
+  assertObjectId(dashboardId, "dashboard");
+  const dashboard = await DASHBOARD.findOne({ _id: dashboardId, userId });
+  if (!dashboard) {
+    throw new ErrorHandler("Dashboard not found", 404);
+  }
+  return dashboard;
+};
+
+/**
+ * Find a dashboard a user may read: their own, or one shared with them.
+ * Users it is shared with don't see who else it is shared with.
+ * @param {string} dashboardId - Dashboard ID from the route
+ * @param {string} userId - Requesting user
+ * @returns {Promise<Object>} - Dashboard as a plain object
+ */
+export const findVisibleDashboard = async (dashboardId, userId) => {
+  assertObjectId(dashboardId, "dashboard");
+  const dashboard = await DASHBOARD.findOne({ _id: dashboardId, $or: [{ userId }, { sharedWith: userId }] }).lean();
+  if (!dashboard) {
+    throw new ErrorHandler("Dashboard not found", 404);
+  }
+  if (String(dashboard.userId) !== String(userId)) {
+    delete dashboard.sharedWith;
+  }
+  return dashboard;
+};
+
+/**
+ * Validate the users a dashboard is shared with
+ * @param {Array<string>} userIds - User IDs from the request
+ * @param {string} ownerId - Dashboard owner, dropped from the list
+ * @returns {Promise<Array<string>>} - Distinct user IDs
+ */
+export const parseSharedWith = async (userIds, ownerId) => {
+  if (!Array.isArray(userIds)) {
+    throw new ErrorHandler("sharedWith must be an array of user IDs", 400);
+  }
+  const ids = [...new Set(userIds.map(String))].filter(id => id !== String(ownerId));
+  if (ids.length > MAX_DASHBOARD_SHARES) {
+    throw new ErrorHandler(`A dashboard can be shared with at most ${MAX_DASHBOARD_SHARES} users`, 400);
+  }
+  ids.forEach(id => assertObjectId(id, "user"));
+  if (await User.countDocuments({ _id: { $in: ids } }) !== ids.length) {
+    throw new ErrorHandler("sharedWith contains an unknown user", 400);
+  }
+  return ids;
+};
+
+/**
+ * Find a chart of a dashboard
+ * @param {string} dashboardId - Dashboard ID (already checked for access)
+ * @param {string} chartId - Chart ID
+ * @returns {Promise<Object>} - Chart document
+ */
+export const findDashboardChart = async (dashboardId, chartId) => {
+  assertObjectId(chartId, "chart");
+  const chart = await CHART.findOne({ _id: chartId, dashboardId });
+  if (!chart) {
+    throw new ErrorHandler("Chart not found", 404);
+  }
+  return chart;
+};
+
+/**
+ * Find a chart owned by a user, on any of their dashboards
+ * @param {string} chartId - Chart ID
+ * @param {string} userId - Requesting user
+ * @returns {Promise<Object>} - Chart document
+ */
+export const findOwnChart = async (chartId, userId) => {
+  assertObjectId(chartId, "chart");
+  const chart = await CHART.findOne({ _id: chartId, userId });
+  if (!chart) {
+    throw new ErrorHandler("Chart not found", 404);
+  }
+  return chart;
+};
+
+/**
+ * Grid position for a new chart: the first free slot on the row below every existing chart
+ * @param {Array<Object>} charts - Charts already on the dashboard
+ * @returns {{ x: number, y: number, w: number, h: number }}
+ */
+export const nextChartPosition = (charts) => {
+  const bottom = charts.reduce((max, { layout }) => Math.max(max, (layout?.y ?? 0) + (layout?.h ?? 0)), 0);
+  const lastRow = charts.filter(({ layout }) => (layout?.y ?? 0) + (layout?.h ?? 0) === bottom);
+  const right = lastRow.reduce((max, { layout }) => Math.max(max, (layout?.x ?? 0) + (layout?.w ?? 0)), 0);
+
+  // Fill the last row while the default width still fits beside it
+  if (lastRow.length > 0 && right + DEFAULT_CHART_SIZE.w <= GRID_COLUMNS) {
+    const top = Math.min(...lastRow.map(({ layout }) => layout.y));
+    return { x: right, y: top, ...DEFAULT_CHART_SIZE };
+  }
+  return { x: 0, y: bottom, ...DEFAULT_CHART_SIZE };
+};
+
+/**
+ * Load the dataset (and saved view) a chart reads from, checking the user still owns them
+ * @param {Object} source - { datasetId, viewId }
+ * @param {string} userId - Requesting user
+ * @returns {Promise<{ dataset: Object, view: Object|null }>}
+ */
+export const loadChartSource = async ({ datasetId, viewId }, userId) => {
+  const dataset = await findOwnDataset(datasetId, userId, ROW_FIELDS);
+  const view = viewId ? await findDatasetView(dataset._id, viewId) : null;
+  return { dataset, view };
+};
+
+/**
+ * Rows a chart reads: the dataset's, narrowed by the saved view when there is one
+ * @param {Object} source - Result of loadChartSource()
+ * @returns {AsyncIterable<Object>}
+ */
+export const chartRows = ({ dataset, view }) =>
+  (view ? filterViewRows(dataset, resolveView(view, dataset.headers)) : streamRows(dataset));
+
+/**
+ * Compute the data a stored chart draws
+ * @param {Object} chart - Chart document or lean object
+ * @param {string} userId - Owner of the chart's dataset; on a shared dashboard, the dashboard's owner
+ * @returns {Promise<Object>} - { chartId, type, data }
+ */
+export const computeChart = async (chart, userId) => {
+  const source = await loadChartSource(chart, userId);
+  const definition = resolveChart(chart, source.dataset.headers);
+
+  const data = await chartData(chartRows(source), definition, { rowCount: source.dataset.rowCount });
+  return { chartId: chart._id, type: chart.type, data };
+};
+
+/**
+ * Drop the charts built on a deleted dataset
+ * @param {string} datasetId - Dataset ID
+ */
+export const deleteDatasetCharts = async (datasetId) => {
+  await CHART.deleteMany({ datasetId });
+};
@@ -0,0 +1,21 @@
+import mongoose from 'mongoose';
+import DATASHEET from '../models/Dataset.js';
+import ErrorHandler from './errorHandler.js';
+
+/**
+ * Load a dataset owned by a user, without legacy embedded rows
+ * @param {string} datasetId - Dataset ID from the route
+ * @param {string} userId - Requesting user
+ * @param {string} [select] - Extra projection, e.g. '_id headers rowStorage rowGeneration'
+ * @returns {Promise<Object>} - Dataset mongoose document
+ */
+export const findOwnDataset = async (datasetId, userId, select = '-rows') => {
+  if (!mongoose.Types.ObjectId.isValid(datasetId)) {
+    throw new ErrorHandler("Invalid dataset ID format", 400);
+  }
+  const dataset = await DATASHEET.findOne({ _id: datasetId, userId }).select(select);
+  if (!dataset) {
+    throw new ErrorHandler("Dataset not found", 404);
+  }
+  return dataset;
+};
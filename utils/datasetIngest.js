@@ -0,0 +1,93 @@
+import DATASHEET from '../models/Dataset.js';
+import { replaceRows, deleteRows } from './rowStore.js';
+import { typeRows, overridesFromSchema } from './schemaInference.js';
+import { ensureBaselineVersion, recordVersion, deleteVersions } from './datasetVersions.js';
+import { addComputedColumns, stripColumns } from './computedColumns.js';
+
+/**
+ * Create a dataset, typing its rows and streaming them into the row store.
+ * The new dataset starts its history at version 1.
+ * @param {Object} fields - Dataset fields (userId, name, source, ...)
+ * @param {Iterable|AsyncIterable<Object>} rows - Raw row objects
+ * @param {Object} options - { summary } recorded on version 1, { overrides } column types to force
+ * @returns {Promise<Object|null>} - Saved dataset, or null when there were no rows
+ */
+export const createDatasetFromRows = async (fields, rows, { summary, overrides } = {}) => {
+  const dataset = new DATASHEET(fields);
+  const typed = typeRows(rows, { overrides });
+  const { headers, rowCount } = await replaceRows(dataset, typed.rows);
+
+  if (rowCount === 0) {
+    return null;
+  }
+
+  dataset.headers = headers;
+  dataset.schema = typed.getSchema();
+  dataset.version = 1;
+  try {
+    await dataset.save();
+    await recordVersion(dataset, {
+      author: dataset.userId,
+      action: "create",
+      summary: summary || `Created with ${rowCount} rows`,
+    });
+  } catch (error) {
+    await Promise.all([
+      DATASHEET.deleteOne({ _id: dataset._id }),
+      deleteRows(dataset._id),
+      deleteVersions(dataset._id),
+    ]);
+    throw error;
+  }
+  return dataset;
+};
+
+/**
+ * Replace every row of an existing dataset, save it and record the change as
+ * a new version. Column types the user overrode on the stored schema are
+ * kept; the rest are re-inferred unless keepSchema is set (rows that were
+ * already typed by the store). Explicit overrides replace both. Computed
+ * columns are recalculated from the new rows.
+ * @param {Object} dataset - Dataset mongoose document
+ * @param {Iterable|AsyncIterable<Object>} rows - Row objects
+ * @param {Object} options - { keepSchema, overrides, change: { author, action, summary } }
+ * @returns {Promise<Object>} - The saved dataset
+ */
+export const replaceDatasetRows = async (dataset, rows, { keepSchema = false, overrides, change = {} } = {}) => {
+  const author = change.author || dataset.userId;
+  await ensureBaselineVersion(dataset, author);
+  const previous = { headers: [...(dataset.headers || [])], rowCount: dataset.rowCount };
+
+  const typeOverrides = overrides ?? overridesFromSchema(dataset.schema, { all: keepSchema });
+  const computed = dataset.computedColumns || [];
+  const names = computed.map(column => column.name);
+  const base = typeRows(names.length ? stripColumns(rows, names) : rows, { overrides: typeOverrides });
+  let typed = base;
+  if (computed.length > 0) {
+    const withComputed = addComputedColumns(base.rows, computed, {
+      overrides: overridesFromSchema(dataset.schema.filter(column => names.includes(column.name))),
+    });
+    typed = {
+      rows: withComputed.rows,
+      getSchema: () => [...base.getSchema(), ...withComputed.getSchema()],
+    };
+  }
+
+  const { headers } = await replaceRows(dataset, typed.rows);
+  dataset.headers = headers;
+  dataset.schema = typed.getSchema();
+  dataset.version = (dataset.version || 0) + 1;
+  try {
+    await dataset.save();
+  } catch (error) {
+    await deleteRows(dataset._id, dataset.rowGeneration);
+    throw error;
+  }
+  await recordVersion(dataset, {
+    author,
+    action: change.action || "replace",
+    summary: change.summary || `${previous.rowCount} → ${dataset.rowCount} rows`,
+    previous,
+  });
+  return dataset;
+};
@@ -0,0 +1,168 @@
+import ErrorHandler from './errorHandler.js';
+import { isBlank } from './schemaInference.js';
+
+export const JOIN_TYPES = ["inner", "left", "right", "full"];
+
+// Guards against many-to-many keys multiplying rows out of control
+export const MAX_JOIN_ROWS = 1000000;
+
+/**
+ * Normalize join keys: ["email"] or [{ left: "email", right: "customer_email" }]
+ * @param {Array|string} on - Keys as sent by the client
+ * @param {Array<string>} leftHeaders - Left dataset headers
+ * @param {Array<string>} rightHeaders - Right dataset headers
+ * @returns {Array<{ left: string, right: string }>}
+ */
+export const parseJoinKeys = (on, leftHeaders, rightHeaders) => {
+  const list = typeof on === "string" ? on.split(",").map(key => key.trim()).filter(Boolean) : on;
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new ErrorHandler("At least one join key is required", 400);
+  }
+
+  const keys = list.map(key => (typeof key === "string" ? { left: key, right: key } : { left: key?.left, right: key?.right }));
+  const missingLeft = keys.filter(key => !leftHeaders.includes(key.left)).map(key => key.left);
+  const missingRight = keys.filter(key => !rightHeaders.includes(key.right)).map(key => key.right);
+  if (missingLeft.length > 0) {
+    throw new ErrorHandler(`Join key column(s) not in the left dataset: ${missingLeft.join(", ")}`, 400);
+  }
+  if (missingRight.length > 0) {
+    throw new ErrorHandler(`Join key column(s) not in the right dataset: ${missingRight.join(", ")}`, 400);
+  }
+  return keys;
+};
+
+/**
+ * Work out the output columns of a join. Key columns with the same name on
+ * both sides appear once; any other name found on both sides gets a suffix
+ * per side.
+ * @param {Array<string>} leftHeaders - Left dataset headers
+ * @param {Array<string>} rightHeaders - Right dataset headers
+ * @param {Object} options - { keys, suffixes: [leftSuffix, rightSuffix] }
+ * @returns {Object} - { headers, columns: [{ output, left, right }], left: [[source, output]],
+ *   right: [[source, output]], shared: [[left, right, output]] }
+ */
+export const planJoinColumns = (leftHeaders, rightHeaders, { keys, suffixes }) => {
+  const sharedKeys = new Map(keys.filter(key => key.left === key.right).map(key => [key.left, key]));
+  const rightOnly = rightHeaders.filter(header => !sharedKeys.has(header));
+  const rightSet = new Set(rightOnly);
+  const leftSet = new Set(leftHeaders);
+
+  const plan = { headers: [], columns: [], left: [], right: [], shared: [] };
+  for (const header of leftHeaders) {
+    if (sharedKeys.has(header)) {
+      plan.shared.push([header, header, header]);
+      plan.columns.push({ output: header, left: header, right: header });
+    } else {
+      const output = rightSet.has(header) ? `${header}${suffixes[0]}` : header;
+      plan.left.push([header, output]);
+      plan.columns.push({ output, left: header, right: null });
+    }
+  }
+  for (const header of rightOnly) {
+    const output = leftSet.has(header) ? `${header}${suffixes[1]}` : header;
+    plan.right.push([header, output]);
+    plan.columns.push({ output, left: null, right: header });
+  }
+  plan.headers = plan.columns.map(column => column.output);
+
+  const duplicate = plan.headers.find((header, i) => plan.headers.indexOf(header) !== i);
+  if (duplicate) {
+    throw new ErrorHandler(`Joined column "${duplicate}" would appear twice; choose different suffixes`, 400);
+  }
+  return plan;
+};
+
+const keyPart = (value, matchCase) => {
+  const text = value instanceof Date ? value.toISOString() : String(value).trim();
+  return matchCase ? text : text.toLowerCase();
+};
+
+/**
+ * Join two row streams on key columns. The right side is indexed in memory,
+ * the left side is streamed. Rows with a blank key never match.
+ * @param {Iterable|AsyncIterable<Object>} leftRows - Left row objects
+ * @param {Iterable|AsyncIterable<Object>} rightRows - Right row objects
+ * @param {Object} options - { type, keys, plan (planJoinColumns()), matchCase }
+ * @returns {AsyncGenerator<Object>} - Joined rows
+ */
+export async function* joinRows(leftRows, rightRows, { type, keys, plan, matchCase = false }) {
+  const keyOf = (row, side) => {
+    const values = keys.map(key => row[key[side]]);
+    return values.some(isBlank) ? null : JSON.stringify(values.map(value => keyPart(value, matchCase)));
+  };
+
+  const index = new Map();
+  const unkeyed = [];
+  for await (const row of rightRows) {
+    const key = keyOf(row, "right");
+    const entry = { row, matched: false };
+    if (key === null) {
+      unkeyed.push(entry);
+    } else if (index.has(key)) {
+      index.get(key).push(entry);
+    } else {
+      index.set(key, [entry]);
+    }
+  }
+
+  // Shared key columns take the value from whichever side is present
+  const build = (left, right) => {
+    const output = {};
+    for (const column of plan.columns) {
+      const value = left && column.left !== null ? left[column.left] : right?.[column.right];
+      output[column.output] = value ?? null;
+    }
+    return output;
+  };
+
+  let produced = 0;
+  const count = () => {
+    if (++produced > MAX_JOIN_ROWS) {
+      throw new ErrorHandler(`Join produces more than ${MAX_JOIN_ROWS} rows; check that the keys are unique enough`, 400);
+    }
+  };
+
+  const keepLeft = type === "left" || type === "full";
+  const keepRight = type === "right" || type === "full";
+
+  for await (const row of leftRows) {
+    const key = keyOf(row, "left");
+    const matches = key === null ? undefined : index.get(key);
+    if (matches) {
+      for (const entry of matches) {
+        entry.matched = true;
+        count();
+        yield build(row, entry.row);
+      }
+    } else if (keepLeft) {
+      count();
+      yield build(row, null);
+    }
+  }
+
+  if (keepRight) {
+    for (const entries of [...index.values(), unkeyed]) {
+      for (const entry of entries) {
+        if (entry.matched) continue;
+        count();
+        yield build(null, entry.row);
+      }
+    }
+  }
+}
+
+/**
+ * Stack row streams on top of each other, lining columns up by name
+ * @param {Array<{ name: string, rows: AsyncIterable<Object> }>} sources - Datasets in order
+ * @param {Object} options - { headers: every output column, sourceColumn: column naming each row's dataset }
+ * @returns {AsyncGenerator<Object>}
+ */
+export async function* unionRows(sources, { headers, sourceColumn }) {
+  for (const source of sources) {
+    for await (const row of source.rows) {
+      const output = sourceColumn ? { [sourceColumn]: source.name } : {};
+      for (const header of headers) output[header] = row[header] ?? null;
+      yield output;
+    }
+  }
+}
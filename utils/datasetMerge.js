@@ -0,0 +1,112 @@
+import ErrorHandler from './errorHandler.js';
+import { isBlank } from './schemaInference.js';
+
+export const MERGE_MODES = ["append", "replace", "upsert"];
+
+// Dates and numbers compare by value, not by object identity
+export const normalizeValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  return value;
+};
+
+const rowKey = (row, keys) => JSON.stringify(keys.map(key => normalizeValue(row[key])));
+
+/**
+ * Check that an incoming file's columns fit the stored dataset
+ * @param {Array<string>} storedHeaders - Dataset headers
+ * @param {Array<string>} incomingHeaders - Headers of the uploaded file
+ * @param {Object} options - { allowNewColumns, keys }
+ * @returns {Object} - { missingColumns, newColumns }
+ */
+export const checkHeaderCompatibility = (storedHeaders, incomingHeaders, { allowNewColumns = false, keys = [] } = {}) => {
+  const stored = new Set(storedHeaders);
+  const incoming = new Set(incomingHeaders);
+  const newColumns = incomingHeaders.filter(header => !stored.has(header));
+  const missingColumns = storedHeaders.filter(header => !incoming.has(header));
+
+  if (newColumns.length > 0 && !allowNewColumns) {
+    throw new ErrorHandler(
+      `File has columns not in the dataset: ${newColumns.join(", ")}. Rename them or set allowNewColumns=true.`,
+      400
+    );
+  }
+
+  const missingKeys = keys.filter(key => !stored.has(key) || !incoming.has(key));
+  if (missingKeys.length > 0) {
+    throw new ErrorHandler(`Key column(s) missing from the dataset or file: ${missingKeys.join(", ")}`, 400);
+  }
+
+  return { missingColumns, newColumns };
+};
+
+/**
+ * Merge incoming rows into a dataset's existing rows.
+ * - append: existing rows, then every incoming row
+ * - replace: incoming rows only (existing is not read)
+ * - upsert: incoming rows update existing rows with the same key values and
+ *   the rest are appended; a later duplicate key in the file wins
+ * @param {Object} params - { existing, incoming, mode, keys }; incoming rows should already be typed
+ *   against the dataset schema so values compare like-for-like
+ * @returns {{ rows: AsyncGenerator<Object>, getCounts: Function }} - Merged rows and change counts
+ */
+export const mergeRows = ({ existing, incoming, mode, keys = [] }) => {
+  const counts = { inserted: 0, updated: 0, unchanged: 0, skipped: 0 };
+
+  async function* append() {
+    yield* existing;
+    for await (const row of incoming) {
+      counts.inserted++;
+      yield row;
+    }
+  }
+
+  async function* replace() {
+    for await (const row of incoming) {
+      counts.inserted++;
+      yield row;
+    }
+  }
+
+  async function* upsert() {
+    const pending = new Map();
+    for await (const row of incoming) {
+      if (keys.some(key => isBlank(row[key]))) {
+        counts.skipped++;
+        continue;
+      }
+      pending.set(rowKey(row, keys), row);
+    }
+
+    for await (const row of existing) {
+      const key = rowKey(row, keys);
+      const update = pending.get(key);
+      if (!update) {
+        yield row;
+        continue;
+      }
+      pending.delete(key);
+
+      const changed = Object.entries(update)
+        .some(([column, value]) => normalizeValue(value) !== normalizeValue(row[column]));
+      if (changed) {
+        counts.updated++;
+        yield { ...row, ...update };
+      } else {
+        counts.unchanged++;
+        yield row;
+      }
+    }
+
+    for (const row of pending.values()) {
+      counts.inserted++;
+      yield row;
+    }
+  }
+
+  const generators = { append, replace, upsert };
+  return {
+    rows: generators[mode](),
+    getCounts: () => ({ ...counts }),
+  };
+};
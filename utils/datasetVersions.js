@@ -0,0 +1,242 @@
+import DATASHEET from '../models/Dataset.js';
+import DATASET_VERSION from '../models/DatasetVersion.js';
+import ErrorHandler from './errorHandler.js';
+import { replaceRows, streamRows, discardStaleRows } from './rowStore.js';
+import { normalizeValue } from './datasetMerge.js';
+
+// Older versions are pruned, and their row generations released, past this many
+export const MAX_VERSIONS = 20;
+
+const plainSchema = (schema = []) => schema.map(col => (col.toObject ? col.toObject() : col));
+
+const columnChanges = (previousHeaders = [], headers = []) => ({
+  addedColumns: headers.filter(header => !previousHeaders.includes(header)),
+  removedColumns: previousHeaders.filter(header => !headers.includes(header)),
+});
+
+/**
+ * Record the current state of a dataset that predates version history, so
+ * its first recorded mutation can still be rolled back. Legacy datasets with
+ * embedded rows get a copy of them in the chunk store first.
+ * @param {Object} dataset - Dataset mongoose document (mutated in memory)
+ * @param {string} author - User ID
+ */
+export const ensureBaselineVersion = async (dataset, author) => {
+  if (dataset.version > 0) return;
+
+  // Read the stored state: the caller may already have edited the document
+  const stored = await DATASHEET.findById(dataset._id)
+    .select('headers schema rowCount rowStorage rowGeneration')
+    .lean();
+  if (!stored) return;
+
+  if (stored.rowStorage !== "chunked") {
+    // Leave the embedded rows in place; the caller's save unsets them
+    const copy = { _id: stored._id };
+    await replaceRows(copy, streamRows({ _id: stored._id }));
+    await DATASHEET.updateOne(
+      { _id: stored._id },
+      { $set: { rowStorage: "chunked", rowGeneration: copy.rowGeneration, rowCount: copy.rowCount } }
+    );
+    stored.rowGeneration = copy.rowGeneration;
+    stored.rowCount = copy.rowCount;
+    dataset.rowStorage = "chunked";
+    dataset.rowGeneration = copy.rowGeneration;
+  }
+
+  await DATASET_VERSION.create({
+    datasetId: stored._id,
+    version: 1,
+    generation: stored.rowGeneration || 0,
+    headers: stored.headers,
+    schema: stored.schema,
+    rowCount: stored.rowCount,
+    action: "baseline",
+    summary: "State before version history was recorded",
+    author,
+  });
+  await DATASHEET.updateOne({ _id: stored._id }, { $set: { version: 1 } });
+  dataset.version = 1;
+};
+
+/**
+ * Record a version for a dataset that was just saved with a bumped `version`,
+ * prune the oldest versions and release row generations nothing points at
+ * @param {Object} dataset - Saved dataset document
+ * @param {Object} details - { author, action, summary, previous: { headers, rowCount }, restoredFrom }
+ * @returns {Promise<Object>} - The version document
+ */
+export const recordVersion = async (dataset, { author, action, summary, previous, restoredFrom }) => {
+  const entry = await DATASET_VERSION.create({
+    datasetId: dataset._id,
+    version: dataset.version,
+    generation: dataset.rowGeneration || 0,
+    headers: dataset.headers,
+    schema: plainSchema(dataset.schema),
+    computedColumns: (dataset.computedColumns || []).map(({ name, expression }) => ({ name, expression })),
+    rowCount: dataset.rowCount,
+    action,
+    summary,
+    author,
+    changes: {
+      previousRowCount: previous?.rowCount ?? 0,
+      rowCount: dataset.rowCount,
+      ...columnChanges(previous?.headers, dataset.headers),
+    },
+    restoredFrom,
+  });
+
+  const expired = await DATASET_VERSION.find({ datasetId: dataset._id })
+    .sort({ version: -1 })
+    .skip(MAX_VERSIONS)
+    .select('_id')
+    .lean();
+  if (expired.length > 0) {
+    await DATASET_VERSION.deleteMany({ _id: { $in: expired.map(v => v._id) } });
+  }
+
+  await discardStaleRows(dataset, () => DATASET_VERSION.distinct('generation', { datasetId: dataset._id }));
+  return entry;
+};
+
+/**
+ * Remove every recorded version of a dataset
+ * @param {string} datasetId - Dataset ID
+ */
+export const deleteVersions = async (datasetId) => {
+  await DATASET_VERSION.deleteMany({ datasetId });
+};
+
+/**
+ * Point a dataset back at the rows, headers, schema and computed columns of an
+ * earlier version.
+ * The rollback itself is recorded as a new version, so it can be undone.
+ * @param {Object} dataset - Dataset mongoose document
+ * @param {number} versionNumber - Version to restore
+ * @param {string} author - User ID
+ * @returns {Promise<Object>} - The rollback version document
+ */
+export const rollbackToVersion = async (dataset, versionNumber, author) => {
+  const target = await DATASET_VERSION.findOne({ datasetId: dataset._id, version: versionNumber }).lean();
+  if (!target) {
+    throw new ErrorHandler(`Version ${versionNumber} not found`, 404);
+  }
+  if (target.version === dataset.version) {
+    throw new ErrorHandler(`Version ${versionNumber} is already the current version`, 400);
+  }
+
+  const previous = { headers: [...dataset.headers], rowCount: dataset.rowCount };
+  dataset.rowStorage = "chunked";
+  dataset.rowGeneration = target.generation;
+  dataset.rowCount = target.rowCount;
+  dataset.headers = target.headers;
+  dataset.schema = target.schema;
+  dataset.computedColumns = target.computedColumns || [];
+  dataset.rows = undefined;
+  dataset.version = (dataset.version || 0) + 1;
+  await dataset.save();
+
+  return recordVersion(dataset, {
+    author,
+    action: "rollback",
+    summary: `Rolled back to version ${target.version}`,
+    previous,
+    restoredFrom: target.version,
+  });
+};
+
+// ============================================
+// DIFF
+// ============================================
+
+const valuesEqual = (a, b) => JSON.stringify(normalizeValue(a)) === JSON.stringify(normalizeValue(b));
+
+const changedCells = (before, after, columns) => {
+  const cells = {};
+  for (const column of columns) {
+    if (!valuesEqual(before[column], after[column])) {
+      cells[column] = { from: before[column] ?? null, to: after[column] ?? null };
+    }
+  }
+  return cells;
+};
+
+const rowsOf = (version) => streamRows({
+  _id: version.datasetId,
+  rowStorage: "chunked",
+  rowGeneration: version.generation,
+});
+
+/**
+ * Compare two versions of a dataset by column and by row. Rows are matched
+ * by the key columns when given, otherwise by position.
+ * @param {Object} from - Older version document
+ * @param {Object} to - Newer version document
+ * @param {Object} options - { keys, limit } - limit caps the example rows listed per change kind
+ * @returns {Promise<Object>} - { columns, rows }
+ */
+export const diffVersions = async (from, to, { keys = [], limit = 100 } = {}) => {
+  const fromTypes = new Map((from.schema || []).map(col => [col.name, col.type]));
+  const columns = {
+    ...columnChanges(from.headers, to.headers),
+    typeChanges: (to.schema || [])
+      .filter(col => fromTypes.has(col.name) && fromTypes.get(col.name) !== col.type)
+      .map(col => ({ column: col.name, from: fromTypes.get(col.name), to: col.type })),
+  };
+
+  const compared = [...new Set([...from.headers, ...to.headers])];
+  const rows = { added: 0, removed: 0, changed: 0, unchanged: 0, examples: { added: [], removed: [], changed: [] } };
+  const note = (kind, example) => {
+    rows[kind]++;
+    if (rows.examples[kind].length < limit) rows.examples[kind].push(example);
+  };
+
+  if (keys.length > 0) {
+    const rowKey = (row) => JSON.stringify(keys.map(key => normalizeValue(row[key])));
+    const keyOf = (row) => Object.fromEntries(keys.map(key => [key, row[key] ?? null]));
+    const before = new Map();
+    for await (const row of rowsOf(from)) {
+      before.set(rowKey(row), row);
+    }
+    for await (const row of rowsOf(to)) {
+      const key = rowKey(row);
+      const previous = before.get(key);
+      if (!previous) {
+        note("added", { key: keyOf(row), values: row });
+        continue;
+      }
+      before.delete(key);
+      const cells = changedCells(previous, row, compared);
+      if (Object.keys(cells).length > 0) {
+        note("changed", { key: keyOf(row), cells });
+      } else {
+        rows.unchanged++;
+      }
+    }
+    for (const row of before.values()) {
+      note("removed", { key: keyOf(row), values: row });
+    }
+    return { columns, rows };
+  }
+
+  // Positional: walk both generations side by side
+  const left = rowsOf(from)[Symbol.asyncIterator]();
+  const right = rowsOf(to)[Symbol.asyncIterator]();
+  for (let index = 0; ; index++) {
+    const [a, b] = await Promise.all([left.next(), right.next()]);
+    if (a.done && b.done) break;
+    if (a.done) {
+      note("added", { row: index, values: b.value });
+    } else if (b.done) {
+      note("removed", { row: index, values: a.value });
+    } else {
+      const cells = changedCells(a.value, b.value, compared);
+      if (Object.keys(cells).length > 0) {
+        note("changed", { row: index, cells });
+      } else {
+        rows.unchanged++;
+      }
+    }
+  }
+  return { columns, rows };
+};
@@ -0,0 +1,186 @@
+import mongoose from 'mongoose';
+import DATASET_VIEW from '../models/DatasetView.js';
+import ErrorHandler from './errorHandler.js';
+import { streamRows } from './rowStore.js';
+import { buildRowFilter } from './rowFilter.js';
+import { parseRowQuery, topRows, projectRow } from './rowQuery.js';
+import { parseAggregateQuery, aggregateRows } from './aggregate.js';
+
+export const MAX_VIEWS_PER_DATASET = 100;
+// A sorted view is read through a top-K buffer, so a full read (export) is refused past this many rows
+export const MAX_SORTED_VIEW_ROWS = 50000;
+
+// A stored view in the shape its definition was submitted in
+const viewToBody = (view) => ({
+  name: view.name,
+  description: view.description,
+  filters: view.filters,
+  match: view.match,
+  sort: (view.sort || []).map(({ column, direction }) => `${direction === -1 ? "-" : ""}${column}`),
+  columns: view.columns,
+  aggregation: view.aggregation,
+});
+
+/**
+ * Validate a view definition against a dataset's headers
+ * @param {Object} body - { name, description, filters, match, sort: "-amount,name", columns, aggregation }
+ * @param {Array<string>} headers - Dataset headers
+ * @returns {Object} - Fields to store, plus the parsed aggregate query (or null)
+ */
+export const parseViewDefinition = (body = {}, headers = []) => {
+  const name = typeof body.name === "string" ? body.name.trim() : "";
+  if (!name) {
+    throw new ErrorHandler("View name is required", 400);
+  }
+
+  const { filters, match, sort, columns } = parseRowQuery(
+    { filters: body.filters, match: body.match, sort: body.sort, columns: body.columns },
+    headers
+  );
+
+  let aggregation = null;
+  if (body.aggregation) {
+    if (sort.length > 0 || columns.length > 0) {
+      throw new ErrorHandler("A view with an aggregation is sorted and shaped by it; leave sort and columns empty", 400);
+    }
+    aggregation = parseAggregateQuery(body.aggregation, headers);
+  }
+
+  return {
+    fields: {
+      name,
+      description: body.description,
+      filters,
+      match,
+      sort,
+      columns,
+      aggregation: aggregation ? body.aggregation : undefined,
+    },
+    aggregation,
+  };
+};
+
+/**
+ * Validate a stored view against the dataset's current headers
+ * @param {Object} view - DatasetView document or lean object
+ * @param {Array<string>} headers - Dataset headers
+ * @returns {Object} - { filters, match, sort, columns, aggregation }
+ */
+export const resolveView = (view, headers) => {
+  try {
+    const { fields, aggregation } = parseViewDefinition(viewToBody(view), headers);
+    return { ...fields, aggregation };
+  } catch (err) {
+    throw new ErrorHandler(`View "${view.name}" no longer matches the dataset: ${err.message}`, err.statusCode || 400);
+  }
+};
+
+/**
+ * Merge an update into a stored view's definition and validate the result
+ * @param {Object} view - DatasetView document
+ * @param {Object} changes - Fields to change
+ * @param {Array<string>} headers - Dataset headers
+ * @returns {Object} - Fields to store
+ */
+export const mergeViewDefinition = (view, changes, headers) =>
+  parseViewDefinition({ ...viewToBody(view), ...changes }, headers).fields;
+
+/**
+ * Rows of the dataset that pass the view's filters, unsorted and with every column
+ * @param {Object} dataset - Dataset with _id and row storage fields
+ * @param {Object} resolved - Result of resolveView()
+ */
+export async function* filterViewRows(dataset, { filters, match }) {
+  const keep = buildRowFilter(filters, { match });
+  for await (const row of streamRows(dataset)) {
+    if (keep(row)) yield row;
+  }
+}
+
+/**
+ * What a view shows: its filtered rows, sorted and projected, or the result
+ * of its aggregation over them. Sorted views keep only the first `limit` rows
+ * while scanning; without a limit they are read in full only up to MAX_SORTED_VIEW_ROWS.
+ * @param {Object} dataset - Dataset with _id, headers and row storage fields
+ * @param {Object} resolved - Result of resolveView()
+ * @param {Object} options - { limit } - most rows the caller will read
+ * @returns {Promise<{ headers: Array<string>, rows: Iterable|AsyncIterable<Object>, aggregated: boolean }>}
+ */
+export const viewOutput = async (dataset, resolved, { limit } = {}) => {
+  const { sort, columns, aggregation } = resolved;
+
+  if (aggregation) {
+    const result = await aggregateRows(filterViewRows(dataset, resolved), aggregation);
+    return { headers: result.columns, rows: result.rows, aggregated: true };
+  }
+
+  const headers = columns.length ? columns : dataset.headers;
+  if (sort.length === 0) {
+    const rows = (async function* () {
+      for await (const row of filterViewRows(dataset, resolved)) yield projectRow(row, columns);
+    })();
+    return { headers, rows, aggregated: false };
+  }
+
+  const { entries, total } = await topRows(filterViewRows(dataset, resolved), sort, limit ?? MAX_SORTED_VIEW_ROWS);
+  if (limit === undefined && total > MAX_SORTED_VIEW_ROWS) {
+    throw new ErrorHandler(
+      `View "${resolved.name}" matches ${total} rows; sorted views can be read in full up to ${MAX_SORTED_VIEW_ROWS}. ` +
+        "Narrow its filters or remove the sort.",
+      400
+    );
+  }
+  return { headers, rows: entries.map(({ row }) => projectRow(row, columns)), aggregated: false };
+};
+
+/**
+ * Find a view of a dataset
+ * @param {string} datasetId - Dataset ID (already checked for access)
+ * @param {string} viewId - View ID
+ * @returns {Promise<Object>} - DatasetView document
+ */
+export const findDatasetView = async (datasetId, viewId) => {
+  if (!mongoose.Types.ObjectId.isValid(viewId)) {
+    throw new ErrorHandler("Invalid view ID format", 400);
+  }
+  const view = await DATASET_VIEW.findOne({ _id: viewId, datasetId });
+  if (!view) {
+    throw new ErrorHandler("View not found", 404);
+  }
+  return view;
+};
+
+/**
+ * Drop the views of a deleted dataset
+ * @param {string} datasetId - Dataset ID
+ */
+export const deleteDatasetViews = async (datasetId) => {
+  await DATASET_VIEW.deleteMany({ datasetId });
+};
+
+const describeCondition = ({ column, operator, value }) => {
+  if (value === undefined) return `${column} ${operator}`;
+  if (operator === "between") return `${column} between ${value[0] ?? "any"} and ${value[1] ?? "any"}`;
+  return `${column} ${operator} ${Array.isArray(value) ? value.join(", ") : value}`;
+};
+
+/**
+ * One line saying which rows a view keeps and how it shapes them, for prompts and export titles
+ * @param {Object} view - DatasetView document or lean object
+ * @returns {string}
+ */
+export const describeView = (view) => {
+  const parts = [`"${view.name}"`];
+  if (view.filters?.length) {
+    parts.push(`rows where ${view.filters.map(describeCondition).join(view.match === "any" ? " OR " : " AND ")}`);
+  }
+  if (view.aggregation) {
+    const groupBy = [].concat(view.aggregation.groupBy || []);
+    parts.push(groupBy.length ? `aggregated by ${groupBy.join(", ")}` : "aggregated");
+  }
+  if (view.sort?.length) {
+    parts.push(`sorted by ${view.sort.map(({ column, direction }) => `${column}${direction === -1 ? " (desc)" : ""}`).join(", ")}`);
+  }
+  if (view.columns?.length) parts.push(`columns ${view.columns.join(", ")}`);
+  return parts.join("; ");
+};
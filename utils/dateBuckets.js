@@ -0,0 +1,102 @@
+import { parseDate } from './schemaInference.js';
+
+export const DATE_GRANULARITIES = ["day", "week", "month", "quarter", "year"];
+
+// Periods in one seasonal cycle (a week of days, a year of weeks, months or quarters)
+export const SEASON_LENGTHS = { day: 7, week: 52, month: 12, quarter: 4 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const pad = (n) => String(n).padStart(2, "0");
+
+/**
+ * Read a stored value as a Date. Rows are stored typed, but values in
+ * columns inferred as text may still hold date strings.
+ * @param {*} value - Cell value
+ * @returns {Date|null}
+ */
+export const toDate = (value) => {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+  if (typeof value === "string" && value.trim() !== "") return parseDate(value);
+  return null;
+};
+
+/**
+ * Start of the UTC period a date falls in. Weeks start on Monday (ISO 8601).
+ * @param {Date} date - Date to truncate
+ * @param {string} unit - One of DATE_GRANULARITIES
+ * @returns {Date}
+ */
+export const truncateDate = (date, unit) => {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  switch (unit) {
+    case "year":
+      return new Date(Date.UTC(year, 0, 1));
+    case "quarter":
+      return new Date(Date.UTC(year, month - (month % 3), 1));
+    case "month":
+      return new Date(Date.UTC(year, month, 1));
+    case "week": {
+      const day = new Date(Date.UTC(year, month, date.getUTCDate()));
+      const sinceMonday = (day.getUTCDay() + 6) % 7;
+      return new Date(day.getTime() - sinceMonday * DAY_MS);
+    }
+    default:
+      return new Date(Date.UTC(year, month, date.getUTCDate()));
+  }
+};
+
+/**
+ * Start of the period after the one starting at `start`
+ * @param {Date} start - Result of truncateDate()
+ * @param {string} unit - One of DATE_GRANULARITIES
+ * @returns {Date}
+ */
+export const nextPeriod = (start, unit) => {
+  const year = start.getUTCFullYear();
+  const month = start.getUTCMonth();
+  switch (unit) {
+    case "year":
+      return new Date(Date.UTC(year + 1, 0, 1));
+    case "quarter":
+      return new Date(Date.UTC(year, month + 3, 1));
+    case "month":
+      return new Date(Date.UTC(year, month + 1, 1));
+    case "week":
+      return new Date(start.getTime() + 7 * DAY_MS);
+    default:
+      return new Date(start.getTime() + DAY_MS);
+  }
+};
+
+// ISO week-numbering year and week of a Monday
+const isoWeek = (monday) => {
+  const thursday = new Date(monday.getTime() + 3 * DAY_MS);
+  const yearStart = new Date(Date.UTC(thursday.getUTCFullYear(), 0, 1));
+  return { year: thursday.getUTCFullYear(), week: Math.floor((thursday - yearStart) / (7 * DAY_MS)) + 1 };
+};
+
+/**
+ * Readable label of the period starting at `start`: 2024, 2024-Q1, 2024-03, 2024-W09, 2024-03-05
+ * @param {Date} start - Result of truncateDate()
+ * @param {string} unit - One of DATE_GRANULARITIES
+ * @returns {string}
+ */
+export const periodLabel = (start, unit) => {
+  const year = start.getUTCFullYear();
+  const month = start.getUTCMonth();
+  switch (unit) {
+    case "year":
+      return String(year);
+    case "quarter":
+      return `${year}-Q${Math.floor(month / 3) + 1}`;
+    case "month":
+      return `${year}-${pad(month + 1)}`;
+    case "week": {
+      const iso = isoWeek(start);
+      return `${iso.year}-W${pad(iso.week)}`;
+    }
+    default:
+      return `${year}-${pad(month + 1)}-${pad(start.getUTCDate())}`;
+  }
+};
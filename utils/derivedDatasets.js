@@ -0,0 +1,220 @@
+import mongoose from 'mongoose';
+import DATASHEET from '../models/Dataset.js';
+import ErrorHandler from './errorHandler.js';
+import { streamRows } from './rowStore.js';
+import { overridesFromSchema } from './schemaInference.js';
+import { createDatasetFromRows, replaceDatasetRows } from './datasetIngest.js';
+import { JOIN_TYPES, parseJoinKeys, planJoinColumns, joinRows, unionRows } from './datasetJoin.js';
+
+export const MAX_UNION_SOURCES = 20;
+
+const SOURCE_FIELDS = '_id name headers schema rowStorage rowGeneration rowCount';
+
+/**
+ * Load source datasets owned by a user, in the order given
+ * @param {Array<string>} ids - Dataset IDs
+ * @param {string} userId - Owner
+ * @returns {Promise<Array<Object>>}
+ */
+const loadSources = async (ids, userId) => {
+  const invalid = ids.filter(id => !mongoose.Types.ObjectId.isValid(id));
+  if (invalid.length > 0) {
+    throw new ErrorHandler(`Invalid dataset ID format: ${invalid.join(", ")}`, 400);
+  }
+
+  const found = await DATASHEET.find({ _id: { $in: ids }, userId }).select(SOURCE_FIELDS).lean();
+  const byId = new Map(found.map(dataset => [String(dataset._id), dataset]));
+  const missing = ids.filter(id => !byId.has(String(id)));
+  if (missing.length > 0) {
+    throw new ErrorHandler(`Source dataset(s) not found: ${missing.join(", ")}`, 404);
+  }
+  return ids.map(id => byId.get(String(id)));
+};
+
+// Column types of a source, renamed to their output names
+const renamedOverrides = (schema, names) => {
+  const types = overridesFromSchema(schema, { all: true });
+  return Object.fromEntries(names.filter(([source]) => types[source]).map(([source, output]) => [output, types[source]]));
+};
+
+/**
+ * Stream the rows of a join or union, with the source column types carried over
+ * @param {Object} derivation - Dataset derivation
+ * @param {Array<Object>} sources - Result of loadSources()
+ * @returns {{ rows: AsyncGenerator<Object>, overrides: Object }}
+ */
+const buildDerivedRows = (derivation, sources) => {
+  if (derivation.kind === "join") {
+    const [left, right] = sources;
+    const keys = parseJoinKeys(derivation.keys.map(({ left, right }) => ({ left, right })), left.headers, right.headers);
+    const plan = planJoinColumns(left.headers, right.headers, { keys, suffixes: derivation.suffixes });
+    return {
+      rows: joinRows(streamRows(left), streamRows(right), {
+        type: derivation.joinType,
+        keys,
+        plan,
+        matchCase: derivation.matchCase,
+      }),
+      overrides: {
+        ...renamedOverrides(right.schema, [...plan.right, ...plan.shared.map(([, source, output]) => [source, output])]),
+        ...renamedOverrides(left.schema, [...plan.left, ...plan.shared.map(([source, , output]) => [source, output])]),
+      },
+    };
+  }
+
+  const headers = [...new Set(sources.flatMap(source => source.headers))];
+  if (derivation.sourceColumn && headers.includes(derivation.sourceColumn)) {
+    throw new ErrorHandler(`Source column "${derivation.sourceColumn}" clashes with an existing column`, 400);
+  }
+
+  // A column keeps its type only when every source that has it agrees on it
+  const overrides = {};
+  for (const header of headers) {
+    const types = sources
+      .map(source => overridesFromSchema(source.schema, { all: true })[header])
+      .filter(Boolean);
+    if (types.length > 0 && types.every(type => type.type === types[0].type)) {
+      overrides[header] = types[0];
+    }
+  }
+
+  return {
+    rows: unionRows(sources.map(source => ({ name: source.name, rows: streamRows(source) })), {
+      headers,
+      sourceColumn: derivation.sourceColumn,
+    }),
+    overrides,
+  };
+};
+
+/**
+ * Validate a join or union request and load its sources
+ * @param {string} kind - "join" or "union"
+ * @param {Object} body - join: { leftId, rightId, type, on, suffixes, matchCase };
+ *   union: { datasetIds, sourceColumn }
+ * @param {string} userId - Owner of every source
+ * @returns {Promise<{ derivation: Object, sources: Array<Object> }>}
+ */
+export const parseDerivation = async (kind, body = {}, userId) => {
+  if (kind === "join") {
+    const type = body.type || "inner";
+    if (!JOIN_TYPES.includes(type)) {
+      throw new ErrorHandler(`Invalid join type "${type}". Allowed: ${JOIN_TYPES.join(", ")}`, 400);
+    }
+    if (!body.leftId || !body.rightId) {
+      throw new ErrorHandler("leftId and rightId are required", 400);
+    }
+    if (body.suffixes !== undefined && !(Array.isArray(body.suffixes) && body.suffixes.length === 2
+      && body.suffixes.every(suffix => typeof suffix === "string" && suffix !== "")
+      && body.suffixes[0] !== body.suffixes[1])) {
+      throw new ErrorHandler("suffixes must be two different, non-empty strings", 400);
+    }
+
+    const sources = await loadSources([body.leftId, body.rightId], userId);
+    const [left, right] = sources;
+    const keys = parseJoinKeys(body.on, left.headers, right.headers);
+    const suffixes = body.suffixes || [` (${left.name})`, ` (${right.name})`];
+    // Fail now on clashing column names rather than on the first refresh
+    planJoinColumns(left.headers, right.headers, { keys, suffixes });
+
+    return {
+      sources,
+      derivation: {
+        kind,
+        sources: sources.map(source => source._id),
+        joinType: type,
+        keys,
+        suffixes,
+        matchCase: body.matchCase === true || body.matchCase === "true",
+      },
+    };
+  }
+
+  const ids = Array.isArray(body.datasetIds) ? body.datasetIds : [];
+  if (ids.length < 2 || ids.length > MAX_UNION_SOURCES) {
+    throw new ErrorHandler(`A union needs between 2 and ${MAX_UNION_SOURCES} datasetIds`, 400);
+  }
+  const sources = await loadSources(ids, userId);
+  return {
+    sources,
+    derivation: {
+      kind,
+      sources: sources.map(source => source._id),
+      sourceColumn: body.sourceColumn || undefined,
+    },
+  };
+};
+
+/**
+ * Build and save a new dataset from a join or union of existing ones
+ * @param {Object} fields - { userId, name }
+ * @param {Object} parsed - Result of parseDerivation()
+ * @returns {Promise<Object>} - The saved dataset
+ */
+export const createDerivedDataset = async ({ userId, name }, { derivation, sources }) => {
+  const { rows, overrides } = buildDerivedRows(derivation, sources);
+  const sourceNames = sources.map(source => `"${source.name}"`).join(derivation.kind === "join" ? " and " : ", ");
+  const summary = derivation.kind === "join"
+    ? `${derivation.joinType} join of ${sourceNames}`
+    : `Union of ${sourceNames}`;
+
+  const dataset = await createDatasetFromRows({
+    userId,
+    name: name || summary,
+    source: "derived",
+    derivation: { ...derivation, refreshedAt: new Date() },
+  }, rows, { summary, overrides });
+
+  if (!dataset) {
+    throw new ErrorHandler(`The ${derivation.kind} produced no rows`, 400);
+  }
+  return dataset;
+};
+
+/**
+ * Rebuild a derived dataset from the current rows of its sources
+ * @param {Object} dataset - Dataset mongoose document with a derivation
+ * @param {Object} change - { author, summary }
+ * @returns {Promise<Object>} - The saved dataset
+ */
+export const refreshDerivedDataset = async (dataset, { author, summary } = {}) => {
+  if (!dataset.derivation) {
+    throw new ErrorHandler("Only datasets built by a join or union can be refreshed", 400);
+  }
+
+  const sources = await loadSources(dataset.derivation.sources.map(String), dataset.userId);
+  const { rows, overrides } = buildDerivedRows(dataset.derivation, sources);
+  dataset.derivation.refreshedAt = new Date();
+
+  return replaceDatasetRows(dataset, rows, {
+    overrides: { ...overrides, ...overridesFromSchema(dataset.schema) },
+    change: { author, action: "refresh", summary: summary || "Rebuilt from sources" },
+  });
+};
+
+/**
+ * Refresh every derived dataset built from this one, and the ones built from
+ * those. A failing refresh is reported, not thrown, so the source's own
+ * update still goes through.
+ * @param {Object} dataset - Source dataset that just changed
+ * @param {string} author - User ID
+ * @returns {Promise<Array<Object>>} - [{ datasetId, name, refreshed, error }]
+ */
+export const refreshDependents = async (dataset, author, seen = new Set([String(dataset._id)])) => {
+  const dependents = await DATASHEET.find({ userId: dataset.userId, "derivation.sources": dataset._id }).select('-rows');
+  const results = [];
+
+  for (const dependent of dependents) {
+    if (seen.has(String(dependent._id))) continue;
+    seen.add(String(dependent._id));
+    try {
+      await refreshDerivedDataset(dependent, { author, summary: `Refreshed after "${dataset.name}" changed` });
+      results.push({ datasetId: dependent._id, name: dependent.name, refreshed: true });
+      results.push(...await refreshDependents(dependent, author, seen));
+    } catch (error) {
+      console.error(`Refreshing derived dataset ${dependent._id} failed:`, error.message);
+      results.push({ datasetId: dependent._id, name: dependent.name, refreshed: false, error: error.message });
+    }
+  }
+  return results;
+};
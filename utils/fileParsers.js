@@ -0,0 +1,484 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { pipeline, Transform } from 'stream';
+import Papa from 'papaparse';
+import xlsx from 'xlsx';
+import ErrorHandler from './errorHandler.js';
+
+const SNIFF_BYTES = 64 * 1024;
+const DELIMITER_CANDIDATES = [",", "\t", ";", "|"];
+
+// Extension → parser format; delimiter-based formats may still be sniffed
+const FILE_FORMATS = {
+  ".csv": "delimited",
+  ".tsv": "delimited",
+  ".tab": "delimited",
+  ".psv": "delimited",
+  ".txt": "delimited",
+  ".json": "json",
+  ".ndjson": "ndjson",
+  ".jsonl": "ndjson",
+  ".xlsx": "excel",
+  ".xls": "excel",
+};
+const EXTENSION_DELIMITERS = { ".tsv": "\t", ".tab": "\t", ".psv": "|" };
+
+export const SUPPORTED_EXTENSIONS = Object.keys(FILE_FORMATS);
+
+// ============================================
+// ENCODING & DELIMITER SNIFFING
+// ============================================
+
+/**
+ * Detect the text encoding of a file sample from its BOM or byte patterns
+ * @param {Buffer} sample - First bytes of the file
+ * @returns {string} - utf-8, utf-16le, utf-16be or windows-1252
+ */
+export const detectEncoding = (sample) => {
+  if (sample[0] === 0xef && sample[1] === 0xbb && sample[2] === 0xbf) return "utf-8";
+  if (sample[0] === 0xff && sample[1] === 0xfe) return "utf-16le";
+  if (sample[0] === 0xfe && sample[1] === 0xff) return "utf-16be";
+
+  // UTF-16 without a BOM: ASCII text leaves every other byte zero
+  let evenZeros = 0;
+  let oddZeros = 0;
+  const pairs = Math.min(sample.length, 1024) >> 1;
+  for (let i = 0; i < pairs * 2; i += 2) {
+    if (sample[i] === 0) evenZeros++;
+    if (sample[i + 1] === 0) oddZeros++;
+  }
+  if (pairs > 0 && oddZeros / pairs > 0.3 && evenZeros === 0) return "utf-16le";
+  if (pairs > 0 && evenZeros / pairs > 0.3 && oddZeros === 0) return "utf-16be";
+
+  try {
+    // stream: true tolerates a multi-byte sequence cut off at the end of the sample
+    new TextDecoder("utf-8", { fatal: true }).decode(sample, { stream: true });
+    return "utf-8";
+  } catch {
+    return "windows-1252";
+  }
+};
+
+/**
+ * Pick the delimiter that splits the first lines into the most consistent columns
+ * @param {string} text - Decoded sample text
+ * @returns {string} - Detected delimiter (defaults to comma)
+ */
+export const sniffDelimiter = (text) => {
+  const lines = text
+    .split(/\r?\n/)
+    .slice(0, 20)
+    .filter(line => line.trim() !== "");
+  if (lines.length === 0) return ",";
+
+  // Drop a possibly truncated last line when the sample was cut short
+  const sampleLines = lines.length > 1 ? lines.slice(0, -1) : lines;
+
+  let best = { delimiter: ",", score: 0 };
+  for (const delimiter of DELIMITER_CANDIDATES) {
+    const counts = sampleLines.map(line => {
+      // Ignore delimiters inside quoted fields
+      const unquoted = line.replace(/"[^"]*"/g, "");
+      return unquoted.split(delimiter).length - 1;
+    });
+    // Score the most common non-zero count so a title line above the header doesn't decide
+    const frequency = {};
+    counts.filter(count => count > 0).forEach(count => { frequency[count] = (frequency[count] || 0) + 1; });
+    const [mode, modeFrequency] = Object.entries(frequency).sort((a, b) => b[1] - a[1])[0] || [0, 0];
+    if (!modeFrequency) continue;
+
+    const score = (modeFrequency / counts.length) * Number(mode);
+    if (score > best.score) {
+      best = { delimiter, score };
+    }
+  }
+  return best.delimiter;
+};
+
+const readSample = async (filePath) => {
+  const handle = await fs.promises.open(filePath, "r");
+  try {
+    const buffer = Buffer.alloc(SNIFF_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, SNIFF_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+// Decoder for an encoding label that may come from the client; unknown labels are a 400
+const textDecoder = (encoding) => {
+  try {
+    return new TextDecoder(encoding);
+  } catch {
+    throw new ErrorHandler(`Unsupported encoding "${encoding}"`, 400);
+  }
+};
+
+/**
+ * Transform a byte stream in any supported encoding into UTF-8 text (BOM removed)
+ * @param {string} encoding - Source encoding
+ * @returns {Transform} - Decoding stream
+ */
+export const createDecoder = (encoding) => {
+  const decoder = textDecoder(encoding);
+  return new Transform({
+    transform(chunk, _encoding, callback) {
+      callback(null, decoder.decode(chunk, { stream: true }));
+    },
+    flush(callback) {
+      callback(null, decoder.decode());
+    },
+  });
+};
+
+// ============================================
+// RECORD PARSERS
+// ============================================
+
+/**
+ * Stream delimited text as arrays of cells, one array per record.
+ * Cells stay strings; typing happens later in utils/schemaInference.js.
+ * @param {Readable} input - Readable stream of delimited text
+ * @param {Object} options - { delimiter }; omit to let Papa guess
+ * @returns {AsyncGenerator<Array>} - Raw records, header row included
+ */
+export async function* parseDelimitedStream(input, { delimiter } = {}) {
+  const parser = pipeline(
+    input,
+    Papa.parse(Papa.NODE_STREAM_INPUT, {
+      header: false,
+      delimiter,
+      skipEmptyLines: true,
+    }),
+    () => {} // errors surface through the async iterator below
+  );
+
+  for await (const record of parser) {
+    yield record;
+  }
+}
+
+/**
+ * Stream newline-delimited JSON, one object per line
+ * @param {Readable} input - Readable stream of NDJSON text
+ * @returns {AsyncGenerator<Object>} - Parsed objects
+ */
+export async function* parseNdjsonStream(input) {
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  let lineNumber = 0;
+  for await (const line of lines) {
+    lineNumber++;
+    if (line.trim() === "") continue;
+    let value;
+    try {
+      value = JSON.parse(line);
+    } catch (error) {
+      throw new ErrorHandler(`Invalid JSON on line ${lineNumber}: ${error.message}`, 400);
+    }
+    if (value === null || typeof value !== "object" || Array.isArray(value)) {
+      throw new ErrorHandler(`Line ${lineNumber} is not a JSON object`, 400);
+    }
+    yield value;
+  }
+}
+
+/**
+ * Parse a JSON document holding an array of objects, either at the top level
+ * or as the only array property of a wrapper object (e.g. { "data": [...] }).
+ * JSON arrays are parsed whole; NDJSON is the streaming alternative.
+ * @param {string} text - JSON text
+ * @returns {Array<Object>} - Objects
+ */
+export const parseJsonArray = (text) => {
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch (error) {
+    throw new ErrorHandler(`Invalid JSON: ${error.message}`, 400);
+  }
+
+  if (!Array.isArray(value) && value && typeof value === "object") {
+    const arrays = Object.values(value).filter(Array.isArray);
+    value = arrays.length === 1 ? arrays[0] : [value];
+  }
+  if (!Array.isArray(value)) {
+    throw new ErrorHandler("JSON file must contain an array of objects", 400);
+  }
+  return value.filter(item => item !== null && typeof item === "object" && !Array.isArray(item));
+};
+
+/**
+ * Read a workbook from disk
+ * @param {string} filePath - Path to an .xlsx/.xls file
+ * @returns {Object} - xlsx workbook
+ */
+export const readWorkbook = (filePath) => xlsx.readFile(filePath, { cellDates: true });
+
+/**
+ * Read a worksheet as arrays of cells, one array per non-blank row
+ * @param {Object} sheet - xlsx worksheet
+ * @returns {Array<Array>} - Raw records, header row included
+ */
+export const parseWorksheet = (sheet) =>
+  xlsx.utils.sheet_to_json(sheet, { header: 1, defval: "", blankrows: false });
+
+// ============================================
+// ROW SHAPING
+// ============================================
+
+/**
+ * Turn the raw header cells into unique, non-empty column names
+ * @param {Array} cells - Header record
+ * @param {Object} [stats] - Collects { renamedHeaders } for previews
+ * @returns {Array<string>} - Column names
+ */
+export const normalizeHeaders = (cells, stats) => {
+  const used = new Set();
+  return cells.map((cell, i) => {
+    const original = String(cell ?? "").trim();
+    const base = original || `column_${i + 1}`;
+    let name = base;
+    let suffix = 1;
+    while (used.has(name)) {
+      name = `${base}_${suffix++}`;
+    }
+    used.add(name);
+    if (stats && name !== original) {
+      stats.renamedHeaders.push({ column: i, from: original, to: name });
+    }
+    return name;
+  });
+};
+
+/**
+ * Collector for structural problems found while shaping rows
+ * @returns {Object} - { renamedHeaders, raggedRows, raggedExamples }
+ */
+export const createParseStats = () => ({
+  renamedHeaders: [],
+  raggedRows: 0,
+  raggedExamples: [],
+});
+
+/**
+ * Convert raw records into row objects keyed by the header record
+ * @param {Iterable|AsyncIterable<Array>} records - Raw records
+ * @param {Object} options - { headerRow: index of the header record, stats }
+ * @returns {AsyncGenerator<Object>} - Row objects
+ */
+export async function* recordsToRows(records, { headerRow = 0, stats } = {}) {
+  let headers = null;
+  let recordIndex = -1;
+  let rowIndex = 0;
+  for await (const record of records) {
+    recordIndex++;
+    if (recordIndex < headerRow) continue;
+    if (!headers) {
+      headers = normalizeHeaders(record, stats);
+      continue;
+    }
+    if (stats && record.length !== headers.length) {
+      stats.raggedRows++;
+      if (stats.raggedExamples.length < 5) {
+        stats.raggedExamples.push({ row: rowIndex, cells: record.length, expected: headers.length });
+      }
+    }
+    const row = {};
+    headers.forEach((header, i) => {
+      row[header] = record[i] ?? null;
+    });
+    rowIndex++;
+    yield row;
+  }
+}
+
+/**
+ * Apply user shaping to row objects: skip rows, drop and rename columns
+ * @param {AsyncIterable<Object>} rows - Row objects
+ * @param {Object} options - { skipRows: count or list of row indexes, exclude: [column], rename: { from: to } }
+ * @returns {AsyncGenerator<Object>} - Shaped rows
+ */
+export async function* shapeRows(rows, { skipRows, exclude = [], rename = {} } = {}) {
+  const skipSet = Array.isArray(skipRows) ? new Set(skipRows.map(Number)) : null;
+  const skipCount = Number.isInteger(Number(skipRows)) && !skipSet ? Number(skipRows) : 0;
+  const excluded = new Set(exclude);
+  let rowIndex = -1;
+  let checked = false;
+
+  for await (const row of rows) {
+    rowIndex++;
+    if (rowIndex < skipCount || skipSet?.has(rowIndex)) continue;
+
+    if (!checked) {
+      const kept = Object.keys(row).filter(name => !excluded.has(name));
+      const renamed = kept.map(name => rename[name] ?? name);
+      const duplicate = renamed.find((name, i) => renamed.indexOf(name) !== i);
+      if (duplicate) {
+        throw new ErrorHandler(`Renaming would create duplicate column "${duplicate}"`, 400);
+      }
+      checked = true;
+    }
+
+    const shaped = {};
+    for (const [name, value] of Object.entries(row)) {
+      if (excluded.has(name)) continue;
+      shaped[rename[name] ?? name] = value;
+    }
+    yield shaped;
+  }
+}
+
+/**
+ * Pull the first row so a table's columns are known before it is consumed
+ * @param {AsyncIterable<Object>} rows - Row objects
+ * @returns {Promise<Object>} - { headers, rows } where rows replays the peeked row first
+ */
+export const peekRows = async (rows) => {
+  const iterator = rows[Symbol.asyncIterator]();
+  const first = await iterator.next();
+  async function* replay() {
+    if (first.done) return;
+    yield first.value;
+    yield* { [Symbol.asyncIterator]: () => iterator };
+  }
+  return { headers: first.done ? [] : Object.keys(first.value), rows: replay() };
+};
+
+/**
+ * Flatten nested objects into dotted keys: { user: { id: 1 } } → { "user.id": 1 }.
+ * Arrays are kept as JSON text since they don't map onto a single column.
+ * @param {Object} value - Object to flatten
+ * @param {string} prefix - Key prefix for nested calls
+ * @returns {Object} - Flat object
+ */
+export const flattenObject = (value, prefix = "") => {
+  const flat = {};
+  for (const [key, child] of Object.entries(value)) {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (child && typeof child === "object" && !Array.isArray(child) && !(child instanceof Date)) {
+      Object.assign(flat, flattenObject(child, name));
+    } else {
+      flat[name] = Array.isArray(child) ? JSON.stringify(child) : child;
+    }
+  }
+  return flat;
+};
+
+async function* jsonObjectsToRows(objects, flatten) {
+  for await (const object of objects) {
+    if (flatten) {
+      yield flattenObject(object);
+      continue;
+    }
+    const row = {};
+    for (const [key, child] of Object.entries(object)) {
+      row[key] = child && typeof child === "object" ? JSON.stringify(child) : child;
+    }
+    yield row;
+  }
+}
+
+// ============================================
+// FILE ENTRY POINT
+// ============================================
+
+// Defer opening a table until its rows are actually consumed
+async function* deferred(read) {
+  yield* read();
+}
+
+/**
+ * Open an uploaded file: detect its format, encoding and delimiter, and
+ * expose its tables as lazily parsed row streams. Excel files yield one
+ * table per worksheet; every other format yields a single table.
+ * Tabular tables also expose rawRecords() to re-read the unshaped cells and
+ * the parse stats collected while their rows are consumed.
+ * @param {string} filePath - Path of the uploaded file
+ * @param {string} fileName - Original file name (used for the extension)
+ * @param {Object} options - { delimiter, encoding, flatten, headerRow, skipRows, exclude, rename }
+ * @returns {Promise<Object>} - { fileType, format, encoding, delimiter, sheetNames, tables: [{ sheetName, sheetIndex, rows, rawRecords, stats }] }
+ */
+export const openDataFile = async (filePath, fileName, options = {}) => {
+  const ext = path.extname(fileName).toLowerCase();
+  const format = FILE_FORMATS[ext];
+  const fileType = ext.slice(1);
+  const headerRow = Number(options.headerRow) || 0;
+  const shape = (rows) => shapeRows(rows, options);
+
+  if (!format) {
+    throw new ErrorHandler(
+      `Unsupported file format. Allowed formats: ${SUPPORTED_EXTENSIONS.join(", ")}`,
+      400
+    );
+  }
+
+  if (format === "excel") {
+    let workbook;
+    try {
+      workbook = readWorkbook(filePath);
+    } catch (error) {
+      throw new ErrorHandler(`Excel parse error: ${error.message}`, 400);
+    }
+    return {
+      fileType,
+      format,
+      sheetNames: workbook.SheetNames,
+      tables: workbook.SheetNames.map((sheetName, sheetIndex) => {
+        const rawRecords = () => parseWorksheet(workbook.Sheets[sheetName]);
+        const stats = createParseStats();
+        return {
+          sheetName,
+          sheetIndex,
+          rawRecords,
+          stats,
+          rows: shape(recordsToRows(deferred(rawRecords), { headerRow, stats })),
+        };
+      }),
+    };
+  }
+
+  const sample = await readSample(filePath);
+  const encoding = options.encoding || detectEncoding(sample);
+  textDecoder(encoding); // Reject an unknown encoding before any text is read
+  const openText = () => pipeline(fs.createReadStream(filePath), createDecoder(encoding), () => {});
+
+  if (format === "json") {
+    const chunks = [];
+    for await (const chunk of openText()) chunks.push(chunk);
+    const objects = parseJsonArray(chunks.join(""));
+    return {
+      fileType,
+      format,
+      encoding,
+      tables: [{ rows: shape(jsonObjectsToRows(objects, options.flatten !== false)) }],
+    };
+  }
+
+  if (format === "ndjson") {
+    return {
+      fileType,
+      format,
+      encoding,
+      tables: [{ rows: shape(jsonObjectsToRows(parseNdjsonStream(openText()), options.flatten !== false)) }],
+    };
+  }
+
+  const delimiter = options.delimiter
+    || EXTENSION_DELIMITERS[ext]
+    || sniffDelimiter(textDecoder(encoding).decode(sample));
+  const rawRecords = () => parseDelimitedStream(openText(), { delimiter });
+  const stats = createParseStats();
+  return {
+    fileType,
+    format,
+    encoding,
+    delimiter,
+    tables: [{
+      rawRecords,
+      stats,
+      rows: shape(recordsToRows(deferred(rawRecords), { headerRow, stats })),
+    }],
+  };
+};
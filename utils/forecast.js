@@ -0,0 +1,293 @@
+import ErrorHandler from './errorHandler.js';
+import { parseTimeSeriesQuery, resampleRows, MAX_ROLLING_WINDOW } from './timeSeries.js';
+import { SEASON_LENGTHS, nextPeriod, periodLabel } from './dateBuckets.js';
+
+export const FORECAST_METHODS = ["linear", "movingAverage", "holtWinters"];
+
+export const DEFAULT_HORIZON = 6;
+export const MAX_HORIZON = 120;
+
+// Two-sided normal quantiles for the supported prediction interval levels
+const CONFIDENCE_Z = { 80: 1.2816, 90: 1.6449, 95: 1.96, 99: 2.5758 };
+
+// Smoothing parameters tried when fitting Holt-Winters
+const SMOOTHING_GRID = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9];
+
+const round = (value) => (value === null || !Number.isFinite(value) ? null : Math.round(value * 100) / 100);
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+/**
+ * Parse and validate a forecast request against a dataset's headers
+ * @param {Object} body - { dateColumn, granularity, value, aggregation, p, fill, from, to, filters, match,
+ *   method, horizon, confidence, window, season, alpha, beta, gamma }
+ * @param {Array<string>} headers - Dataset headers
+ * @returns {Object} - Validated query for forecastRows()
+ */
+export const parseForecastQuery = (body = {}, headers = []) => {
+  const series = parseTimeSeriesQuery({ ...body, rollingWindow: 0 }, headers);
+
+  const method = body.method || "holtWinters";
+  if (!FORECAST_METHODS.includes(method)) {
+    throw new ErrorHandler(`Invalid method "${method}". Allowed: ${FORECAST_METHODS.join(", ")}`, 400);
+  }
+
+  const integer = (name, fallback, min, max) => {
+    const value = body[name] === undefined ? fallback : Number(body[name]);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw new ErrorHandler(`${name} must be an integer between ${min} and ${max}`, 400);
+    }
+    return value;
+  };
+
+  const confidence = body.confidence === undefined ? 95 : Number(body.confidence);
+  if (!CONFIDENCE_Z[confidence]) {
+    throw new ErrorHandler(`confidence must be one of ${Object.keys(CONFIDENCE_Z).join(", ")}`, 400);
+  }
+
+  const smoothing = {};
+  for (const name of ["alpha", "beta", "gamma"]) {
+    if (body[name] === undefined) continue;
+    const value = Number(body[name]);
+    if (!(value > 0 && value < 1)) throw new ErrorHandler(`${name} must be between 0 and 1`, 400);
+    smoothing[name] = value;
+  }
+
+  return {
+    method,
+    horizon: integer("horizon", DEFAULT_HORIZON, 1, MAX_HORIZON),
+    confidence,
+    window: integer("window", 3, 1, MAX_ROLLING_WINDOW),
+    season: body.season === undefined ? SEASON_LENGTHS[series.granularity] ?? null : integer("season", null, 2, MAX_ROLLING_WINDOW),
+    smoothing,
+    series,
+  };
+};
+
+// ============================================
+// MODELS
+// ============================================
+// Each model returns one-step-ahead fitted values (null where the model has
+// no prediction yet), a forecast for the next h periods and the factor the
+// residual spread grows by at each step ahead.
+
+const linearModel = (values) => {
+  const n = values.length;
+  const xMean = (n - 1) / 2;
+  const yMean = mean(values);
+  let sxx = 0;
+  let sxy = 0;
+  values.forEach((y, x) => {
+    sxx += (x - xMean) ** 2;
+    sxy += (x - xMean) * (y - yMean);
+  });
+  const slope = sxy / sxx;
+  const intercept = yMean - slope * xMean;
+
+  return {
+    params: { intercept: round(intercept), slope: round(slope) },
+    fitted: values.map((_, x) => intercept + slope * x),
+    forecast: (h) => Array.from({ length: h }, (_, i) => intercept + slope * (n + i)),
+    // Standard OLS prediction interval: wider further from the centre of the data
+    spread: (step) => Math.sqrt(1 + 1 / n + (n - 1 + step - xMean) ** 2 / sxx),
+    degrees: 2,
+  };
+};
+
+const movingAverageModel = (values, { window }) => {
+  const average = (end) => mean(values.slice(end - window, end));
+  const last = average(values.length);
+  return {
+    params: { window },
+    fitted: values.map((_, i) => (i >= window ? average(i) : null)),
+    forecast: (h) => Array(h).fill(last),
+    spread: (step) => Math.sqrt(step),
+    degrees: 1,
+  };
+};
+
+// Additive Holt-Winters; without a season (or two full seasons of data) it is Holt's linear trend method
+const smooth = (values, { alpha, beta, gamma }, season) => {
+  let level;
+  let trend;
+  let seasonals;
+  let start;
+  if (season) {
+    // Start from the line through the first two seasons' means, just before the first period
+    const first = mean(values.slice(0, season));
+    const centre = (season - 1) / 2;
+    trend = (mean(values.slice(season, season * 2)) - first) / season;
+    level = first - (centre + 1) * trend;
+    seasonals = values.slice(0, season).map((value, i) => value - (first + (i - centre) * trend));
+    start = 0;
+  } else {
+    level = values[0];
+    trend = values[1] - values[0];
+    seasonals = [0];
+    start = 1;
+  }
+  const m = seasonals.length;
+
+  const fitted = Array(values.length).fill(null);
+  let sse = 0;
+  for (let t = start; t < values.length; t++) {
+    const index = t % m;
+    fitted[t] = level + trend + seasonals[index];
+    sse += (values[t] - fitted[t]) ** 2;
+    const previousLevel = level;
+    level = alpha * (values[t] - seasonals[index]) + (1 - alpha) * (level + trend);
+    trend = beta * (level - previousLevel) + (1 - beta) * trend;
+    if (season) seasonals[index] = gamma * (values[t] - level) + (1 - gamma) * seasonals[index];
+  }
+
+  const n = values.length;
+  return {
+    sse,
+    fitted,
+    forecast: (h) => Array.from({ length: h }, (_, i) => level + (i + 1) * trend + seasonals[(n + i) % m]),
+  };
+};
+
+const holtWintersModel = (values, { season, smoothing }) => {
+  const seasonal = Boolean(season) && values.length >= season * 2;
+  const grid = (name) => (smoothing[name] !== undefined ? [smoothing[name]] : SMOOTHING_GRID);
+
+  let best = null;
+  for (const alpha of grid("alpha")) {
+    for (const beta of grid("beta")) {
+      for (const gamma of seasonal ? grid("gamma") : [0]) {
+        const params = { alpha, beta, gamma };
+        const fit = smooth(values, params, seasonal ? season : null);
+        if (!best || fit.sse < best.fit.sse) best = { params, fit };
+      }
+    }
+  }
+
+  return {
+    params: {
+      alpha: best.params.alpha,
+      beta: best.params.beta,
+      ...(seasonal ? { gamma: best.params.gamma, season } : { seasonal: false }),
+    },
+    fitted: best.fit.fitted,
+    forecast: best.fit.forecast,
+    spread: (step) => Math.sqrt(step),
+    degrees: seasonal ? 3 : 2,
+  };
+};
+
+const MODELS = { linear: linearModel, movingAverage: movingAverageModel, holtWinters: holtWintersModel };
+
+const minimumPoints = ({ method, window }) => (method === "movingAverage" ? window + 1 : 3);
+
+// ============================================
+// FORECAST
+// ============================================
+
+// Hold back the last periods, forecast them from the rest and compare
+const backtest = (values, periods, query) => {
+  const holdout = Math.min(query.horizon, Math.floor(values.length / 4));
+  const training = values.slice(0, values.length - holdout);
+  if (holdout < 1 || training.length < minimumPoints(query)) {
+    return { holdout: 0, mape: null, mae: null, points: [], note: "Not enough history to backtest" };
+  }
+
+  const predicted = MODELS[query.method](training, query).forecast(holdout);
+  const points = predicted.map((forecast, i) => ({
+    period: periods[training.length + i],
+    actual: values[training.length + i],
+    forecast: round(forecast),
+  }));
+  // MAPE skips periods whose actual value is 0
+  const errors = points.filter(point => point.actual !== 0)
+    .map(point => Math.abs((point.actual - point.forecast) / point.actual));
+
+  return {
+    holdout,
+    mape: errors.length ? round(mean(errors) * 100) : null,
+    mae: round(mean(points.map(point => Math.abs(point.actual - point.forecast)))),
+    points,
+  };
+};
+
+/**
+ * Resample rows into a series and forecast the next periods, with prediction
+ * intervals and a backtest over the most recent periods. Periods without a
+ * value (e.g. an average over no rows) are left out of the fit.
+ * @param {Iterable|AsyncIterable<Object>} rows - Row objects
+ * @param {Object} query - Result of parseForecastQuery()
+ * @returns {Promise<Object>} - { method, params, horizon, confidence, history, forecast, backtest }
+ */
+export const forecastRows = async (rows, query) => {
+  const series = await resampleRows(rows, query.series);
+  const known = series.points.filter(point => typeof point.value === "number");
+  const values = known.map(point => point.value);
+
+  const minimum = minimumPoints(query);
+  if (values.length < minimum) {
+    throw new ErrorHandler(
+      `Forecasting with ${query.method} needs at least ${minimum} periods with values; the series has ${values.length}`,
+      400
+    );
+  }
+
+  const model = MODELS[query.method](values, query);
+  const residuals = values
+    .map((value, i) => (model.fitted[i] === null ? null : value - model.fitted[i]))
+    .filter(residual => residual !== null);
+  const sigma = residuals.length > model.degrees
+    ? Math.sqrt(residuals.reduce((sum, residual) => sum + residual ** 2, 0) / (residuals.length - model.degrees))
+    : null;
+  const z = CONFIDENCE_Z[query.confidence];
+
+  let start = known[known.length - 1].start;
+  const forecast = model.forecast(query.horizon).map((value, i) => {
+    start = nextPeriod(start, series.granularity);
+    const margin = sigma === null ? null : z * sigma * model.spread(i + 1);
+    return {
+      period: periodLabel(start, series.granularity),
+      start,
+      value: round(value),
+      lower: margin === null ? null : round(value - margin),
+      upper: margin === null ? null : round(value + margin),
+    };
+  });
+
+  return {
+    dateColumn: series.dateColumn,
+    granularity: series.granularity,
+    value: series.value,
+    aggregation: series.aggregation,
+    method: query.method,
+    params: model.params,
+    horizon: query.horizon,
+    confidence: query.confidence,
+    residualStdDev: round(sigma),
+    history: known.map((point, i) => ({
+      period: point.period,
+      start: point.start,
+      value: point.value,
+      fitted: model.fitted[i] === null ? null : round(model.fitted[i]),
+    })),
+    forecast,
+    backtest: backtest(values, known.map(point => point.period), query),
+  };
+};
+
+/**
+ * Forecast as prompt lines
+ * @param {Object} result - Result of forecastRows()
+ * @returns {string}
+ */
+export const describeForecast = (result) => {
+  const metric = `${result.aggregation}${result.value ? ` of ${result.value}` : ""} by ${result.granularity}`;
+  const accuracy = result.backtest.mape === null
+    ? "not backtested"
+    : `backtest MAPE ${result.backtest.mape}% over the last ${result.backtest.holdout} periods`;
+  return [
+    `${metric}, ${result.method} (${accuracy})`,
+    `Last actual: ${result.history[result.history.length - 1].value} in ${result.history[result.history.length - 1].period}`,
+    ...result.forecast.map(point => (point.lower === null
+      ? `${point.period}: ${point.value}`
+      : `${point.period}: ${point.value} (${result.confidence}% interval ${point.lower} to ${point.upper})`)),
+  ].map(line => `- ${line}`).join("\n");
+};
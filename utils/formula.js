@@ -0,0 +1,488 @@
+import ErrorHandler from './errorHandler.js';
+import { isBlank } from './schemaInference.js';
+import { toDate } from './dateBuckets.js';
+
+// Spreadsheet-style formulas over one row, e.g.
+//   revenue - cost
+//   IF(status = "churned", 1, 0)
+//   DATE_DIFF(end, start, "days")
+//   ROUND(x / y * 100, 2)
+// Expressions are tokenized and parsed into a tree that is walked per row;
+// nothing is ever handed to eval() or Function(), and only the functions
+// listed in FUNCTIONS can be called.
+
+const MAX_EXPRESSION_LENGTH = 1000;
+const MAX_DEPTH = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formulaError = (message, position) =>
+  new ErrorHandler(position === undefined ? `Formula error: ${message}` : `Formula error at ${position + 1}: ${message}`, 400);
+
+// ============================================
+// TOKENIZER
+// ============================================
+
+const OPERATORS = ["<=", ">=", "<>", "!=", "==", "+", "-", "*", "/", "%", "^", "&", "=", "<", ">", "(", ")", ","];
+const KEYWORDS = ["AND", "OR", "NOT", "TRUE", "FALSE", "NULL"];
+
+const tokenize = (source) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const ch = source[i];
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    const start = i;
+    if (/[0-9.]/.test(ch)) {
+      const match = source.slice(i).match(/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/);
+      if (!match) throw formulaError(`unexpected "${ch}"`, i);
+      tokens.push({ type: "number", value: Number(match[0]), position: start });
+      i += match[0].length;
+    } else if (ch === '"' || ch === "'") {
+      let value = "";
+      i++;
+      while (i < source.length && source[i] !== ch) {
+        if (source[i] === "\\" && i + 1 < source.length) i++;
+        value += source[i++];
+      }
+      if (i >= source.length) throw formulaError("unterminated string", start);
+      i++;
+      tokens.push({ type: "string", value, position: start });
+    } else if (ch === "[") {
+      // [Column Name] references columns whose names aren't plain identifiers
+      const end = source.indexOf("]", i);
+      if (end === -1) throw formulaError("unterminated [column] reference", start);
+      tokens.push({ type: "column", value: source.slice(i + 1, end), position: start });
+      i = end + 1;
+    } else if (/[A-Za-z_]/.test(ch)) {
+      const [word] = source.slice(i).match(/^[A-Za-z_][A-Za-z0-9_.]*/);
+      const upper = word.toUpperCase();
+      tokens.push(KEYWORDS.includes(upper)
+        ? { type: "keyword", value: upper, position: start }
+        : { type: "identifier", value: word, position: start });
+      i += word.length;
+    } else {
+      const operator = OPERATORS.find(op => source.startsWith(op, i));
+      if (!operator) throw formulaError(`unexpected "${ch}"`, i);
+      tokens.push({ type: "operator", value: operator, position: start });
+      i += operator.length;
+    }
+  }
+
+  tokens.push({ type: "end", position: source.length });
+  return tokens;
+};
+
+// ============================================
+// PARSER (precedence climbing)
+// ============================================
+
+const BINARY = {
+  OR: { precedence: 1 },
+  AND: { precedence: 2 },
+  "=": { precedence: 4 }, "==": { precedence: 4 }, "!=": { precedence: 4 }, "<>": { precedence: 4 },
+  "<": { precedence: 4 }, "<=": { precedence: 4 }, ">": { precedence: 4 }, ">=": { precedence: 4 },
+  "&": { precedence: 5 },
+  "+": { precedence: 6 }, "-": { precedence: 6 },
+  "*": { precedence: 7 }, "/": { precedence: 7 }, "%": { precedence: 7 },
+  "^": { precedence: 9, right: true },
+};
+const NOT_PRECEDENCE = 3;
+const UNARY_MINUS_PRECEDENCE = 8;
+
+const parse = (tokens) => {
+  let index = 0;
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const expectOperator = (value) => {
+    const token = next();
+    if (token.type !== "operator" || token.value !== value) {
+      throw formulaError(`expected "${value}"`, token.position);
+    }
+  };
+
+  const binaryOf = (token) => {
+    if (token.type === "operator" || token.type === "keyword") return BINARY[token.value] ? token.value : null;
+    return null;
+  };
+
+  const parseExpression = (minPrecedence, depth) => {
+    if (depth > MAX_DEPTH) throw formulaError("expression is nested too deeply");
+    let left = parsePrefix(depth);
+
+    for (;;) {
+      const operator = binaryOf(peek());
+      if (!operator || BINARY[operator].precedence < minPrecedence) break;
+      next();
+      const { precedence, right } = BINARY[operator];
+      const rightNode = parseExpression(right ? precedence : precedence + 1, depth + 1);
+      left = { type: "binary", operator: operator === "==" ? "=" : operator === "<>" ? "!=" : operator, left, right: rightNode };
+    }
+    return left;
+  };
+
+  const isOpenParen = (token) => token.type === "operator" && token.value === "(";
+
+  const parseCall = (token, depth) => {
+    next();
+    const args = [];
+    if (!(peek().type === "operator" && peek().value === ")")) {
+      for (;;) {
+        args.push(parseExpression(0, depth + 1));
+        if (peek().type === "operator" && peek().value === ",") {
+          next();
+          continue;
+        }
+        break;
+      }
+    }
+    expectOperator(")");
+    return { type: "call", name: token.value.toUpperCase(), args, position: token.position };
+  };
+
+  const parsePrefix = (depth) => {
+    const token = next();
+    switch (token.type) {
+      case "number":
+      case "string":
+        return { type: "literal", value: token.value };
+      case "column":
+        return { type: "column", name: token.value };
+      case "keyword":
+        if (token.value === "TRUE") return { type: "literal", value: true };
+        if (token.value === "FALSE") return { type: "literal", value: false };
+        if (token.value === "NULL") return { type: "literal", value: null };
+        // AND(a, b) and OR(a, b) are also available in function form
+        if (isOpenParen(peek()) && FUNCTIONS[token.value]) return parseCall(token, depth);
+        if (token.value === "NOT") {
+          return { type: "unary", operator: "NOT", operand: parseExpression(NOT_PRECEDENCE, depth + 1) };
+        }
+        throw formulaError(`unexpected ${token.value}`, token.position);
+      case "identifier":
+        return isOpenParen(peek()) ? parseCall(token, depth) : { type: "column", name: token.value };
+      case "operator":
+        if (token.value === "(") {
+          const inner = parseExpression(0, depth + 1);
+          expectOperator(")");
+          return inner;
+        }
+        if (token.value === "-" || token.value === "+") {
+          const operand = parseExpression(UNARY_MINUS_PRECEDENCE, depth + 1);
+          return token.value === "-" ? { type: "unary", operator: "-", operand } : operand;
+        }
+        throw formulaError(`unexpected "${token.value}"`, token.position);
+      default:
+        throw formulaError("unexpected end of formula", token.position);
+    }
+  };
+
+  const tree = parseExpression(0, 0);
+  if (peek().type !== "end") {
+    throw formulaError(`unexpected "${peek().value}"`, peek().position);
+  }
+  return tree;
+};
+
+// ============================================
+// VALUES
+// ============================================
+
+const toNumber = (value) => {
+  if (isBlank(value)) return null;
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  if (typeof value === "boolean") return value ? 1 : 0;
+  if (value instanceof Date) return null;
+  const number = Number(String(value).replace(/,/g, "").trim());
+  return Number.isFinite(number) ? number : null;
+};
+
+const toText = (value) => {
+  if (isBlank(value)) return "";
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  return String(value);
+};
+
+const truthy = (value) => !(isBlank(value) || value === false || value === 0);
+
+// Numbers compare as numbers, dates by time, text case-insensitively (as in spreadsheets)
+const compare = (a, b) => {
+  const left = a instanceof Date ? a.getTime() : a;
+  const right = b instanceof Date ? b.getTime() : b;
+  const leftNumber = toNumber(left);
+  const rightNumber = toNumber(right);
+  if (leftNumber !== null && rightNumber !== null && (typeof left !== "string" || typeof right !== "string")) {
+    return leftNumber - rightNumber;
+  }
+  return toText(left).localeCompare(toText(right), undefined, { sensitivity: "base", numeric: true });
+};
+
+const numeric = (fn) => (...values) => {
+  const numbers = values.map(toNumber);
+  if (numbers.some(n => n === null)) return null;
+  const result = fn(...numbers);
+  return Number.isFinite(result) ? result : null;
+};
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const addMonths = (date, months) => {
+  const result = new Date(date.getTime());
+  const day = result.getUTCDate();
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  // Clamp the 31st into shorter months
+  const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDay));
+  return result;
+};
+
+const monthsBetween = (end, start) => {
+  let months = (end.getUTCFullYear() - start.getUTCFullYear()) * 12 + (end.getUTCMonth() - start.getUTCMonth());
+  if (months > 0 && end.getUTCDate() < start.getUTCDate()) months--;
+  if (months < 0 && end.getUTCDate() > start.getUTCDate()) months++;
+  return months;
+};
+
+const DATE_UNITS = {
+  seconds: 1000, minutes: 60 * 1000, hours: 60 * 60 * 1000, days: DAY_MS, weeks: 7 * DAY_MS,
+};
+
+const dateDiff = (endValue, startValue, unit = "days") => {
+  const end = toDate(endValue);
+  const start = toDate(startValue);
+  if (!end || !start) return null;
+  const name = String(unit).toLowerCase().replace(/s?$/, "s");
+  if (name === "months") return monthsBetween(end, start);
+  if (name === "years") return Math.trunc(monthsBetween(end, start) / 12);
+  if (!DATE_UNITS[name]) return null;
+  return Math.trunc((end.getTime() - start.getTime()) / DATE_UNITS[name]);
+};
+
+const dateAdd = (value, amount, unit = "days") => {
+  const date = toDate(value);
+  const count = toNumber(amount);
+  if (!date || count === null) return null;
+  const name = String(unit).toLowerCase().replace(/s?$/, "s");
+  if (name === "months") return addMonths(date, count);
+  if (name === "years") return addMonths(date, count * 12);
+  if (!DATE_UNITS[name]) return null;
+  return new Date(date.getTime() + count * DATE_UNITS[name]);
+};
+
+const dateParts = (part) => (value) => {
+  const date = toDate(value);
+  if (!date) return null;
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate(), weekday: date.getUTCDay() || 7 }[part];
+};
+
+// [minArgs, maxArgs, implementation]; IF, AND, OR and COALESCE are evaluated lazily below
+const FUNCTIONS = {
+  IF: [2, 3],
+  AND: [1, Infinity],
+  OR: [1, Infinity],
+  COALESCE: [1, Infinity],
+  NOT: [1, 1, (value) => !truthy(value)],
+  ISBLANK: [1, 1, (value) => isBlank(value)],
+  ROUND: [1, 2, (value, digits = 0) => {
+    const number = toNumber(value);
+    const places = toNumber(digits) ?? 0;
+    if (number === null) return null;
+    const factor = 10 ** places;
+    return Math.round((number + Number.EPSILON * Math.sign(number)) * factor) / factor;
+  }],
+  FLOOR: [1, 1, numeric(Math.floor)],
+  CEIL: [1, 1, numeric(Math.ceil)],
+  ABS: [1, 1, numeric(Math.abs)],
+  SQRT: [1, 1, numeric(Math.sqrt)],
+  POW: [2, 2, numeric(Math.pow)],
+  LN: [1, 1, numeric(Math.log)],
+  MIN: [1, Infinity, (...values) => {
+    const numbers = values.map(toNumber).filter(n => n !== null);
+    return numbers.length ? Math.min(...numbers) : null;
+  }],
+  MAX: [1, Infinity, (...values) => {
+    const numbers = values.map(toNumber).filter(n => n !== null);
+    return numbers.length ? Math.max(...numbers) : null;
+  }],
+  SUM: [1, Infinity, (...values) => values.map(toNumber).reduce((total, n) => total + (n ?? 0), 0)],
+  AVG: [1, Infinity, (...values) => {
+    const numbers = values.map(toNumber).filter(n => n !== null);
+    return numbers.length ? numbers.reduce((a, b) => a + b, 0) / numbers.length : null;
+  }],
+  NUMBER: [1, 1, toNumber],
+  TEXT: [1, 1, (value) => (isBlank(value) ? null : toText(value))],
+  LEN: [1, 1, (value) => toText(value).length],
+  UPPER: [1, 1, (value) => (isBlank(value) ? null : toText(value).toUpperCase())],
+  LOWER: [1, 1, (value) => (isBlank(value) ? null : toText(value).toLowerCase())],
+  TRIM: [1, 1, (value) => (isBlank(value) ? null : toText(value).trim())],
+  CONCAT: [1, Infinity, (...values) => values.map(toText).join("")],
+  LEFT: [2, 2, (value, count) => toText(value).slice(0, Math.max(toNumber(count) ?? 0, 0))],
+  RIGHT: [2, 2, (value, count) => {
+    const n = Math.max(toNumber(count) ?? 0, 0);
+    return n === 0 ? "" : toText(value).slice(-n);
+  }],
+  CONTAINS: [2, 2, (value, part) => toText(value).toLowerCase().includes(toText(part).toLowerCase())],
+  DATE: [3, 3, (year, month, day) => {
+    const [y, m, d] = [year, month, day].map(toNumber);
+    return y === null || m === null || d === null ? null : new Date(Date.UTC(y, m - 1, d));
+  }],
+  TODAY: [0, 0, () => {
+    const now = new Date();
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  }],
+  YEAR: [1, 1, dateParts("year")],
+  MONTH: [1, 1, dateParts("month")],
+  DAY: [1, 1, dateParts("day")],
+  WEEKDAY: [1, 1, dateParts("weekday")],
+  DATE_DIFF: [2, 3, dateDiff],
+  DATE_ADD: [2, 3, dateAdd],
+};
+
+export const FORMULA_FUNCTIONS = Object.keys(FUNCTIONS);
+
+// ============================================
+// EVALUATION
+// ============================================
+
+const arithmetic = (operator, a, b) => {
+  if (isBlank(a) || isBlank(b)) return null;
+
+  // Dates shift by a number of days; two dates subtract to days between them
+  if (a instanceof Date || b instanceof Date) {
+    if (operator === "+" && a instanceof Date && toNumber(b) !== null) return addDays(a, toNumber(b));
+    if (operator === "+" && b instanceof Date && toNumber(a) !== null) return addDays(b, toNumber(a));
+    if (operator === "-" && a instanceof Date && b instanceof Date) return (a.getTime() - b.getTime()) / DAY_MS;
+    if (operator === "-" && a instanceof Date && toNumber(b) !== null) return addDays(a, -toNumber(b));
+    return null;
+  }
+
+  const x = toNumber(a);
+  const y = toNumber(b);
+  if (x === null || y === null) return null;
+  let result;
+  switch (operator) {
+    case "+": result = x + y; break;
+    case "-": result = x - y; break;
+    case "*": result = x * y; break;
+    // Division by zero gives a blank cell rather than Infinity
+    case "/": result = y === 0 ? null : x / y; break;
+    case "%": result = y === 0 ? null : x % y; break;
+    case "^": result = x ** y; break;
+    default: return null;
+  }
+  return result !== null && Number.isFinite(result) ? result : null;
+};
+
+const evaluate = (node, row) => {
+  switch (node.type) {
+    case "literal":
+      return node.value;
+    case "column":
+      return Object.hasOwn(row, node.name) ? row[node.name] ?? null : null;
+    case "unary": {
+      const value = evaluate(node.operand, row);
+      if (node.operator === "NOT") return !truthy(value);
+      const number = toNumber(value);
+      return number === null ? null : -number;
+    }
+    case "binary": {
+      if (node.operator === "AND") return truthy(evaluate(node.left, row)) && truthy(evaluate(node.right, row));
+      if (node.operator === "OR") return truthy(evaluate(node.left, row)) || truthy(evaluate(node.right, row));
+
+      const a = evaluate(node.left, row);
+      const b = evaluate(node.right, row);
+      switch (node.operator) {
+        case "&": return toText(a) + toText(b);
+        case "=": return isBlank(a) || isBlank(b) ? isBlank(a) && isBlank(b) : compare(a, b) === 0;
+        case "!=": return isBlank(a) || isBlank(b) ? isBlank(a) !== isBlank(b) : compare(a, b) !== 0;
+        case "<": return isBlank(a) || isBlank(b) ? null : compare(a, b) < 0;
+        case "<=": return isBlank(a) || isBlank(b) ? null : compare(a, b) <= 0;
+        case ">": return isBlank(a) || isBlank(b) ? null : compare(a, b) > 0;
+        case ">=": return isBlank(a) || isBlank(b) ? null : compare(a, b) >= 0;
+        default: return arithmetic(node.operator, a, b);
+      }
+    }
+    case "call": {
+      const args = node.args;
+      switch (node.name) {
+        case "IF":
+          return truthy(evaluate(args[0], row)) ? evaluate(args[1], row) : (args[2] ? evaluate(args[2], row) : null);
+        case "AND":
+          return args.every(arg => truthy(evaluate(arg, row)));
+        case "OR":
+          return args.some(arg => truthy(evaluate(arg, row)));
+        case "COALESCE":
+          for (const arg of args) {
+            const value = evaluate(arg, row);
+            if (!isBlank(value)) return value;
+          }
+          return null;
+        default:
+          return FUNCTIONS[node.name][2](...args.map(arg => evaluate(arg, row)));
+      }
+    }
+    default:
+      return null;
+  }
+};
+
+// Check function names and argument counts, and collect column references
+const inspect = (node, references) => {
+  if (node.type === "column") {
+    references.add(node.name);
+  } else if (node.type === "unary") {
+    inspect(node.operand, references);
+  } else if (node.type === "binary") {
+    inspect(node.left, references);
+    inspect(node.right, references);
+  } else if (node.type === "call") {
+    const definition = FUNCTIONS[node.name];
+    if (!definition) {
+      throw formulaError(`unknown function ${node.name}. Available: ${FORMULA_FUNCTIONS.join(", ")}`, node.position);
+    }
+    const [min, max] = definition;
+    if (node.args.length < min || node.args.length > max) {
+      const expected = min === max ? `${min}` : max === Infinity ? `at least ${min}` : `${min} to ${max}`;
+      throw formulaError(`${node.name} takes ${expected} argument(s), got ${node.args.length}`, node.position);
+    }
+    node.args.forEach(arg => inspect(arg, references));
+  }
+  return references;
+};
+
+/**
+ * Compile a formula into a row evaluator
+ * @param {string} expression - Formula source
+ * @param {Array<string>} [columns] - Column names the formula may reference; omit to skip the
+ *   check (a column missing from a later sync then reads as blank)
+ * @returns {{ evaluate: Function, references: Array<string> }} - evaluate(row) => value
+ */
+export const compileFormula = (expression, columns) => {
+  if (typeof expression !== "string" || expression.trim() === "") {
+    throw formulaError("expression is required");
+  }
+  if (expression.length > MAX_EXPRESSION_LENGTH) {
+    throw formulaError(`expression is longer than ${MAX_EXPRESSION_LENGTH} characters`);
+  }
+
+  const tree = parse(tokenize(expression));
+  const references = [...inspect(tree, new Set())];
+  const known = new Set(columns);
+  const unknown = columns ? references.filter(name => !known.has(name)) : [];
+  if (unknown.length > 0) {
+    throw formulaError(`unknown column(s): ${unknown.join(", ")}`);
+  }
+
+  return {
+    evaluate: (row) => {
+      const value = evaluate(tree, row);
+      if (typeof value === "number" && !Number.isFinite(value)) return null;
+      return value === undefined ? null : value;
+    },
+    references,
+  };
+};
@@ -0,0 +1,191 @@
+import ErrorHandler from './errorHandler.js';
+import { isBlank } from './schemaInference.js';
+import { validateConditions, buildRowFilter } from './rowFilter.js';
+import { toDate } from './dateBuckets.js';
+import { percentile } from './aggregate.js';
+
+export const MAX_FUNNEL_STEPS = 20;
+export const MAX_FUNNEL_SEGMENTS = 50;
+
+const UNIT_MS = { minute: 60 * 1000, hour: 60 * 60 * 1000, day: 24 * 60 * 60 * 1000, week: 7 * 24 * 60 * 60 * 1000 };
+export const WINDOW_UNITS = Object.keys(UNIT_MS);
+
+const DEFAULT_WINDOW = { value: 30, unit: "day" };
+const OTHER_SEGMENT = "(other)";
+
+const percent = (part, whole) => (whole ? Math.round((part / whole) * 10000) / 100 : null);
+const medianSeconds = (durations) =>
+  (durations.length ? Math.round(percentile([...durations].sort((a, b) => a - b), 50) / 1000) : null);
+
+/**
+ * Parse and validate a funnel request. The user and timestamp columns fall
+ * back to the customerId and date KPI roles.
+ * @param {Object} body - { userColumn, eventColumn, timestampColumn, steps, window, segmentColumn, filters, match }
+ *   steps are event names or { event, label }; window is { value, unit }
+ * @param {Array<string>} headers - Dataset headers
+ * @param {Object} [kpiRoles] - Dataset KPI roles
+ * @returns {Object} - Validated query for funnelRows()
+ */
+export const parseFunnelQuery = (body = {}, headers = [], kpiRoles = {}) => {
+  const known = new Set(headers);
+  const column = (name, role) => {
+    const value = body[name] ?? (role ? kpiRoles?.[role] : undefined);
+    if (!value) throw new ErrorHandler(`${name} is required${role ? ` (or map the ${role} KPI role)` : ""}`, 400);
+    if (!known.has(value)) throw new ErrorHandler(`Unknown ${name}: ${value}`, 400);
+    return value;
+  };
+
+  if (!Array.isArray(body.steps) || body.steps.length < 2 || body.steps.length > MAX_FUNNEL_STEPS) {
+    throw new ErrorHandler(`steps must be a list of 2 to ${MAX_FUNNEL_STEPS} events`, 400);
+  }
+  const steps = body.steps.map((step, i) => {
+    const event = typeof step === "object" && step !== null ? step.event : step;
+    if (isBlank(event)) throw new ErrorHandler(`Step ${i + 1} needs an event`, 400);
+    return { event: String(event), label: String(step?.label ?? event) };
+  });
+
+  if (body.window !== undefined && (typeof body.window !== "object" || body.window === null)) {
+    throw new ErrorHandler("window must be an object like { value: 7, unit: \"day\" }", 400);
+  }
+  const window = { ...DEFAULT_WINDOW, ...body.window };
+  if (!WINDOW_UNITS.includes(window.unit)) {
+    throw new ErrorHandler(`Invalid window unit "${window.unit}". Allowed: ${WINDOW_UNITS.join(", ")}`, 400);
+  }
+  if (!(Number(window.value) > 0)) {
+    throw new ErrorHandler("window.value must be a positive number", 400);
+  }
+
+  const filters = validateConditions(body.filters || [], "filters");
+  const unknownFilters = filters.filter(f => !known.has(f.column)).map(f => f.column);
+  if (unknownFilters.length > 0) {
+    throw new ErrorHandler(`Unknown filter column(s): ${unknownFilters.join(", ")}`, 400);
+  }
+
+  return {
+    userColumn: column("userColumn", "customerId"),
+    eventColumn: column("eventColumn"),
+    timestampColumn: column("timestampColumn", "date"),
+    segmentColumn: body.segmentColumn ? column("segmentColumn") : null,
+    steps,
+    window: { value: Number(window.value), unit: window.unit },
+    windowMs: Number(window.value) * UNIT_MS[window.unit],
+    filters,
+    match: body.match === "any" ? "any" : "all",
+  };
+};
+
+// Furthest a user gets through the steps, in order, within the window of a first-step event
+const bestPath = (events, steps, windowMs) => {
+  let best = null;
+  for (let i = 0; i < events.length; i++) {
+    if (events[i].event !== steps[0].event) continue;
+    const times = [events[i].time];
+    const deadline = events[i].time + windowMs;
+    for (let j = i + 1; j < events.length && times.length < steps.length; j++) {
+      if (events[j].time > deadline) break;
+      if (events[j].event === steps[times.length].event) times.push(events[j].time);
+    }
+    if (!best || times.length > best.times.length) best = { times, segment: events[i].segment };
+    if (times.length === steps.length) break;
+  }
+  return best;
+};
+
+const summarizeSteps = (steps, paths) => {
+  const counts = steps.map((_, k) => paths.filter(path => path.times.length > k).length);
+  return steps.map((step, k) => {
+    const reached = paths.filter(path => path.times.length > k);
+    return {
+      step: k + 1,
+      label: step.label,
+      event: step.event,
+      count: counts[k],
+      dropOff: k > 0 ? counts[k - 1] - counts[k] : 0,
+      conversionFromPrevious: k > 0 ? percent(counts[k], counts[k - 1]) : 100,
+      conversionFromStart: percent(counts[k], counts[0]),
+      medianSecondsFromPrevious: k > 0 ? medianSeconds(reached.map(path => path.times[k] - path.times[k - 1])) : null,
+      medianSecondsFromStart: k > 0 ? medianSeconds(reached.map(path => path.times[k] - path.times[0])) : null,
+    };
+  });
+};
+
+/**
+ * Count users through ordered funnel steps. A user converts to a step when
+ * they do it after the previous one and within the window of their first
+ * step; each user counts once, along their furthest path.
+ * @param {Iterable|AsyncIterable<Object>} rows - Event rows
+ * @param {Object} query - Result of parseFunnelQuery()
+ * @returns {Promise<Object>} - { users, steps, overallConversion, segments, skippedRows }
+ */
+export const funnelRows = async (rows, query) => {
+  const { userColumn, eventColumn, timestampColumn, segmentColumn, steps, window, windowMs, filters, match } = query;
+  const keep = buildRowFilter(filters, { match });
+  const stepEvents = new Set(steps.map(step => step.event));
+  const users = new Map(); // user → [{ time, event, segment }]
+  let skipped = 0;
+
+  for await (const row of rows) {
+    if (!keep(row)) continue;
+    const event = isBlank(row[eventColumn]) ? null : String(row[eventColumn]);
+    if (!stepEvents.has(event)) continue;
+    const user = row[userColumn];
+    const date = toDate(row[timestampColumn]);
+    if (isBlank(user) || !date) {
+      skipped++;
+      continue;
+    }
+    const key = String(user);
+    if (!users.has(key)) users.set(key, []);
+    users.get(key).push({
+      time: date.getTime(),
+      event,
+      segment: segmentColumn && !isBlank(row[segmentColumn]) ? String(row[segmentColumn]) : null,
+    });
+  }
+
+  const paths = [];
+  for (const events of users.values()) {
+    events.sort((a, b) => a.time - b.time);
+    const path = bestPath(events, steps, windowMs);
+    if (path) paths.push(path);
+  }
+
+  const summary = summarizeSteps(steps, paths);
+  const result = {
+    userColumn,
+    eventColumn,
+    timestampColumn,
+    window,
+    users: paths.length,
+    steps: summary,
+    overallConversion: summary[summary.length - 1].conversionFromStart,
+    skippedRows: skipped,
+  };
+
+  if (segmentColumn) {
+    // The segment is taken from the user's first-step event; small segments are folded into "(other)"
+    const bySegment = new Map();
+    for (const path of paths) {
+      const segment = path.segment ?? "(blank)";
+      if (!bySegment.has(segment)) bySegment.set(segment, []);
+      bySegment.get(segment).push(path);
+    }
+    const ranked = [...bySegment.entries()].sort((a, b) => b[1].length - a[1].length);
+    const kept = ranked.slice(0, MAX_FUNNEL_SEGMENTS);
+    const rest = ranked.slice(MAX_FUNNEL_SEGMENTS).flatMap(([, list]) => list);
+    if (rest.length > 0) kept.push([OTHER_SEGMENT, rest]);
+
+    result.segmentColumn = segmentColumn;
+    result.segments = kept.map(([segment, list]) => {
+      const segmentSteps = summarizeSteps(steps, list);
+      return {
+        segment,
+        users: list.length,
+        steps: segmentSteps,
+        overallConversion: segmentSteps[segmentSteps.length - 1].conversionFromStart,
+      };
+    });
+  }
+
+  return result;
+};
@@ -0,0 +1,242 @@
+import ErrorHandler from './errorHandler.js';
+import { isBlank } from './schemaInference.js';
+import { toDate, truncateDate, nextPeriod, periodLabel } from './dateBuckets.js';
+
+// Dataset columns a user can point the KPI engine at
+export const KPI_ROLES = ["customerId", "amount", "date", "plan", "marketingSpend", "cashBalance"];
+
+export const MAX_KPI_MONTHS = 600;
+
+// LTV and runway use the average of the last few months, so one odd month doesn't swing them
+const TRAILING_MONTHS = 3;
+
+const round = (value) => (value === null || !Number.isFinite(value) ? null : Math.round(value * 100) / 100);
+const ratio = (part, whole) => (whole ? part / whole : null);
+const percent = (part, whole) => (whole ? round((part / whole) * 100) : null);
+const toNumber = (value) => (typeof value === "number" && Number.isFinite(value) ? value : null);
+
+const trailingAverage = (values) => {
+  const known = values.filter(value => value !== null);
+  return known.length ? known.reduce((sum, value) => sum + value, 0) / known.length : null;
+};
+
+/**
+ * Validate a role → column mapping against a dataset's headers
+ * @param {Object} roles - { customerId, amount, date, plan, marketingSpend, cashBalance }
+ * @param {Array<string>} headers - Dataset headers
+ * @returns {Object} - Roles with unset ones removed
+ */
+export const validateKpiRoles = (roles, headers = []) => {
+  if (!roles || typeof roles !== "object" || Array.isArray(roles)) {
+    throw new ErrorHandler("roles must be an object mapping roles to column names", 400);
+  }
+  const unknownRoles = Object.keys(roles).filter(role => !KPI_ROLES.includes(role));
+  if (unknownRoles.length > 0) {
+    throw new ErrorHandler(`Unknown KPI role(s): ${unknownRoles.join(", ")}. Allowed: ${KPI_ROLES.join(", ")}`, 400);
+  }
+
+  const mapped = Object.fromEntries(Object.entries(roles).filter(([, column]) => column));
+  const missing = Object.entries(mapped).filter(([, column]) => !headers.includes(column));
+  if (missing.length > 0) {
+    throw new ErrorHandler(
+      `Column(s) not in the dataset: ${missing.map(([role, column]) => `${column} (${role})`).join(", ")}`,
+      400
+    );
+  }
+  if (!mapped.date) {
+    throw new ErrorHandler("The date role is required", 400);
+  }
+  if (!mapped.amount && !mapped.marketingSpend && !mapped.cashBalance) {
+    throw new ErrorHandler("Map at least one of amount, marketingSpend or cashBalance", 400);
+  }
+  return mapped;
+};
+
+/**
+ * Compute monthly startup KPIs from mapped columns. Revenue rows are summed
+ * per customer and month, so each customer's monthly total is their MRR
+ * (refunds that leave a month negative count as zero).
+ * @param {Iterable|AsyncIterable<Object>} rows - Row objects
+ * @param {Object} roles - Result of validateKpiRoles()
+ * @param {Object} options - { from, to } - optional Date bounds
+ * @returns {Promise<Object>} - { roles, series, latest, unavailable }
+ */
+export const computeKpis = async (rows, roles, { from = null, to = null } = {}) => {
+  const fromMonth = from ? truncateDate(from, "month").getTime() : null;
+  const toMonth = to ? truncateDate(to, "month").getTime() : null;
+
+  const revenue = new Map(); // customer → Map(month → amount)
+  const totals = new Map(); // month → amount, for rows without a customer
+  const plans = new Map(); // customer → latest plan
+  const spend = new Map();
+  const balances = new Map(); // month → { time, value } of the latest balance
+  const months = new Set();
+
+  for await (const row of rows) {
+    const date = toDate(row[roles.date]);
+    if (!date) continue;
+    const month = truncateDate(date, "month").getTime();
+    if ((fromMonth !== null && month < fromMonth) || (toMonth !== null && month > toMonth)) continue;
+    months.add(month);
+
+    const amount = roles.amount ? toNumber(row[roles.amount]) : null;
+    if (amount !== null) {
+      totals.set(month, (totals.get(month) || 0) + amount);
+      const customer = roles.customerId ? row[roles.customerId] : null;
+      if (!isBlank(customer)) {
+        const key = String(customer);
+        if (!revenue.has(key)) revenue.set(key, new Map());
+        const byMonth = revenue.get(key);
+        byMonth.set(month, (byMonth.get(month) || 0) + amount);
+        if (roles.plan && !isBlank(row[roles.plan])) plans.set(key, row[roles.plan]);
+      }
+    }
+
+    const cost = roles.marketingSpend ? toNumber(row[roles.marketingSpend]) : null;
+    if (cost !== null) spend.set(month, (spend.get(month) || 0) + cost);
+
+    const balance = roles.cashBalance ? toNumber(row[roles.cashBalance]) : null;
+    if (balance !== null && (!balances.has(month) || balances.get(month).time <= date.getTime())) {
+      balances.set(month, { time: date.getTime(), value: balance });
+    }
+  }
+
+  const unavailable = {};
+  if (!roles.amount) unavailable.mrr = "Map the amount role to compute MRR and ARR";
+  if (!roles.customerId) unavailable.movements = "Map the customerId role to compute movements, churn, ARPU, LTV and CAC";
+  if (!roles.marketingSpend) unavailable.cac = "Map the marketingSpend role to compute CAC and LTV:CAC";
+  if (!roles.cashBalance) unavailable.runway = "Map the cashBalance role to compute burn and runway";
+
+  const sorted = [...months].sort((a, b) => a - b);
+  if (sorted.length === 0) {
+    return { roles, series: [], latest: null, unavailable };
+  }
+
+  const timeline = [];
+  const last = toMonth ?? sorted[sorted.length - 1];
+  for (let start = new Date(fromMonth ?? sorted[0]); start.getTime() <= last; start = nextPeriod(start, "month")) {
+    if (timeline.length >= MAX_KPI_MONTHS) {
+      throw new ErrorHandler(`KPIs span more than ${MAX_KPI_MONTHS} months; narrow the date range`, 400);
+    }
+    timeline.push(start);
+  }
+
+  const seen = new Set(); // customers that have paid before
+  const series = [];
+  timeline.forEach((start, i) => {
+    const month = start.getTime();
+    const previousMonth = i > 0 ? timeline[i - 1].getTime() : null;
+    const point = { period: periodLabel(start, "month"), start };
+
+    if (roles.amount) {
+      const mrr = roles.customerId
+        ? [...revenue.values()].reduce((sum, byMonth) => sum + Math.max(byMonth.get(month) || 0, 0), 0)
+        : totals.get(month) || 0;
+      point.mrr = round(mrr);
+      point.arr = round(mrr * 12);
+    }
+
+    if (roles.amount && roles.customerId) {
+      const movements = { new: 0, reactivation: 0, expansion: 0, contraction: 0, churn: 0 };
+      const customers = { active: 0, new: 0, reactivated: 0, churned: 0, previous: 0 };
+      const byPlan = {};
+
+      for (const [customer, byMonth] of revenue) {
+        const current = Math.max(byMonth.get(month) || 0, 0);
+        const before = previousMonth === null ? 0 : Math.max(byMonth.get(previousMonth) || 0, 0);
+        if (before > 0) customers.previous++;
+        if (current > 0) {
+          customers.active++;
+          const plan = plans.get(customer) ?? "(none)";
+          byPlan[plan] = round((byPlan[plan] || 0) + current);
+        }
+
+        if (before === 0 && current > 0) {
+          if (seen.has(customer)) {
+            movements.reactivation += current;
+            customers.reactivated++;
+          } else {
+            movements.new += current;
+            customers.new++;
+          }
+        } else if (before > 0 && current === 0) {
+          movements.churn += before;
+          customers.churned++;
+        } else if (current > before) {
+          movements.expansion += current - before;
+        } else if (current < before) {
+          movements.contraction += before - current;
+        }
+        if (current > 0) seen.add(customer);
+      }
+
+      const previousMrr = series[i - 1]?.mrr ?? null;
+      if (roles.plan) point.mrrByPlan = byPlan;
+      point.movements = {
+        ...Object.fromEntries(Object.entries(movements).map(([kind, value]) => [kind, round(value)])),
+        net: round(movements.new + movements.reactivation + movements.expansion - movements.contraction - movements.churn),
+      };
+      point.customers = customers;
+      point.logoChurnPercent = i > 0 ? percent(customers.churned, customers.previous) : null;
+      point.revenueChurnPercent = i > 0 ? percent(movements.churn + movements.contraction, previousMrr) : null;
+      point.netRevenueChurnPercent = i > 0
+        ? percent(movements.churn + movements.contraction - movements.expansion, previousMrr)
+        : null;
+      point.arpu = round(ratio(point.mrr, customers.active));
+
+      // LTV = ARPU / monthly logo churn, with churn averaged over the trailing months
+      const churnRates = [...series.slice(-(TRAILING_MONTHS - 1)), point]
+        .map(p => (p.logoChurnPercent === null ? null : p.logoChurnPercent / 100));
+      const churnRate = trailingAverage(churnRates);
+      point.ltv = point.arpu !== null && churnRate ? round(point.arpu / churnRate) : null;
+    }
+
+    if (roles.marketingSpend) {
+      point.marketingSpend = round(spend.get(month) || 0);
+      if (point.customers) {
+        point.cac = round(ratio(point.marketingSpend, point.customers.new));
+        point.ltvToCac = point.ltv !== null && point.cac ? round(point.ltv / point.cac) : null;
+      }
+    }
+
+    if (roles.cashBalance) {
+      // A month without a balance carries the last known one forward
+      const balance = balances.get(month)?.value ?? series[i - 1]?.cashBalance ?? null;
+      const before = series[i - 1]?.cashBalance ?? null;
+      point.cashBalance = balance;
+      point.burn = balance !== null && before !== null ? round(before - balance) : null;
+
+      const burnRate = trailingAverage([...series.slice(-(TRAILING_MONTHS - 1)), point].map(p => p.burn));
+      point.averageBurn = round(burnRate);
+      point.runwayMonths = balance !== null && burnRate > 0 ? round(balance / burnRate) : null;
+    }
+
+    series.push(point);
+  });
+
+  return { roles, series, latest: series[series.length - 1], unavailable };
+};
+
+/**
+ * Latest KPI values as prompt lines
+ * @param {Object} kpis - Result of computeKpis()
+ * @returns {string}
+ */
+export const describeKpis = ({ latest, series }) => {
+  if (!latest) return "";
+  const fields = [
+    ["MRR", latest.mrr], ["ARR", latest.arr], ["Net new MRR", latest.movements?.net],
+    ["Active customers", latest.customers?.active], ["Logo churn %", latest.logoChurnPercent],
+    ["Revenue churn %", latest.revenueChurnPercent], ["ARPU", latest.arpu], ["LTV", latest.ltv],
+    ["CAC", latest.cac], ["LTV:CAC", latest.ltvToCac], ["Monthly burn", latest.averageBurn],
+    ["Cash balance", latest.cashBalance], ["Runway (months)", latest.runwayMonths],
+  ].filter(([, value]) => value !== undefined && value !== null);
+
+  const first = series.find(point => point.mrr !== undefined);
+  const trend = first && first !== latest && latest.mrr !== undefined
+    ? [`MRR trend: ${first.mrr} in ${first.period} → ${latest.mrr} in ${latest.period}`]
+    : [];
+  return [`Month: ${latest.period}`, ...fields.map(([label, value]) => `${label}: ${value}`), ...trend]
+    .map(line => `- ${line}`)
+    .join("\n");
+};
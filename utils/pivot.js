@@ -0,0 +1,192 @@
+import ErrorHandler from './errorHandler.js';
+import { validateConditions, buildRowFilter } from './rowFilter.js';
+import { compareValues } from './rowQuery.js';
+import {
+  MAX_GROUPS, parseDimension, parseMetric, dimensionValue, dimensionLabel, createAccumulator, createSamplePool,
+} from './aggregate.js';
+
+export const MAX_PIVOT_COLUMNS = 500;
+
+const keyOf = (values) => JSON.stringify(values.map(value => (value instanceof Date ? value.toISOString() : value)));
+
+const compareKeys = (a, b) => {
+  for (let i = 0; i < a.length; i++) {
+    const result = compareValues(a[i], b[i]);
+    if (result !== 0) return result;
+  }
+  return 0;
+};
+
+/**
+ * Parse and validate a pivot request against a dataset's headers
+ * @param {Object} body - { rows: ["region", "product"], columns: ["date:month"], value: "revenue",
+ *   aggregation: "sum", p, filters, match, subtotals }
+ * @param {Array<string>} headers - Dataset headers
+ * @returns {Object} - Validated query for pivotRows()
+ */
+export const parsePivotQuery = (body = {}, headers = []) => {
+  const known = new Set(headers);
+  const asList = (value) => (Array.isArray(value) ? value : value ? [value] : []);
+
+  const rows = asList(body.rows).map(entry => parseDimension(entry, known));
+  const columns = asList(body.columns).map(entry => parseDimension(entry, known));
+  if (rows.length === 0 && columns.length === 0) {
+    throw new ErrorHandler("A pivot needs at least one row or column dimension", 400);
+  }
+
+  const fn = body.aggregation || (body.value ? "sum" : "count");
+  const metric = parseMetric({ fn, column: body.value, p: body.p }, known);
+
+  const filters = validateConditions(body.filters || [], "filters");
+  const unknownFilters = filters.filter(f => !known.has(f.column)).map(f => f.column);
+  if (unknownFilters.length > 0) {
+    throw new ErrorHandler(`Unknown filter column(s): ${unknownFilters.join(", ")}`, 400);
+  }
+
+  return {
+    rows,
+    columns,
+    metric,
+    filters,
+    match: body.match === "any" ? "any" : "all",
+    subtotals: body.subtotals !== false && body.subtotals !== "false",
+  };
+};
+
+/**
+ * Build a pivot grid with row subtotals (one level per leading row
+ * dimension), per-row and per-column totals and a grand total. Totals are
+ * aggregated from the raw values, so averages stay exact; medians and
+ * percentiles of large groups come from a sample (approximate: true).
+ * @param {Iterable|AsyncIterable<Object>} source - Row objects
+ * @param {Object} query - Result of parsePivotQuery()
+ * @returns {Promise<Object>} - { rowDimensions, columnDimensions, value, aggregation, columns, rows, columnTotals, grandTotal, approximate }
+ */
+export const pivotRows = async (source, query) => {
+  const { rows: rowDims, columns: colDims, metric, filters, match, subtotals } = query;
+  const keep = buildRowFilter(filters, { match });
+  const levels = subtotals ? rowDims.length - 1 : 0;
+
+  const rowKeys = new Map();
+  const colKeys = new Map();
+  const cells = new Map();
+  const rowTotals = new Map();
+  const colTotals = new Map();
+  const subtotalCells = new Map();
+  const subtotalTotals = new Map();
+  const pool = createSamplePool();
+  const grand = createAccumulator(metric, pool);
+
+  const cellOf = (map, rowKey, colKey) => {
+    const key = `${rowKey}\u0000${colKey}`;
+    if (!map.has(key)) map.set(key, createAccumulator(metric, pool));
+    return map.get(key);
+  };
+  const totalOf = (map, key) => {
+    if (!map.has(key)) map.set(key, createAccumulator(metric, pool));
+    return map.get(key);
+  };
+
+  for await (const row of source) {
+    if (!keep(row)) continue;
+
+    const rowValues = rowDims.map(dim => dimensionValue(row, dim));
+    const colValues = colDims.map(dim => dimensionValue(row, dim));
+    const rowKey = keyOf(rowValues);
+    const colKey = keyOf(colValues);
+
+    if (!rowKeys.has(rowKey)) {
+      if (rowKeys.size >= MAX_GROUPS) {
+        throw new ErrorHandler(`Too many pivot rows (over ${MAX_GROUPS}); use fewer or coarser row dimensions`, 400);
+      }
+      rowKeys.set(rowKey, rowValues);
+    }
+    if (!colKeys.has(colKey)) {
+      if (colKeys.size >= MAX_PIVOT_COLUMNS) {
+        throw new ErrorHandler(
+          `Too many pivot columns (over ${MAX_PIVOT_COLUMNS}); use fewer or coarser column dimensions`,
+          400
+        );
+      }
+      colKeys.set(colKey, colValues);
+    }
+
+    const value = row[metric.column];
+    cellOf(cells, rowKey, colKey).add(value);
+    totalOf(rowTotals, rowKey).add(value);
+    totalOf(colTotals, colKey).add(value);
+    grand.add(value);
+    for (let level = 1; level <= levels; level++) {
+      const prefixKey = keyOf(rowValues.slice(0, level));
+      cellOf(subtotalCells, prefixKey, colKey).add(value);
+      totalOf(subtotalTotals, prefixKey).add(value);
+    }
+  }
+
+  const sortedColumns = [...colKeys.entries()].sort((a, b) => compareKeys(a[1], b[1]));
+  const sortedRows = [...rowKeys.entries()].sort((a, b) => compareKeys(a[1], b[1]));
+  const labels = (values, dims) => values.map((value, i) => dimensionLabel(value, dims[i]));
+  const resultOf = (map, key) => map.get(key)?.result() ?? null;
+  const lineCells = (map, rowKey) => sortedColumns.map(([colKey]) => resultOf(map, `${rowKey}\u0000${colKey}`));
+
+  const lines = [];
+  sortedRows.forEach(([rowKey, values], i) => {
+    lines.push({ type: "row", key: labels(values, rowDims), cells: lineCells(cells, rowKey), total: resultOf(rowTotals, rowKey) });
+
+    // Close every subtotal group that ends here, innermost first
+    const next = sortedRows[i + 1]?.[1];
+    for (let level = levels; level >= 1; level--) {
+      const prefix = values.slice(0, level);
+      if (next && compareKeys(prefix, next.slice(0, level)) === 0) continue;
+      const prefixKey = keyOf(prefix);
+      lines.push({
+        type: "subtotal",
+        level,
+        key: labels(prefix, rowDims),
+        cells: lineCells(subtotalCells, prefixKey),
+        total: resultOf(subtotalTotals, prefixKey),
+      });
+    }
+  });
+
+  return {
+    rowDimensions: rowDims.map(dim => dim.as),
+    columnDimensions: colDims.map(dim => dim.as),
+    value: metric.column ?? null,
+    aggregation: metric.fn,
+    columns: sortedColumns.map(([, values]) => ({ key: labels(values, colDims) })),
+    rows: lines,
+    columnTotals: sortedColumns.map(([colKey]) => resultOf(colTotals, colKey)),
+    grandTotal: grand.result(),
+    ...(pool.approximate() && { approximate: true }),
+  };
+};
+
+/**
+ * Flatten a pivot into a header and plain rows, for spreadsheet and PDF export
+ * @param {Object} pivot - Result of pivotRows()
+ * @returns {{ header: Array, rows: Array<Array>, rowTypes: Array<string> }}
+ */
+export const pivotToTable = (pivot) => {
+  const dimensionCount = Math.max(pivot.rowDimensions.length, 1);
+  const header = [
+    ...(pivot.rowDimensions.length ? pivot.rowDimensions : [""]),
+    ...pivot.columns.map(col => (col.key.length ? col.key.map(part => part ?? "(blank)").join(" / ") : pivot.aggregation)),
+    "Total",
+  ];
+
+  const rows = [];
+  const rowTypes = [];
+  for (const line of pivot.rows) {
+    const key = line.key.map(part => part ?? "(blank)");
+    // A subtotal is labelled "<last prefix value> total" in its own dimension's column
+    const labels = line.type === "subtotal" ? [...key.slice(0, -1), `${key[key.length - 1]} total`] : key;
+    const leading = [...labels, ...Array(dimensionCount - labels.length).fill("")];
+    rows.push([...leading, ...line.cells, line.total]);
+    rowTypes.push(line.type);
+  }
+
+  rows.push(["Grand total", ...Array(dimensionCount - 1).fill(""), ...pivot.columnTotals, pivot.grandTotal]);
+  rowTypes.push("total");
+  return { header, rows, rowTypes };
+};
@@ -0,0 +1,70 @@
+import RECIPE from '../models/Recipe.js';
+import { validateSteps, applySteps, carrySchema } from './transforms.js';
+import { streamRows } from './rowStore.js';
+import { typeRows } from './schemaInference.js';
+import { replaceDatasetRows } from './datasetIngest.js';
+
+// Read the dataset's current generation while the transformed rows are written to the next one
+const currentRows = (dataset) => streamRows({
+  _id: dataset._id,
+  rowStorage: dataset.rowStorage,
+  rowGeneration: dataset.rowGeneration,
+});
+
+/**
+ * Load the recipes attached to a dataset, in attachment order. Recipes that
+ * were deleted since are skipped.
+ * @param {Object} dataset - Dataset with userId and recipes
+ * @returns {Promise<{ recipes: Array<Object>, steps: Array<Object> }>} - Recipes and their compiled steps
+ */
+export const loadAttachedRecipes = async (dataset) => {
+  if (!dataset.recipes?.length) return { recipes: [], steps: [] };
+
+  const found = await RECIPE.find({ _id: { $in: dataset.recipes }, userId: dataset.userId }).lean();
+  const byId = new Map(found.map(recipe => [String(recipe._id), recipe]));
+  const recipes = dataset.recipes.map(id => byId.get(String(id))).filter(Boolean);
+  return { recipes, steps: recipes.flatMap(recipe => validateSteps(recipe.steps)) };
+};
+
+/**
+ * Run steps over a dataset without saving anything
+ * @param {Object} dataset - Dataset document
+ * @param {Array<Object>} steps - Steps returned by validateSteps()
+ * @param {Object} options - { limit } - rows returned
+ * @returns {Promise<Object>} - { headers, schema, rows, rowCount, previousRowCount }
+ */
+export const previewTransform = async (dataset, steps, { limit = 20 } = {}) => {
+  const typed = typeRows(applySteps(currentRows(dataset), steps), {
+    overrides: carrySchema(dataset.schema, steps),
+  });
+
+  const rows = [];
+  const headers = new Set();
+  let rowCount = 0;
+  for await (const row of typed.rows) {
+    rowCount++;
+    Object.keys(row).forEach(key => headers.add(key));
+    if (rows.length < limit) rows.push(row);
+  }
+
+  return {
+    headers: [...headers],
+    schema: typed.getSchema(),
+    rows,
+    rowCount,
+    previousRowCount: dataset.rowCount,
+  };
+};
+
+/**
+ * Rewrite a dataset's rows through steps and record it as a new version
+ * @param {Object} dataset - Dataset mongoose document
+ * @param {Array<Object>} steps - Steps returned by validateSteps()
+ * @param {Object} change - { author, summary }
+ * @returns {Promise<Object>} - The saved dataset
+ */
+export const transformDataset = (dataset, steps, { author, summary }) =>
+  replaceDatasetRows(dataset, applySteps(currentRows(dataset), steps), {
+    overrides: carrySchema(dataset.schema, steps),
+    change: { author, action: "transform", summary },
+  });
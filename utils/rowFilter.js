@@ -0,0 +1,115 @@
+import ErrorHandler from './errorHandler.js';
+import { isBlank, parseDate } from './schemaInference.js';
+
+export const FILTER_OPERATORS = [
+  "eq", "ne", "gt", "gte", "lt", "lte",
+  "contains", "notContains", "startsWith", "endsWith",
+  "in", "notIn", "between", "isEmpty", "notEmpty", "isNull", "notNull",
+];
+
+const VALUELESS_OPERATORS = ["isEmpty", "notEmpty", "isNull", "notNull"];
+const LIST_OPERATORS = ["in", "notIn"];
+
+// Bring a condition value to the stored value's type so 10 > 9 and dates compare in time order
+const comparable = (stored, value) => {
+  if (stored instanceof Date) {
+    const date = value instanceof Date ? value : parseDate(value);
+    return { left: stored.getTime(), right: date ? date.getTime() : NaN };
+  }
+  if (typeof stored === "number") {
+    return { left: stored, right: typeof value === "number" ? value : Number(value) };
+  }
+  if (typeof stored === "boolean") {
+    return { left: stored, right: value === true || String(value).toLowerCase() === "true" };
+  }
+  return { left: String(stored).toLowerCase(), right: String(value).toLowerCase() };
+};
+
+const equals = (stored, value) => {
+  if (isBlank(stored)) return isBlank(value);
+  const { left, right } = comparable(stored, value);
+  return left === right;
+};
+
+const compare = (stored, value) => {
+  if (isBlank(stored)) return NaN;
+  const { left, right } = comparable(stored, value);
+  if (typeof left === "number" && Number.isNaN(right)) return NaN;
+  return left < right ? -1 : left > right ? 1 : 0;
+};
+
+const text = (value) => (value instanceof Date ? value.toISOString() : String(value ?? "")).toLowerCase();
+
+const TESTS = {
+  eq: (stored, value) => equals(stored, value),
+  ne: (stored, value) => !equals(stored, value),
+  gt: (stored, value) => compare(stored, value) > 0,
+  gte: (stored, value) => compare(stored, value) >= 0,
+  lt: (stored, value) => compare(stored, value) < 0,
+  lte: (stored, value) => compare(stored, value) <= 0,
+  contains: (stored, value) => text(stored).includes(text(value)),
+  notContains: (stored, value) => !text(stored).includes(text(value)),
+  startsWith: (stored, value) => text(stored).startsWith(text(value)),
+  endsWith: (stored, value) => text(stored).endsWith(text(value)),
+  in: (stored, values) => values.some(value => equals(stored, value)),
+  notIn: (stored, values) => !values.some(value => equals(stored, value)),
+  // Inclusive range; a null bound leaves that side open
+  between: (stored, [min, max]) => (min === null || compare(stored, min) >= 0)
+    && (max === null || compare(stored, max) <= 0),
+  isEmpty: (stored) => isBlank(stored),
+  notEmpty: (stored) => !isBlank(stored),
+  isNull: (stored) => isBlank(stored),
+  notNull: (stored) => !isBlank(stored),
+};
+
+/**
+ * Validate filter conditions
+ * @param {Array<Object>} conditions - [{ column, operator, value }]
+ * @param {string} label - Prefix for error messages
+ * @returns {Array<Object>} - The conditions, with list values normalized to arrays
+ */
+export const validateConditions = (conditions, label = "Filter") => {
+  if (!Array.isArray(conditions)) {
+    throw new ErrorHandler(`${label}: conditions must be an array`, 400);
+  }
+  return conditions.map((condition, i) => {
+    const { column, operator = "eq", value } = condition || {};
+    if (!column || typeof column !== "string") {
+      throw new ErrorHandler(`${label}: condition ${i + 1} needs a column`, 400);
+    }
+    if (!FILTER_OPERATORS.includes(operator)) {
+      throw new ErrorHandler(
+        `${label}: unknown operator "${operator}". Allowed operators: ${FILTER_OPERATORS.join(", ")}`,
+        400
+      );
+    }
+    if (!VALUELESS_OPERATORS.includes(operator) && value === undefined) {
+      throw new ErrorHandler(`${label}: condition ${i + 1} (${column} ${operator}) needs a value`, 400);
+    }
+    if (operator === "between") {
+      const [min = null, max = null] = Array.isArray(value) ? value : [value?.from, value?.to];
+      if (isBlank(min) && isBlank(max)) {
+        throw new ErrorHandler(`${label}: condition ${i + 1} (${column} between) needs [min, max] or { from, to }`, 400);
+      }
+      return { column, operator, value: [isBlank(min) ? null : min, isBlank(max) ? null : max] };
+    }
+    if (LIST_OPERATORS.includes(operator)) {
+      return { column, operator, value: Array.isArray(value) ? value : String(value).split(",").map(v => v.trim()) };
+    }
+    return { column, operator, value };
+  });
+};
+
+/**
+ * Build a row predicate from filter conditions
+ * @param {Array<Object>} conditions - Validated [{ column, operator, value }]
+ * @param {Object} options - { match: "all" | "any" }
+ * @returns {Function} - row => boolean
+ */
+export const buildRowFilter = (conditions, { match = "all" } = {}) => {
+  if (conditions.length === 0) return () => true;
+  const tests = conditions.map(({ column, operator, value }) => (row) => TESTS[operator](row[column], value));
+  return match === "any"
+    ? (row) => tests.some(test => test(row))
+    : (row) => tests.every(test => test(row));
+};
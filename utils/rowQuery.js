@@ -0,0 +1,232 @@
+import ErrorHandler from './errorHandler.js';
+import { isBlank } from './schemaInference.js';
+import { validateConditions, buildRowFilter } from './rowFilter.js';
+import { streamRows } from './rowStore.js';
+
+export const DEFAULT_PAGE_SIZE = 100;
+export const MAX_PAGE_SIZE = 1000;
+// Sorted pages keep every row up to offset + limit while scanning, so they can't go deeper than this
+export const MAX_SORTED_OFFSET = 10 * MAX_PAGE_SIZE;
+
+// ============================================
+// PARSING
+// ============================================
+
+// Lists arrive as "a,b" in a query string or as arrays in a JSON body
+const parseList = (value) => {
+  if (value === undefined || value === null || value === "") return [];
+  if (Array.isArray(value)) return value.map(String);
+  return String(value).split(",").map(item => item.trim()).filter(Boolean);
+};
+
+const parseJsonParam = (value, name) => {
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    throw new ErrorHandler(`${name} must be valid JSON`, 400);
+  }
+};
+
+const encodeCursor = (position) => Buffer.from(JSON.stringify(position)).toString("base64url");
+
+const decodeCursor = (cursor) => {
+  try {
+    const position = JSON.parse(Buffer.from(String(cursor), "base64url").toString());
+    if (Number.isInteger(position.row) && Number.isInteger(position.offset)) return position;
+  } catch {
+    // fall through
+  }
+  throw new ErrorHandler("Invalid cursor", 400);
+};
+
+/**
+ * Parse and validate a rows query against a dataset's headers
+ * @param {Object} input - Query string or JSON body:
+ *   { offset, limit, cursor, sort: "-amount,name", columns: "a,b", filters: [{ column, operator, value }], match }
+ * @param {Array<string>} headers - Dataset headers
+ * @returns {Object} - { offset, limit, cursor, sort: [{ column, direction }], columns, filters, match }
+ */
+export const parseRowQuery = (input = {}, headers = []) => {
+  const known = new Set(headers);
+  const assertColumns = (columns, what) => {
+    const unknown = columns.filter(column => !known.has(column));
+    if (unknown.length > 0) {
+      throw new ErrorHandler(`Unknown ${what} column(s): ${unknown.join(", ")}`, 400);
+    }
+  };
+
+  const limit = input.limit === undefined ? DEFAULT_PAGE_SIZE : parseInt(input.limit, 10);
+  const offset = input.offset === undefined ? 0 : parseInt(input.offset, 10);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw new ErrorHandler(`limit must be between 1 and ${MAX_PAGE_SIZE}`, 400);
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new ErrorHandler("offset must be a non-negative integer", 400);
+  }
+
+  const sort = parseList(input.sort).map(item => (item.startsWith("-")
+    ? { column: item.slice(1), direction: -1 }
+    : { column: item.replace(/^\+/, ""), direction: 1 }));
+  assertColumns(sort.map(s => s.column), "sort");
+
+  const columns = parseList(input.columns);
+  assertColumns(columns, "projected");
+
+  const filters = validateConditions(parseJsonParam(input.filters ?? [], "filters"), "filters");
+  assertColumns(filters.map(f => f.column), "filter");
+
+  const match = input.match === "any" ? "any" : "all";
+  const cursor = input.cursor ? decodeCursor(input.cursor) : null;
+  const start = cursor ? cursor.offset : offset;
+  if (sort.length > 0 && start > MAX_SORTED_OFFSET) {
+    throw new ErrorHandler(
+      `Sorted pages can't start past row ${MAX_SORTED_OFFSET}; narrow the rows with filters instead`,
+      400
+    );
+  }
+
+  return { offset: start, limit, cursor, sort, columns, filters, match };
+};
+
+// ============================================
+// SORTING
+// ============================================
+
+/**
+ * Compare two stored values: numbers and dates by value, text case-insensitively.
+ * Blanks always sort last.
+ * @returns {number} - Negative, zero or positive
+ */
+export const compareValues = (a, b) => {
+  const blankA = isBlank(a);
+  const blankB = isBlank(b);
+  if (blankA || blankB) return blankA === blankB ? 0 : blankA ? 1 : -1;
+
+  const left = a instanceof Date ? a.getTime() : a;
+  const right = b instanceof Date ? b.getTime() : b;
+  if (typeof left === "number" && typeof right === "number") return left - right;
+  if (typeof left === "boolean" && typeof right === "boolean") return Number(left) - Number(right);
+  return String(left).localeCompare(String(right), undefined, { sensitivity: "base", numeric: true });
+};
+
+/**
+ * Comparator over { row, position } entries for a parsed sort; ties keep storage order
+ * @param {Array<{ column: string, direction: number }>} sort
+ * @returns {Function}
+ */
+export const buildComparator = (sort) => (a, b) => {
+  for (const { column, direction } of sort) {
+    const result = compareValues(a.row[column], b.row[column]);
+    if (result === 0) continue;
+    // Blanks stay last in either direction
+    return isBlank(a.row[column]) || isBlank(b.row[column]) ? result : direction * result;
+  }
+  return a.position - b.position;
+};
+
+/**
+ * The first `count` rows in sort order, found in one pass without holding every row
+ * @param {Iterable|AsyncIterable<Object>} rows - Row objects
+ * @param {Array<{ column: string, direction: number }>} sort - Parsed sort
+ * @param {number} count - Rows to keep
+ * @returns {Promise<{ entries: Array<{ row: Object, position: number }>, total: number }>} - Sorted entries and the number of rows seen
+ */
+export const topRows = async (rows, sort, count) => {
+  const comparator = buildComparator(sort);
+  let best = [];
+  let total = 0;
+
+  for await (const row of rows) {
+    best.push({ row, position: total++ });
+    // Trim in batches so the scan stays O(n log k)
+    if (best.length >= count * 2 + 1000) {
+      best = best.sort(comparator).slice(0, count);
+    }
+  }
+  return { entries: best.sort(comparator).slice(0, count), total };
+};
+
+// ============================================
+// QUERY
+// ============================================
+
+async function* filterRows(rows, keep) {
+  for await (const row of rows) {
+    if (keep(row)) yield row;
+  }
+}
+
+/**
+ * Keep only the selected columns of a row (all of them when none are selected)
+ * @param {Object} row - Row object
+ * @param {Array<string>} columns - Selected columns
+ * @returns {Object}
+ */
+export const projectRow = (row, columns) => (columns.length
+  ? Object.fromEntries(columns.map(column => [column, row[column] ?? null]))
+  : row);
+
+/**
+ * Read one page of a dataset's rows.
+ * - Unsorted pages stream in storage order and stop once the page is full;
+ *   the cursor remembers the stored row to resume from, so later pages of a
+ *   filtered query don't re-scan earlier rows.
+ * - Sorted pages scan every matching row, keeping only the best offset+limit.
+ * @param {Object} dataset - Dataset with _id, rowStorage, rowGeneration, rowCount
+ * @param {Object} query - Result of parseRowQuery()
+ * @returns {Promise<Object>} - { rows, offset, limit, hasMore, nextCursor, total }
+ */
+export const queryRows = async (dataset, query) => {
+  const { offset, limit, cursor, sort, columns, filters, match } = query;
+  const keep = buildRowFilter(filters, { match });
+  const filtered = filters.length > 0;
+
+  if (sort.length === 0) {
+    // Unfiltered offsets map straight onto stored row positions
+    const start = cursor ? cursor.row : filtered ? 0 : offset;
+    let skip = cursor || !filtered ? 0 : offset;
+    const rows = [];
+    let position = start;
+    let hasMore = false;
+
+    for await (const row of streamRows(dataset, { offset: start })) {
+      position++;
+      if (!keep(row)) continue;
+      if (skip > 0) {
+        skip--;
+        continue;
+      }
+      if (rows.length === limit) {
+        hasMore = true;
+        position--;
+        break;
+      }
+      rows.push(projectRow(row, columns));
+    }
+
+    return {
+      rows,
+      offset,
+      limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor({ row: position, offset: offset + rows.length }) : null,
+      total: filtered ? null : dataset.rowCount,
+    };
+  }
+
+  const wanted = offset + limit;
+  const { entries, total } = await topRows(filterRows(streamRows(dataset), keep), sort, wanted);
+
+  const page = entries.slice(offset).map(({ row }) => projectRow(row, columns));
+  const hasMore = total > wanted;
+  return {
+    rows: page,
+    offset,
+    limit,
+    hasMore,
+    // Past the sorted-offset cap there is no next page to hand out
+    nextCursor: hasMore && wanted <= MAX_SORTED_OFFSET ? encodeCursor({ row: 0, offset: wanted }) : null,
+    total,
+  };
+};
@@ -0,0 +1,310 @@
+import DATASHEET from '../models/Dataset.js';
+import DATASET_CHUNK from '../models/DatasetChunk.js';
+
+// A chunk is flushed when it reaches either limit, keeping documents far below 16MB
+const CHUNK_ROW_LIMIT = 1000;
+const CHUNK_BYTE_LIMIT = 4 * 1024 * 1024; // 4 MB
+
+const isChunked = (dataset) => dataset?.rowStorage === "chunked";
+
+// ============================================
+// WRITING
+// ============================================
+
+/**
+ * Create a buffered writer that stores rows as ordered chunks of one generation
+ * @param {string} datasetId - Dataset the rows belong to
+ * @param {number} generation - Chunk generation to write
+ * @returns {{ write: Function, close: Function }} - write(row) and close() => { rowCount, headers, chunkCount }
+ */
+export const createRowWriter = (datasetId, generation = 0) => {
+  let buffer = [];
+  let bufferBytes = 0;
+  let chunkIndex = 0;
+  let rowCount = 0;
+  const headers = [];
+  const seenHeaders = new Set();
+
+  const flush = async () => {
+    if (buffer.length === 0) return;
+    await DATASET_CHUNK.create({
+      datasetId,
+      generation,
+      index: chunkIndex,
+      startRow: rowCount - buffer.length,
+      endRow: rowCount,
+      rows: buffer,
+    });
+    chunkIndex++;
+    buffer = [];
+    bufferBytes = 0;
+  };
+
+  return {
+    write: async (row) => {
+      for (const key of Object.keys(row)) {
+        if (!seenHeaders.has(key)) {
+          seenHeaders.add(key);
+          headers.push(key);
+        }
+      }
+      buffer.push(row);
+      bufferBytes += Buffer.byteLength(JSON.stringify(row));
+      rowCount++;
+
+      if (buffer.length >= CHUNK_ROW_LIMIT || bufferBytes >= CHUNK_BYTE_LIMIT) {
+        await flush();
+      }
+    },
+    close: async () => {
+      await flush();
+      return { rowCount, headers, chunkCount: chunkIndex };
+    },
+  };
+};
+
+// Older generations may outlive the current one (version history, rollback),
+// so a new generation is numbered past the highest stored or handed out one.
+// The counter lives on the dataset and is bumped atomically, so overlapping
+// writers (a sheet sync and an append, say) never share a generation; the
+// generation is also listed as pending until its writer commits or gives up.
+const nextGeneration = async (dataset) => {
+  // Nothing else can write to a dataset that hasn't been saved yet
+  if (dataset.isNew) return 0;
+  const latest = await DATASET_CHUNK.findOne({ datasetId: dataset._id })
+    .sort({ generation: -1 })
+    .select('generation')
+    .lean();
+  const floor = Math.max(dataset.rowGeneration || 0, latest?.generation ?? 0);
+
+  const allocated = await DATASHEET.findOneAndUpdate(
+    { _id: dataset._id },
+    [
+      { $set: { nextRowGeneration: { $add: [{ $max: [{ $ifNull: ["$nextRowGeneration", 0] }, floor] }, 1] } } },
+      { $set: { pendingRowGenerations: { $concatArrays: [{ $ifNull: ["$pendingRowGenerations", []] }, ["$nextRowGeneration"]] } } },
+    ],
+    { new: true, projection: { nextRowGeneration: 1 } }
+  ).lean();
+  if (!allocated) {
+    throw new Error(`Dataset ${dataset._id} not found while allocating a row generation`);
+  }
+  return allocated.nextRowGeneration;
+};
+
+const releaseGenerations = (datasetId, generations) =>
+  DATASHEET.updateOne({ _id: datasetId }, { $pull: { pendingRowGenerations: { $in: generations } } });
+
+/**
+ * Write rows into a fresh chunk generation and point the dataset at it.
+ * The dataset document is updated in memory only; the caller saves it and
+ * then calls discardStaleRows() to drop the previous generation.
+ * @param {Object} dataset - Dataset mongoose document
+ * @param {Iterable|AsyncIterable<Object>} rows - Row objects
+ * @returns {Promise<Object>} - { rowCount, headers, chunkCount }
+ */
+export const replaceRows = async (dataset, rows) => {
+  const generation = await nextGeneration(dataset);
+  const writer = createRowWriter(dataset._id, generation);
+
+  let result;
+  try {
+    for await (const row of rows) {
+      await writer.write(row);
+    }
+    result = await writer.close();
+  } catch (error) {
+    // The generation is this writer's alone, so only its own chunks go
+    await deleteRows(dataset._id, generation);
+    throw error;
+  }
+
+  dataset.rowStorage = "chunked";
+  dataset.rowGeneration = generation;
+  dataset.rowCount = result.rowCount;
+  dataset.rows = undefined;
+  return result;
+};
+
+/**
+ * Mark the dataset's current generation as committed and remove every other
+ * generation nothing uses: older or newer, once it is neither current, still
+ * referenced, nor being filled by another writer.
+ * @param {Object} dataset - Saved dataset document
+ * @param {Function} referenced - async () => generations still referenced (e.g. by versions)
+ */
+export const discardStaleRows = async (dataset, referenced = async () => []) => {
+  const current = dataset.rowGeneration || 0;
+  await releaseGenerations(dataset._id, [current]);
+
+  // A writer's generation stays pending until its version is recorded, so reading
+  // the pending list before the references never misses one committed meanwhile
+  const stored = await DATASHEET.findById(dataset._id).select('rowGeneration pendingRowGenerations').lean();
+  const keep = [current, ...(stored?.pendingRowGenerations || []), ...(await referenced())];
+  if (stored) keep.push(stored.rowGeneration || 0);
+
+  await DATASET_CHUNK.deleteMany({ datasetId: dataset._id, generation: { $nin: keep } });
+};
+
+/**
+ * Remove stored rows of a dataset
+ * @param {string} datasetId - Dataset ID
+ * @param {number} [generation] - Only remove this generation (and stop tracking it as pending); omit to remove all
+ */
+export const deleteRows = async (datasetId, generation) => {
+  const query = { datasetId };
+  if (generation !== undefined) {
+    query.generation = generation;
+  }
+  await DATASET_CHUNK.deleteMany(query);
+  if (generation !== undefined) {
+    await releaseGenerations(datasetId, [generation]);
+  }
+};
+
+// ============================================
+// READING
+// ============================================
+
+/**
+ * Stream rows of a dataset in order without loading every chunk at once.
+ * Legacy datasets with embedded rows are read from the dataset document.
+ * @param {Object} dataset - Dataset with _id, rowStorage and rowGeneration
+ * @param {Object} options - { offset, limit }
+ * @returns {AsyncGenerator<Object>} - Row objects
+ */
+export async function* streamRows(dataset, { offset = 0, limit = Infinity } = {}) {
+  const end = offset + limit;
+
+  if (!isChunked(dataset)) {
+    const legacyRows = dataset.rows
+      ?? (await DATASHEET.findById(dataset._id).select('rows').lean())?.rows
+      ?? [];
+    yield* legacyRows.slice(offset, end);
+    return;
+  }
+
+  const query = {
+    datasetId: dataset._id,
+    generation: dataset.rowGeneration || 0,
+    endRow: { $gt: offset },
+  };
+  if (Number.isFinite(end)) {
+    query.startRow = { $lt: end };
+  }
+
+  const cursor = DATASET_CHUNK.find(query).sort({ index: 1 }).lean().cursor();
+  for await (const chunk of cursor) {
+    const from = Math.max(0, offset - chunk.startRow);
+    const to = Math.min(chunk.rows.length, end - chunk.startRow);
+    for (let i = from; i < to; i++) {
+      yield chunk.rows[i];
+    }
+  }
+}
+
+/**
+ * Row counts for a list of datasets. Legacy datasets never stored rowCount,
+ * so theirs is measured on the embedded array without loading it.
+ * @param {Array<Object>} datasets - Datasets with _id, rowStorage and rowCount
+ * @returns {Promise<Map<string, number>>} - Dataset ID => row count
+ */
+export const countRows = async (datasets) => {
+  const counts = new Map(datasets.map(ds => [String(ds._id), ds.rowCount || 0]));
+  const legacy = datasets.filter(ds => !isChunked(ds)).map(ds => ds._id);
+  if (legacy.length > 0) {
+    const sizes = await DATASHEET.aggregate([
+      { $match: { _id: { $in: legacy } } },
+      { $project: { count: { $size: { $ifNull: ["$rows", []] } } } },
+    ]);
+    sizes.forEach(({ _id, count }) => counts.set(String(_id), count));
+  }
+  return counts;
+};
+
+/**
+ * Read a range of rows into memory
+ * @param {Object} dataset - Dataset with _id, rowStorage and rowGeneration
+ * @param {Object} options - { offset, limit }; omit both to read every row
+ * @returns {Promise<Array<Object>>} - Row objects
+ */
+export const readRows = async (dataset, options = {}) => {
+  const rows = [];
+  for await (const row of streamRows(dataset, options)) {
+    rows.push(row);
+  }
+  return rows;
+};
+
+
+// Rows passed to the consumers of shareRows() at a time
+const SHARE_BATCH_SIZE = 500;
+
+/**
+ * Read a row stream once on behalf of several consumers. Each consumer gets its
+ * own iterable over the same rows; rows go out in small batches and the next
+ * batch is read only when every consumer has finished the last one, so memory
+ * stays bounded however long the stream is. A consumer that stops early or
+ * fails no longer holds the others back.
+ * @param {Iterable|AsyncIterable<Object>} rows - Row objects
+ * @param {Array<Function>} consumers - (rows) => Promise, each given its own iterable
+ * @returns {Promise<Array<Object>>} - Promise.allSettled() results, in consumer order
+ */
+export const shareRows = async (rows, consumers) => {
+  const readers = consumers.map(() => {
+    const reader = { stopped: false };
+    reader.wait = () => { reader.ready = new Promise(resolve => { reader.ask = resolve; }); };
+    reader.wait();
+    return reader;
+  });
+
+  async function* readFrom(reader) {
+    try {
+      while (true) {
+        const next = new Promise(resolve => { reader.deliver = resolve; });
+        reader.ask();
+        const { batch, error } = await next;
+        if (error) throw error;
+        if (!batch) return;
+        yield* batch;
+      }
+    } finally {
+      reader.stopped = true;
+      reader.ask();
+    }
+  }
+
+  // Hand a batch (or the end, or the source's error) to every reader still reading
+  const send = async (message) => {
+    await Promise.all(readers.map(reader => reader.ready));
+    for (const reader of readers) {
+      if (reader.stopped) continue;
+      reader.wait();
+      reader.deliver(message);
+    }
+  };
+
+  const results = Promise.allSettled(consumers.map((consume, i) =>
+    Promise.resolve()
+      .then(() => consume(readFrom(readers[i])))
+      .finally(() => {
+        readers[i].stopped = true;
+        readers[i].ask();
+      })
+  ));
+
+  try {
+    let batch = [];
+    for await (const row of rows) {
+      batch.push(row);
+      if (batch.length < SHARE_BATCH_SIZE) continue;
+      await send({ batch });
+      batch = [];
+      if (readers.every(reader => reader.stopped)) break;
+    }
+    if (batch.length > 0) await send({ batch });
+    await send({});
+  } catch (error) {
+    await send({ error });
+  }
+  return results;
+};
@@ -0,0 +1,433 @@
+// ============================================
+// COLUMN TYPE INFERENCE & COERCION
+// ============================================
+// Every ingest path (CSV, Excel, Google Sheets) runs its rows through
+// typeRows() so the same data ends up with the same types regardless of
+// which parser produced it.
+
+export const COLUMN_TYPES = [
+  "integer",
+  "number",
+  "boolean",
+  "date",
+  "datetime",
+  "currency",
+  "percentage",
+  "email",
+  "url",
+  "categorical",
+  "string",
+];
+
+const SAMPLE_SIZE = 1000; // rows inspected before column types are fixed
+const SAMPLE_VALUES = 5;
+const DOMINANT_TYPE_RATIO = 0.95;
+const CATEGORICAL_MAX_DISTINCT = 50;
+const DISTINCT_TRACKING_LIMIT = 1000;
+
+const INTEGER_RE = /^[-+]?(\d{1,3}(,\d{3})+|\d+)$/;
+const NUMBER_RE = /^[-+]?((\d{1,3}(,\d{3})+|\d+)(\.\d+)?|\.\d+)([eE][-+]?\d+)?$/;
+const PERCENT_RE = /^[-+]?(\d{1,3}(,\d{3})+|\d+)?(\.\d+)?\s*%$/;
+const CURRENCY_RE = /^(\()?[-+]?\s*([$€£¥₹])\s*[-+]?(\d{1,3}(,\d{3})+|\d+)(\.\d+)?(\))?$|^[-+]?(\d{1,3}(,\d{3})+|\d+)(\.\d+)?\s*([$€£¥₹])$/;
+const BOOLEAN_TRUE = ["true", "yes", "y"];
+const BOOLEAN_FALSE = ["false", "no", "n"];
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const URL_RE = /^(https?:\/\/|www\.)[^\s]+$/i;
+
+const ISO_DATE_RE = /^(\d{4})-(\d{1,2})-(\d{1,2})$/;
+const YMD_SLASH_RE = /^(\d{4})\/(\d{1,2})\/(\d{1,2})$/;
+const YEAR_MONTH_RE = /^(\d{4})-(\d{2})$/;
+const DAY_MONTH_YEAR_RE = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/;
+const ISO_DATETIME_RE = /^\d{4}-\d{2}-\d{2}[T ]\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+const TEXT_DATE_RE = /^([A-Za-z]{3,9}\.? \d{1,2},? \d{4}|\d{1,2} [A-Za-z]{3,9}\.? \d{4})$/;
+
+export const isBlank = (value) =>
+  value === null || value === undefined || (typeof value === "string" && value.trim() === "");
+
+// ============================================
+// VALUE PARSERS
+// ============================================
+
+const utcDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  const valid = date.getUTCFullYear() === year
+    && date.getUTCMonth() === month - 1
+    && date.getUTCDate() === day;
+  return valid ? date : null;
+};
+
+const isMidnightUTC = (date) =>
+  date.getUTCHours() === 0 && date.getUTCMinutes() === 0
+  && date.getUTCSeconds() === 0 && date.getUTCMilliseconds() === 0;
+
+const parseNumber = (text) => {
+  const number = Number(String(text).replace(/,/g, "").trim());
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Parse a date or datetime string
+ * @param {string} text - Raw value
+ * @param {string} format - Column date format, used to resolve DD/MM vs MM/DD
+ * @returns {Date|null} - Parsed date (UTC) or null
+ */
+export const parseDate = (text, format = "") => {
+  const value = String(text).trim();
+  let match;
+
+  if ((match = value.match(ISO_DATE_RE)) || (match = value.match(YMD_SLASH_RE))) {
+    return utcDate(+match[1], +match[2], +match[3]);
+  }
+  if ((match = value.match(YEAR_MONTH_RE))) {
+    return utcDate(+match[1], +match[2], 1);
+  }
+  if ((match = value.match(DAY_MONTH_YEAR_RE))) {
+    const dayFirst = format.startsWith("DD") || +match[1] > 12;
+    return dayFirst
+      ? utcDate(+match[3], +match[2], +match[1])
+      : utcDate(+match[3], +match[1], +match[2]);
+  }
+  if (ISO_DATETIME_RE.test(value) || TEXT_DATE_RE.test(value)) {
+    // Timestamps without an offset are read as UTC so results don't depend on the server zone
+    const hasZone = /(Z|[+-]\d{2}:?\d{2})$/i.test(value);
+    const normalized = ISO_DATETIME_RE.test(value) && !hasZone
+      ? `${value.replace(" ", "T")}Z`
+      : TEXT_DATE_RE.test(value) ? `${value} UTC` : value;
+    const time = Date.parse(normalized);
+    return Number.isNaN(time) ? null : new Date(time);
+  }
+  return null;
+};
+
+const parseCurrency = (text) => {
+  const value = String(text).trim();
+  const negative = /^\(.*\)$/.test(value) || value.includes("-");
+  const number = parseNumber(value.replace(/[()$€£¥₹\s+-]/g, ""));
+  if (number === null) return null;
+  return negative ? -number : number;
+};
+
+const parsePercentage = (text) => {
+  const number = parseNumber(String(text).replace("%", ""));
+  return number === null ? null : number / 100;
+};
+
+const parseBoolean = (value) => {
+  if (typeof value === "boolean") return value;
+  if (value === 1 || value === 0) return value === 1;
+  const text = String(value).trim().toLowerCase();
+  if (BOOLEAN_TRUE.includes(text) || text === "1") return true;
+  if (BOOLEAN_FALSE.includes(text) || text === "0") return false;
+  return null;
+};
+
+// ============================================
+// DETECTION
+// ============================================
+
+/**
+ * Detect the type of a single non-blank value
+ * @param {*} value - Raw cell value
+ * @returns {{ type: string, format?: string }} - Detected type and format
+ */
+export const detectValueType = (value) => {
+  if (typeof value === "number") {
+    return { type: Number.isInteger(value) ? "integer" : "number" };
+  }
+  if (typeof value === "boolean") {
+    return { type: "boolean" };
+  }
+  if (value instanceof Date) {
+    return isMidnightUTC(value)
+      ? { type: "date", format: "YYYY-MM-DD" }
+      : { type: "datetime", format: "ISO 8601" };
+  }
+
+  const text = String(value).trim();
+  const lower = text.toLowerCase();
+
+  if (BOOLEAN_TRUE.includes(lower) || BOOLEAN_FALSE.includes(lower)) {
+    return { type: "boolean" };
+  }
+  if (INTEGER_RE.test(text)) {
+    const digits = text.replace(/[-+,]/g, "");
+    // Zero-padded codes and long identifiers (phones, card numbers) stay text
+    if ((digits.length > 1 && digits.startsWith("0")) || digits.length > 15) {
+      return { type: "string" };
+    }
+    return { type: "integer", format: text.includes(",") ? "thousands" : undefined };
+  }
+  if (NUMBER_RE.test(text)) {
+    return { type: "number", format: text.includes(",") ? "thousands" : undefined };
+  }
+  if (PERCENT_RE.test(text) && /\d/.test(text)) {
+    return { type: "percentage", format: "%" };
+  }
+  const currency = text.match(CURRENCY_RE);
+  if (currency) {
+    return { type: "currency", format: currency[2] || currency[10] };
+  }
+
+  let match;
+  if (ISO_DATE_RE.test(text) && parseDate(text)) return { type: "date", format: "YYYY-MM-DD" };
+  if (YMD_SLASH_RE.test(text) && parseDate(text)) return { type: "date", format: "YYYY/MM/DD" };
+  if (YEAR_MONTH_RE.test(text) && parseDate(text)) return { type: "date", format: "YYYY-MM" };
+  if ((match = text.match(DAY_MONTH_YEAR_RE)) && parseDate(text)) {
+    const separator = text.match(/[/.-]/)[0];
+    const dayFirst = +match[1] > 12;
+    const ambiguous = +match[1] <= 12 && +match[2] <= 12;
+    const format = dayFirst ? `DD${separator}MM${separator}YYYY` : `MM${separator}DD${separator}YYYY`;
+    return { type: "date", format, ambiguous };
+  }
+  if (ISO_DATETIME_RE.test(text) && parseDate(text)) return { type: "datetime", format: "ISO 8601" };
+  if (TEXT_DATE_RE.test(text) && parseDate(text)) return { type: "date", format: "text" };
+
+  if (EMAIL_RE.test(text)) return { type: "email" };
+  if (URL_RE.test(text)) return { type: "url" };
+  return { type: "string" };
+};
+
+// Types that can be merged into a wider type when a column mixes them; the
+// first rule that covers the column wins, so integers and decimals alone stay numbers
+const WIDENINGS = [
+  { members: ["integer", "number"], into: "number" },
+  { members: ["integer", "number", "currency"], into: "currency" },
+  { members: ["date", "datetime"], into: "datetime" },
+];
+
+const mostCommon = (counts) =>
+  Object.entries(counts).sort((a, b) => b[1] - a[1])[0]?.[0];
+
+const resolveColumn = (tally) => {
+  const { typeCounts, formatCounts, distinct, nonNull } = tally;
+  if (nonNull === 0) {
+    return { type: "string" };
+  }
+
+  let type = mostCommon(typeCounts);
+  const present = Object.keys(typeCounts);
+  for (const widening of WIDENINGS) {
+    if (present.length > 1 && present.every(t => widening.members.includes(t))) {
+      type = widening.into;
+      break;
+    }
+  }
+
+  const matching = type === "number" || type === "currency"
+    ? present.filter(t => ["integer", "number", "currency"].includes(t))
+    : type === "datetime" ? present.filter(t => ["date", "datetime"].includes(t)) : [type];
+  const matchingCount = matching.reduce((sum, t) => sum + typeCounts[t], 0);
+
+  // No type covers enough values: fall back to text and flag the mix
+  const mixed = matchingCount / nonNull < DOMINANT_TYPE_RATIO;
+  if (mixed) {
+    type = "string";
+  }
+
+  if (type === "string") {
+    const isCategorical = distinct.size <= CATEGORICAL_MAX_DISTINCT && distinct.size <= nonNull / 2;
+    return { type: isCategorical ? "categorical" : "string", ...(mixed && { mixed }) };
+  }
+
+  let format = mostCommon(formatCounts[type] || {});
+  // Mostly-ambiguous slash dates follow the values that could only be day-first
+  if (type === "date" && format?.startsWith("MM") && tally.dayFirst > 0 && tally.monthFirst === 0) {
+    format = format.replace(/^MM(.)DD/, "DD$1MM");
+  }
+  return { type, format };
+};
+
+const createTally = () => ({
+  typeCounts: {},
+  formatCounts: {},
+  distinct: new Set(),
+  nonNull: 0,
+  dayFirst: 0,
+  monthFirst: 0,
+});
+
+const tallyValue = (tally, value) => {
+  if (isBlank(value)) return;
+  const { type, format, ambiguous } = detectValueType(value);
+  tally.nonNull++;
+  tally.typeCounts[type] = (tally.typeCounts[type] || 0) + 1;
+  if (format) {
+    tally.formatCounts[type] = tally.formatCounts[type] || {};
+    tally.formatCounts[type][format] = (tally.formatCounts[type][format] || 0) + 1;
+  }
+  if (type === "date" && format?.startsWith("DD")) tally.dayFirst++;
+  if (type === "date" && format?.startsWith("MM") && !ambiguous) tally.monthFirst++;
+  if (tally.distinct.size < DISTINCT_TRACKING_LIMIT) {
+    tally.distinct.add(value instanceof Date ? value.toISOString() : String(value).trim());
+  }
+};
+
+/**
+ * Infer column types from a sample of rows
+ * @param {Array<Object>} rows - Sample rows
+ * @param {Object} overrides - { [column]: { type, format, overridden } } types to force
+ * @returns {Array<Object>} - Columns: { name, type, format, overridden }
+ */
+export const inferColumns = (rows, overrides = {}) => {
+  const tallies = new Map();
+  for (const row of rows) {
+    for (const [name, value] of Object.entries(row)) {
+      if (!tallies.has(name)) tallies.set(name, createTally());
+      tallyValue(tallies.get(name), value);
+    }
+  }
+
+  return [...tallies.entries()].map(([name, tally]) => {
+    const inferred = resolveColumn(tally);
+    const override = overrides[name];
+    if (override) {
+      return {
+        name,
+        type: override.type,
+        format: override.format ?? (override.type === inferred.type ? inferred.format : undefined),
+        overridden: override.overridden ?? true,
+      };
+    }
+    return { name, ...inferred, overridden: false };
+  });
+};
+
+// ============================================
+// COERCION
+// ============================================
+
+const toText = (value) => (value instanceof Date ? value.toISOString() : String(value).trim());
+
+/**
+ * Coerce a value to its column type. Values that don't fit are kept as-is
+ * and reported invalid so no data is lost.
+ * @param {*} value - Raw or previously coerced value
+ * @param {Object} column - { type, format }
+ * @returns {{ value: *, valid: boolean }} - Coerced value
+ */
+export const coerceValue = (value, column) => {
+  if (isBlank(value)) {
+    return { value: null, valid: true };
+  }
+
+  let coerced = null;
+  switch (column.type) {
+    case "integer":
+    case "number": {
+      const number = typeof value === "number" ? value : parseNumber(value);
+      coerced = number !== null && column.type === "integer" ? Math.round(number) : number;
+      break;
+    }
+    case "currency":
+      coerced = typeof value === "number" ? value : parseCurrency(value);
+      break;
+    case "percentage":
+      coerced = typeof value === "number" ? value : parsePercentage(value);
+      break;
+    case "boolean":
+      coerced = parseBoolean(value);
+      break;
+    case "date":
+    case "datetime":
+      coerced = value instanceof Date ? value : typeof value === "string" ? parseDate(value, column.format) : null;
+      break;
+    case "email":
+      coerced = EMAIL_RE.test(toText(value)) ? toText(value).toLowerCase() : null;
+      break;
+    case "url":
+      coerced = URL_RE.test(toText(value)) ? toText(value) : null;
+      break;
+    default:
+      coerced = toText(value);
+  }
+
+  return coerced === null
+    ? { value, valid: false }
+    : { value: coerced, valid: true };
+};
+
+const createColumnStats = (column) => ({
+  ...column,
+  nullCount: 0,
+  invalidCount: 0,
+  sampleValues: [],
+});
+
+/**
+ * Type a stream of rows: the first rows are sampled to fix each column's
+ * type, then every row is coerced and per-column stats are collected.
+ * @param {Iterable|AsyncIterable<Object>} rows - Row objects
+ * @param {Object} options - { overrides, sampleSize }
+ * @returns {{ rows: AsyncGenerator<Object>, getSchema: Function }} - Coerced rows and the final schema
+ */
+export const typeRows = (rows, { overrides = {}, sampleSize = SAMPLE_SIZE } = {}) => {
+  const columns = new Map();
+
+  const coerceRow = (row) => {
+    const result = {};
+    for (const [name, value] of Object.entries(row)) {
+      if (!columns.has(name)) {
+        // Column first seen after the sample (e.g. sparse NDJSON keys)
+        const [inferred] = inferColumns([{ [name]: value }], overrides);
+        columns.set(name, createColumnStats(inferred));
+      }
+      const column = columns.get(name);
+      const { value: coerced, valid } = coerceValue(value, column);
+
+      if (coerced === null) column.nullCount++;
+      if (!valid) column.invalidCount++;
+      if (coerced !== null && valid && column.sampleValues.length < SAMPLE_VALUES
+        && !column.sampleValues.some(v => toText(v) === toText(coerced))) {
+        column.sampleValues.push(coerced);
+      }
+      result[name] = coerced;
+    }
+    return result;
+  };
+
+  async function* generate() {
+    let sample = [];
+    let sampling = true;
+
+    for await (const row of rows) {
+      if (!sampling) {
+        yield coerceRow(row);
+        continue;
+      }
+      sample.push(row);
+      if (sample.length >= sampleSize) {
+        inferColumns(sample, overrides).forEach(c => columns.set(c.name, createColumnStats(c)));
+        yield* sample.map(coerceRow);
+        sample = [];
+        sampling = false;
+      }
+    }
+
+    if (sampling) {
+      inferColumns(sample, overrides).forEach(c => columns.set(c.name, createColumnStats(c)));
+      yield* sample.map(coerceRow);
+    }
+  }
+
+  return {
+    rows: generate(),
+    getSchema: () => [...columns.values()],
+  };
+};
+
+/**
+ * Collect forced column types from a stored schema
+ * @param {Array<Object>} schema - Dataset schema
+ * @param {Object} options - { all: also keep inferred types, e.g. when re-coercing typed rows }
+ * @returns {Object} - { [column]: { type, format, overridden } }
+ */
+export const overridesFromSchema = (schema = [], { all = false } = {}) =>
+  Object.fromEntries(
+    schema
+      .filter(column => all || column.overridden)
+      .map(column => [column.name, {
+        type: column.type,
+        format: column.format,
+        overridden: Boolean(column.overridden),
+      }])
+  );
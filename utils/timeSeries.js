@@ -0,0 +1,211 @@
+import ErrorHandler from './errorHandler.js';
+import { validateConditions, buildRowFilter } from './rowFilter.js';
+import { parseMetric, createAccumulator, createSamplePool } from './aggregate.js';
+import { DATE_GRANULARITIES, toDate, truncateDate, nextPeriod, periodLabel } from './dateBuckets.js';
+
+export const FILL_METHODS = ["zero", "null", "previous", "none"];
+
+// Daily data over ~13 years; anything longer needs a coarser granularity
+export const MAX_PERIODS = 5000;
+export const MAX_ROLLING_WINDOW = 365;
+
+// Sums and counts of an empty period are 0; averages, minimums etc. are unknown
+const ADDITIVE = ["count", "countDistinct", "sum"];
+
+const round = (value) => (value === null ? null : Math.round(value * 100) / 100);
+
+const growth = (current, previous) =>
+  (current === null || previous === null || previous === undefined || previous === 0
+    ? null
+    : round(((current - previous) / Math.abs(previous)) * 100));
+
+/**
+ * Parse and validate a resampling request against a dataset's headers
+ * @param {Object} body - { dateColumn, granularity, value, aggregation, p, fill, rollingWindow,
+ *   from, to, filters, match }
+ * @param {Array<string>} headers - Dataset headers
+ * @returns {Object} - Validated query for resampleRows()
+ */
+export const parseTimeSeriesQuery = (body = {}, headers = []) => {
+  const known = new Set(headers);
+  const { dateColumn } = body;
+  if (!known.has(dateColumn)) {
+    throw new ErrorHandler(dateColumn ? `Unknown date column: ${dateColumn}` : "dateColumn is required", 400);
+  }
+
+  const granularity = body.granularity || "month";
+  if (!DATE_GRANULARITIES.includes(granularity)) {
+    throw new ErrorHandler(`Invalid granularity "${granularity}". Allowed: ${DATE_GRANULARITIES.join(", ")}`, 400);
+  }
+
+  const fn = body.aggregation || (body.value ? "sum" : "count");
+  const metric = parseMetric({ fn, column: body.value, p: body.p }, known);
+
+  const fill = body.fill || (ADDITIVE.includes(fn) ? "zero" : "null");
+  if (!FILL_METHODS.includes(fill)) {
+    throw new ErrorHandler(`Invalid fill "${fill}". Allowed: ${FILL_METHODS.join(", ")}`, 400);
+  }
+
+  const rollingWindow = body.rollingWindow === undefined ? 3 : Number(body.rollingWindow);
+  if (!Number.isInteger(rollingWindow) || rollingWindow < 0 || rollingWindow > MAX_ROLLING_WINDOW) {
+    throw new ErrorHandler(`rollingWindow must be an integer between 0 and ${MAX_ROLLING_WINDOW}`, 400);
+  }
+
+  const bound = (name) => {
+    if (body[name] === undefined || body[name] === null || body[name] === "") return null;
+    const date = toDate(body[name]);
+    if (!date) throw new ErrorHandler(`${name} must be a date`, 400);
+    return truncateDate(date, granularity);
+  };
+  const from = bound("from");
+  const to = bound("to");
+  if (from && to && from > to) {
+    throw new ErrorHandler("from must not be after to", 400);
+  }
+
+  const filters = validateConditions(body.filters || [], "filters");
+  const unknownFilters = filters.filter(f => !known.has(f.column)).map(f => f.column);
+  if (unknownFilters.length > 0) {
+    throw new ErrorHandler(`Unknown filter column(s): ${unknownFilters.join(", ")}`, 400);
+  }
+
+  return {
+    dateColumn,
+    granularity,
+    metric,
+    fill,
+    rollingWindow,
+    from,
+    to,
+    filters,
+    match: body.match === "any" ? "any" : "all",
+  };
+};
+
+// Start of the same period one year (or one month) earlier
+const yearEarlier = (start, unit) => {
+  if (unit === "week") return new Date(start.getTime() - 52 * 7 * 24 * 60 * 60 * 1000);
+  return truncateDate(
+    new Date(Date.UTC(start.getUTCFullYear() - 1, start.getUTCMonth(), start.getUTCDate())),
+    unit
+  );
+};
+const monthEarlier = (start, unit) => truncateDate(
+  new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() - 1, start.getUTCDate())),
+  unit
+);
+
+/**
+ * Resample rows into a regular series of periods, fill the periods with no
+ * rows, and add period-over-period change, a rolling average and YoY/MoM growth
+ * @param {Iterable|AsyncIterable<Object>} rows - Row objects
+ * @param {Object} query - Result of parseTimeSeriesQuery()
+ * @returns {Promise<Object>} - { dateColumn, granularity, value, aggregation, fill, rollingWindow, points, summary }
+ */
+export const resampleRows = async (rows, query) => {
+  const { dateColumn, granularity, metric, fill, rollingWindow, from, to, filters, match } = query;
+  const keep = buildRowFilter(filters, { match });
+  const periods = new Map();
+  const pool = createSamplePool();
+  let skipped = 0;
+
+  for await (const row of rows) {
+    if (!keep(row)) continue;
+    const date = toDate(row[dateColumn]);
+    if (!date) {
+      skipped++;
+      continue;
+    }
+    const start = truncateDate(date, granularity);
+    if ((from && start < from) || (to && start > to)) continue;
+
+    const key = start.getTime();
+    if (!periods.has(key)) periods.set(key, createAccumulator(metric, pool));
+    periods.get(key).add(row[metric.column]);
+  }
+
+  const observed = [...periods.keys()].sort((a, b) => a - b);
+  const first = from ? from.getTime() : observed[0];
+  const last = to ? to.getTime() : observed[observed.length - 1];
+
+  // Every period between the first and last one, including those without rows
+  const series = [];
+  if (first !== undefined && last !== undefined) {
+    let previous = null;
+    for (let start = new Date(first); start.getTime() <= last; start = nextPeriod(start, granularity)) {
+      if (series.length >= MAX_PERIODS) {
+        throw new ErrorHandler(`Series has more than ${MAX_PERIODS} periods; use a coarser granularity or a date range`, 400);
+      }
+      const accumulator = periods.get(start.getTime());
+      if (!accumulator && fill === "none") continue;
+
+      let value = accumulator ? accumulator.result() : null;
+      if (!accumulator && fill === "zero") value = 0;
+      if (!accumulator && fill === "previous") value = previous;
+      series.push({ start, value, filled: !accumulator });
+      previous = value;
+    }
+  }
+
+  const byStart = new Map(series.map(point => [point.start.getTime(), point.value]));
+  const points = series.map((point, i) => {
+    const before = i > 0 ? series[i - 1].value : null;
+    const window = rollingWindow > 0 && i + 1 >= rollingWindow ? series.slice(i + 1 - rollingWindow, i + 1) : null;
+    const windowValues = window?.map(p => p.value).filter(value => typeof value === "number");
+
+    return {
+      period: periodLabel(point.start, granularity),
+      start: point.start,
+      value: point.value,
+      filled: point.filled,
+      change: point.value === null || before === null ? null : point.value - before,
+      changePercent: growth(point.value, before),
+      rollingAverage: windowValues?.length === rollingWindow
+        ? windowValues.reduce((sum, value) => sum + value, 0) / rollingWindow
+        : null,
+      yoyPercent: growth(point.value, byStart.get(yearEarlier(point.start, granularity).getTime())),
+      ...((granularity === "day" || granularity === "month") && {
+        momPercent: growth(point.value, byStart.get(monthEarlier(point.start, granularity).getTime())),
+      }),
+    };
+  });
+
+  const numbers = points.filter(point => typeof point.value === "number");
+  return {
+    dateColumn,
+    granularity,
+    value: metric.column ?? null,
+    aggregation: metric.fn,
+    fill,
+    rollingWindow,
+    points,
+    ...(pool.approximate() && { approximate: true }),
+    summary: {
+      periods: points.length,
+      filledPeriods: points.filter(point => point.filled).length,
+      skippedRows: skipped,
+      first: numbers[0]?.value ?? null,
+      last: numbers[numbers.length - 1]?.value ?? null,
+      changePercent: numbers.length > 1 ? growth(numbers[numbers.length - 1].value, numbers[0].value) : null,
+    },
+  };
+};
+
+/**
+ * The series a summary should watch: the mapped amount (or the row count)
+ * over the KPI date column, or else the first column holding dates, at a
+ * granularity that suits the column's span
+ * @param {Object} dataset - { kpiRoles }
+ * @param {Object} profile - Result of getDatasetProfile()
+ * @returns {Object|null} - Body for parseTimeSeriesQuery(), or null when no column holds dates
+ */
+export const headlineSeries = (dataset, profile) => {
+  const candidates = profile.columns.filter(column => column.dates?.distinctDates > 1);
+  const dated = candidates.find(column => column.name === dataset.kpiRoles?.date) || candidates[0];
+  if (!dated) return null;
+
+  const span = dated.dates.spanDays;
+  const granularity = span > 365 * 2 ? "month" : span > 120 ? "week" : "day";
+  const amount = dataset.kpiRoles?.amount;
+  return { dateColumn: dated.name, granularity, ...(amount && { value: amount, aggregation: "sum" }) };
+};
@@ -0,0 +1,417 @@
+import ErrorHandler from './errorHandler.js';
+import { isBlank, parseDate } from './schemaInference.js';
+import { normalizeValue } from './datasetMerge.js';
+import { validateConditions, buildRowFilter } from './rowFilter.js';
+
+const CASES = ["upper", "lower", "title"];
+// Stored types whose values are text, so a text rewrite can change what they look like
+const TEXT_TYPES = ["string", "categorical", "email", "url"];
+const NULL_FILL_METHODS = ["value", "previous"];
+
+// Columns a step applies to: the listed ones, or every column of the row
+const targetColumns = (row, columns) => (columns?.length ? columns : Object.keys(row));
+
+const titleCase = (text) => text.toLowerCase().replace(/(^|[\s_-])(\p{L})/gu, (_, sep, ch) => sep + ch.toUpperCase());
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Patterns run against every cell on the event loop, so user regexes are kept short
+// and free of the shapes that backtrack exponentially
+const MAX_PATTERN_LENGTH = 200;
+
+/**
+ * Reject patterns that can backtrack catastrophically: a repeated group that
+ * itself contains a quantifier or an alternation ((a+)+, (a|ab)*), and backreferences
+ * @param {string} source - Regex source
+ */
+const assertSafePattern = (source) => {
+  if (source.length > MAX_PATTERN_LENGTH) {
+    throw new Error(`pattern is longer than ${MAX_PATTERN_LENGTH} characters`);
+  }
+  // One entry per open group: does it hold a quantifier or an alternation?
+  const groups = [{ risky: false }];
+  let closed = null;
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    const quantifier = ch === "*" || ch === "+" || ch === "?" || (ch === "{" && /^\{\d+(,\d*)?\}/.test(source.slice(i)));
+    if (quantifier) {
+      // "?" right after "(" is group syntax, and after a quantifier it makes it lazy
+      if (ch === "?" && (source[i - 1] === "(" || /[*+?}]/.test(source[i - 1] ?? ""))) continue;
+      // "?" and "{0,1}" take a group at most once, which can't backtrack exponentially
+      const repeats = !(ch === "?" || /^\{[01](,1)?\}/.test(source.slice(i)));
+      if (repeats && closed?.risky) {
+        throw new Error("pattern nests quantifiers or repeats an alternation, which can run for too long");
+      }
+      groups[groups.length - 1].risky = true;
+      if (ch === "{") i = source.indexOf("}", i);
+      closed = null;
+      continue;
+    }
+    closed = null;
+    if (ch === "\\") {
+      if (/[1-9k]/.test(source[i + 1] ?? "")) throw new Error("backreferences are not supported");
+      i++;
+    } else if (ch === "[") {
+      // Skip the character class; inside it, quantifier characters are literal
+      for (i++; i < source.length && source[i] !== "]"; i++) {
+        if (source[i] === "\\") i++;
+      }
+    } else if (ch === "(") {
+      groups.push({ risky: false });
+    } else if (ch === ")" && groups.length > 1) {
+      closed = groups.pop();
+      if (closed.risky) groups[groups.length - 1].risky = true;
+    } else if (ch === "|") {
+      groups[groups.length - 1].risky = true;
+    }
+  }
+};
+
+// ============================================
+// STEPS
+// ============================================
+
+// Each step: validate(params) => params, and run(rows, params) => AsyncGenerator of rows.
+// `reinfer(params)` lists the output columns whose type must be inferred again (empty: all);
+// with `textOnly`, only those currently stored as text are.
+const STEPS = {
+  trim: {
+    validate: ({ columns, collapse = false } = {}) => ({ columns: listParam(columns), collapse: Boolean(collapse) }),
+    async* run(rows, { columns, collapse }) {
+      for await (const row of rows) {
+        const result = { ...row };
+        for (const column of targetColumns(row, columns)) {
+          if (typeof result[column] !== "string") continue;
+          result[column] = collapse ? result[column].trim().replace(/\s+/g, " ") : result[column].trim();
+        }
+        yield result;
+      }
+    },
+    reinfer: ({ columns }) => columns,
+    textOnly: true,
+  },
+
+  dedupe: {
+    validate: ({ columns } = {}) => ({ columns: listParam(columns) }),
+    async* run(rows, { columns }) {
+      const seen = new Set();
+      for await (const row of rows) {
+        const key = JSON.stringify(targetColumns(row, columns).map(column => normalizeValue(row[column])));
+        if (seen.has(key)) continue;
+        seen.add(key);
+        yield row;
+      }
+    },
+  },
+
+  fillNulls: {
+    validate: ({ columns, method = "value", value } = {}) => {
+      if (!NULL_FILL_METHODS.includes(method)) {
+        throw new Error(`method must be one of ${NULL_FILL_METHODS.join(", ")}`);
+      }
+      if (method === "value" && value === undefined) {
+        throw new Error("value is required");
+      }
+      return { columns: listParam(columns), method, value };
+    },
+    async* run(rows, { columns, method, value }) {
+      const previous = {};
+      for await (const row of rows) {
+        const result = { ...row };
+        for (const column of targetColumns(row, columns)) {
+          if (isBlank(result[column])) {
+            result[column] = method === "previous" ? (previous[column] ?? null) : value;
+          } else {
+            previous[column] = result[column];
+          }
+        }
+        yield result;
+      }
+    },
+    reinfer: ({ columns, method }) => (method === "value" ? columns : null),
+    textOnly: true,
+  },
+
+  dropNulls: {
+    validate: ({ columns, how = "any" } = {}) => {
+      if (!["any", "all"].includes(how)) {
+        throw new Error(`how must be "any" or "all"`);
+      }
+      return { columns: listParam(columns), how };
+    },
+    async* run(rows, { columns, how }) {
+      for await (const row of rows) {
+        const blanks = targetColumns(row, columns).map(column => isBlank(row[column]));
+        const drop = how === "all" ? blanks.every(Boolean) : blanks.some(Boolean);
+        if (!drop) yield row;
+      }
+    },
+  },
+
+  renameColumns: {
+    validate: ({ mapping } = {}) => {
+      if (!mapping || typeof mapping !== "object" || Array.isArray(mapping) || Object.keys(mapping).length === 0) {
+        throw new Error("mapping must be an object of { oldName: newName }");
+      }
+      return { mapping };
+    },
+    async* run(rows, { mapping }) {
+      for await (const row of rows) {
+        yield Object.fromEntries(Object.entries(row).map(([key, value]) => [mapping[key] || key, value]));
+      }
+    },
+  },
+
+  reorderColumns: {
+    validate: ({ columns } = {}) => ({ columns: requiredList(columns, "columns") }),
+    async* run(rows, { columns }) {
+      for await (const row of rows) {
+        const result = {};
+        for (const column of columns) {
+          if (column in row) result[column] = row[column];
+        }
+        yield Object.assign(result, row);
+      }
+    },
+  },
+
+  dropColumns: {
+    validate: ({ columns } = {}) => ({ columns: requiredList(columns, "columns") }),
+    async* run(rows, { columns }) {
+      const dropped = new Set(columns);
+      for await (const row of rows) {
+        yield Object.fromEntries(Object.entries(row).filter(([key]) => !dropped.has(key)));
+      }
+    },
+  },
+
+  splitColumn: {
+    validate: ({ column, separator = ",", into, keep = false } = {}) => {
+      if (!column) throw new Error("column is required");
+      if (separator === "") throw new Error("separator must not be empty");
+      return { column, separator: String(separator), into: requiredList(into, "into"), keep: Boolean(keep) };
+    },
+    async* run(rows, { column, separator, into, keep }) {
+      for await (const row of rows) {
+        const parts = isBlank(row[column]) ? [] : String(row[column]).split(separator);
+        const result = {};
+        for (const [key, value] of Object.entries(row)) {
+          if (key === column) {
+            if (keep) result[key] = value;
+            into.forEach((name, i) => {
+              // The last output column takes whatever is left over
+              const part = i === into.length - 1 ? parts.slice(i).join(separator) : parts[i];
+              result[name] = part === undefined || part === "" ? null : part.trim();
+            });
+          } else if (!into.includes(key)) {
+            result[key] = value;
+          }
+        }
+        yield result;
+      }
+    },
+    reinfer: ({ into }) => into,
+  },
+
+  mergeColumns: {
+    validate: ({ columns, into, separator = " ", keep = false } = {}) => {
+      if (!into) throw new Error("into is required");
+      return { columns: requiredList(columns, "columns"), into, separator: String(separator), keep: Boolean(keep) };
+    },
+    async* run(rows, { columns, into, separator, keep }) {
+      const merged = new Set(columns);
+      for await (const row of rows) {
+        const value = columns
+          .map(column => row[column])
+          .filter(part => !isBlank(part))
+          .map(part => (part instanceof Date ? part.toISOString().slice(0, 10) : String(part)))
+          .join(separator);
+        const result = {};
+        let placed = false;
+        for (const [key, cell] of Object.entries(row)) {
+          if (merged.has(key) && !placed) {
+            result[into] = value || null;
+            placed = true;
+          }
+          if (key !== into && (keep || !merged.has(key))) result[key] = cell;
+        }
+        if (!placed) result[into] = value || null;
+        yield result;
+      }
+    },
+    reinfer: ({ into }) => [into],
+  },
+
+  findReplace: {
+    validate: ({ columns, find, replace = "", regex = false, matchCase = false, wholeCell = false } = {}) => {
+      if (find === undefined || find === "") throw new Error("find is required");
+      let pattern;
+      if (regex) assertSafePattern(String(find));
+      try {
+        const source = regex ? String(find) : escapeRegExp(String(find));
+        pattern = new RegExp(wholeCell ? `^(?:${source})$` : source, matchCase ? "g" : "gi");
+      } catch (error) {
+        throw new Error(`invalid pattern: ${error.message}`);
+      }
+      return { columns: listParam(columns), pattern, replace: String(replace) };
+    },
+    async* run(rows, { columns, pattern, replace }) {
+      for await (const row of rows) {
+        const result = { ...row };
+        for (const column of targetColumns(row, columns)) {
+          if (isBlank(result[column]) || result[column] instanceof Date) continue;
+          const before = String(result[column]);
+          const after = before.replace(pattern, replace);
+          if (after !== before) result[column] = after;
+        }
+        yield result;
+      }
+    },
+    reinfer: ({ columns }) => columns,
+    textOnly: true,
+  },
+
+  changeCase: {
+    validate: ({ columns, to } = {}) => {
+      if (!CASES.includes(to)) throw new Error(`to must be one of ${CASES.join(", ")}`);
+      return { columns: listParam(columns), to };
+    },
+    async* run(rows, { columns, to }) {
+      const convert = { upper: s => s.toUpperCase(), lower: s => s.toLowerCase(), title: titleCase }[to];
+      for await (const row of rows) {
+        const result = { ...row };
+        for (const column of targetColumns(row, columns)) {
+          if (typeof result[column] === "string") result[column] = convert(result[column]);
+        }
+        yield result;
+      }
+    },
+  },
+
+  parseDates: {
+    validate: ({ columns, format = "" } = {}) => ({ columns: requiredList(columns, "columns"), format: String(format) }),
+    async* run(rows, { columns, format }) {
+      for await (const row of rows) {
+        const result = { ...row };
+        for (const column of columns) {
+          const value = result[column];
+          if (isBlank(value) || value instanceof Date) continue;
+          // Unparseable values are kept so they show up as invalid, not silently lost
+          result[column] = parseDate(value, format) ?? value;
+        }
+        yield result;
+      }
+    },
+    reinfer: ({ columns }) => columns,
+  },
+
+  filterRows: {
+    validate: ({ conditions, match = "all" } = {}) => {
+      if (!["all", "any"].includes(match)) throw new Error(`match must be "all" or "any"`);
+      return { conditions: validateConditions(conditions, "filterRows"), match };
+    },
+    async* run(rows, { conditions, match }) {
+      const keep = buildRowFilter(conditions, { match });
+      for await (const row of rows) {
+        if (keep(row)) yield row;
+      }
+    },
+  },
+};
+
+export const STEP_TYPES = Object.keys(STEPS);
+
+function listParam(value) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value) || value.some(item => typeof item !== "string")) {
+    throw new Error("columns must be an array of column names");
+  }
+  return value;
+}
+
+function requiredList(value, name) {
+  const list = listParam(value);
+  if (list.length === 0) throw new Error(`${name} must list at least one column`);
+  return list;
+}
+
+// ============================================
+// RECIPES
+// ============================================
+
+/**
+ * Validate recipe steps and compile their parameters
+ * @param {Array<Object>} steps - [{ type, params }]
+ * @returns {Array<Object>} - [{ type, params }] ready for applySteps()
+ */
+export const validateSteps = (steps) => {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new ErrorHandler("steps must be a non-empty array", 400);
+  }
+  return steps.map((step, i) => {
+    const definition = STEPS[step?.type];
+    if (!definition) {
+      throw new ErrorHandler(
+        `Step ${i + 1}: unknown type "${step?.type}". Allowed types: ${STEP_TYPES.join(", ")}`,
+        400
+      );
+    }
+    try {
+      return { type: step.type, params: definition.validate(step.params || {}) };
+    } catch (error) {
+      if (error instanceof ErrorHandler) throw error;
+      throw new ErrorHandler(`Step ${i + 1} (${step.type}): ${error.message}`, 400);
+    }
+  });
+};
+
+/**
+ * Run rows through recipe steps in order, streaming
+ * @param {Iterable|AsyncIterable<Object>} rows - Row objects
+ * @param {Array<Object>} steps - Steps returned by validateSteps()
+ * @returns {AsyncGenerator<Object>} - Transformed rows
+ */
+export const applySteps = (rows, steps) =>
+  steps.reduce((input, { type, params }) => STEPS[type].run(input, params), (async function* () {
+    yield* rows;
+  })());
+
+/**
+ * Carry a dataset's column types through recipe steps: renamed columns keep
+ * their type, dropped ones lose it, and columns a step rewrote are inferred again.
+ * @param {Array<Object>} schema - Dataset schema
+ * @param {Array<Object>} steps - Steps returned by validateSteps()
+ * @returns {Object} - Overrides for typeRows(): { [column]: { type, format, overridden } }
+ */
+export const carrySchema = (schema = [], steps) => {
+  const types = new Map(schema.map(column => [column.name, {
+    type: column.type,
+    format: column.format,
+    overridden: Boolean(column.overridden),
+  }]));
+
+  for (const { type, params } of steps) {
+    if (type === "renameColumns") {
+      const renamed = new Map();
+      for (const [name, column] of types) {
+        renamed.set(params.mapping[name] || name, column);
+      }
+      types.clear();
+      renamed.forEach((column, name) => types.set(name, column));
+    } else if (type === "dropColumns") {
+      params.columns.forEach(name => types.delete(name));
+    } else if (type === "splitColumn" && !params.keep) {
+      types.delete(params.column);
+    } else if (type === "mergeColumns" && !params.keep) {
+      params.columns.forEach(name => types.delete(name));
+    }
+
+    const reinfer = STEPS[type].reinfer?.(params);
+    if (reinfer) {
+      (reinfer.length ? reinfer : [...types.keys()])
+        .filter(name => !STEPS[type].textOnly || TEXT_TYPES.includes(types.get(name)?.type))
+        .forEach(name => types.delete(name));
+    }
+  }
+  return Object.fromEntries(types);
+};
@@ -0,0 +1,107 @@
+import { typeRows } from './schemaInference.js';
+
+const PREVIEW_ROWS = 20;
+const RAW_RECORDS = 10; // unshaped records shown so the client can pick a header row
+
+// ============================================
+// WARNINGS
+// ============================================
+
+/**
+ * Describe structural and typing problems found in a previewed table
+ * @param {Array<Object>} schema - Inferred schema with stats
+ * @param {number} rowCount - Total data rows
+ * @param {Object} [stats] - Parse stats from utils/fileParsers.js
+ * @returns {Array<Object>} - Warnings: { type, column?, message }
+ */
+const collectWarnings = (schema, rowCount, stats) => {
+  const warnings = [];
+
+  if (rowCount === 0) {
+    warnings.push({ type: "empty_table", message: "No data rows found below the header row" });
+  }
+
+  for (const header of stats?.renamedHeaders || []) {
+    warnings.push(header.from
+      ? {
+        type: "duplicate_header",
+        column: header.to,
+        message: `Duplicate header "${header.from}" renamed to "${header.to}"`,
+      }
+      : {
+        type: "blank_header",
+        column: header.to,
+        message: `Column ${header.column + 1} has no header and was named "${header.to}"`,
+      });
+  }
+
+  if (stats?.raggedRows > 0) {
+    warnings.push({
+      type: "ragged_rows",
+      count: stats.raggedRows,
+      examples: stats.raggedExamples,
+      message: `${stats.raggedRows} row(s) have a different number of cells than the header`,
+    });
+  }
+
+  for (const column of schema) {
+    if (rowCount > 0 && column.nullCount === rowCount) {
+      warnings.push({ type: "empty_column", column: column.name, message: `Column "${column.name}" is empty` });
+    } else if (column.mixed) {
+      warnings.push({
+        type: "mixed_types",
+        column: column.name,
+        message: `Column "${column.name}" mixes value types and will be stored as text`,
+      });
+    } else if (column.invalidCount > 0) {
+      warnings.push({
+        type: "mixed_types",
+        column: column.name,
+        count: column.invalidCount,
+        message: `${column.invalidCount} value(s) in "${column.name}" don't match its ${column.type} type`,
+      });
+    }
+  }
+
+  return warnings;
+};
+
+// ============================================
+// PREVIEW
+// ============================================
+
+/**
+ * Parse and type a whole table without storing anything, keeping the first rows
+ * @param {Object} table - Table from openDataFile()
+ * @param {Object} options - { limit: rows to return }
+ * @returns {Promise<Object>} - { sheetName, headers, schema, rows, rawRecords, rowCount, warnings }
+ */
+export const previewTable = async (table, { limit = PREVIEW_ROWS } = {}) => {
+  const rawRecords = [];
+  if (table.rawRecords) {
+    for await (const record of table.rawRecords()) {
+      rawRecords.push(record);
+      if (rawRecords.length >= RAW_RECORDS) break;
+    }
+  }
+
+  const typed = typeRows(table.rows);
+  const rows = [];
+  let rowCount = 0;
+  for await (const row of typed.rows) {
+    if (rows.length < limit) rows.push(row);
+    rowCount++;
+  }
+
+  const schema = typed.getSchema();
+  return {
+    sheetName: table.sheetName,
+    sheetIndex: table.sheetIndex,
+    headers: schema.map(column => column.name),
+    schema,
+    rows,
+    rawRecords,
+    rowCount,
+    warnings: collectWarnings(schema, rowCount, table.stats),
+  };
+};